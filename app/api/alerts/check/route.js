@@ -0,0 +1,12 @@
+import { runAlerts } from '../../../../lib/alertRunner.js';
+import { requireToken } from '../../../../lib/http.js';
+
+export const dynamic = 'force-dynamic';
+
+// POST -> { success, checked, skipped, fired }. Runs the same evaluation as `npm run alerts`,
+// which can notify, so it needs the ALERTS_TOKEN secret like rule changes do.
+export async function POST(request) {
+  const denied = requireToken(request, 'ALERTS_TOKEN');
+  if (denied) return denied;
+  return Response.json({ success: true, ...(await runAlerts()) });
+}
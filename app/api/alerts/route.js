@@ -0,0 +1,52 @@
+import { parseAlertRule, describeRule, MAX_RULES } from '../../../lib/alerts.js';
+import { readRules, readHistory, addRule, removeRule } from '../../../lib/alertRunner.js';
+import { NOTIFIER_IDS, describeNotifiers } from '../../../lib/notifiers/index.js';
+import { errorResponse, requireToken } from '../../../lib/http.js';
+
+export const dynamic = 'force-dynamic';
+
+// Events returned to the alerts panel; the history file keeps more
+const LIST_HISTORY = 50;
+
+// GET -> { success, rules: [{ ...rule, description }], history: [...], notifiers: [{ id, label, configured }] }
+export async function GET() {
+  const [rules, history] = await Promise.all([readRules(), readHistory()]);
+  return Response.json({
+    success: true,
+    rules: rules.map(rule => ({ ...rule, description: describeRule(rule) })),
+    history: history.events.slice(0, LIST_HISTORY),
+    notifiers: describeNotifiers(),
+  });
+}
+
+// POST { asset, denominator?, type, direction, level?, percent?, months?, notify? }
+// -> { success, rule }. See lib/alerts.js. Changing rules needs the ALERTS_TOKEN secret;
+// listing them does not.
+export async function POST(request) {
+  const denied = requireToken(request, 'ALERTS_TOKEN');
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return errorResponse('Request body must be JSON');
+  }
+
+  const { rule, error } = parseAlertRule(body, NOTIFIER_IDS);
+  if (error) return errorResponse(error);
+  const saved = await addRule(rule);
+  if (!saved) return errorResponse(`At most ${MAX_RULES} alert rules`);
+  return Response.json({ success: true, rule: { ...saved, description: describeRule(saved) } });
+}
+
+// DELETE ?id=k3x9q2
+export async function DELETE(request) {
+  const denied = requireToken(request, 'ALERTS_TOKEN');
+  if (denied) return denied;
+
+  const id = new URL(request.url).searchParams.get('id');
+  if (!id) return errorResponse('id is required');
+  if (!(await removeRule(id))) return errorResponse(`No alert rule with id "${id}"`, 404);
+  return Response.json({ success: true });
+}
@@ -0,0 +1,24 @@
+import { listArchives, findArchive, diffArchives } from '../../../lib/archive.js';
+import { parseArchiveQuery } from '../../../lib/query.js';
+import { errorResponse } from '../../../lib/http.js';
+
+export const dynamic = 'force-dynamic';
+
+// Without parameters lists the archive dates written by `npm run archive`. With
+// from (and optionally to, assets) diffs two vintages: see diffArchives in lib/archive.js.
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const { query, error } = parseArchiveQuery(searchParams);
+  if (error) return errorResponse(error);
+
+  const archives = await listArchives();
+  if (!query.diff) {
+    return Response.json({ success: true, archives });
+  }
+
+  const older = await findArchive(query.from);
+  if (!older) return errorResponse(`No archive was written on or before ${query.from}`, 404);
+  const newer = await findArchive(query.to || archives[archives.length - 1]);
+
+  return Response.json({ success: true, ...diffArchives(older, newer, query.assets) });
+}
@@ -0,0 +1,39 @@
+import { loadDataset } from '../../../lib/dataset.js';
+import { DENOMINATORS, resolveDenominator, denominatorSeries } from '../../../lib/transform.js';
+import { parseBacktest, runBacktest } from '../../../lib/backtest.js';
+import { errorResponse, DATA_UNAVAILABLE } from '../../../lib/http.js';
+
+export const dynamic = 'force-dynamic';
+
+// POST { allocations, initial?, contribution?, frequency?, rebalance?, start?, end? }
+// -> { success, start, end, contributed, denominators: { [id]: {...} } }. See lib/backtest.js.
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return errorResponse('Request body must be JSON');
+  }
+
+  const { config, error } = parseBacktest(body);
+  if (error) return errorResponse(error);
+
+  // Monthly rows with the allocated assets and every series a denominator divides by
+  const keys = new Set(Object.keys(config.allocations));
+  Object.keys(DENOMINATORS).forEach(id => denominatorSeries(resolveDenominator(id)).forEach(key => keys.add(key)));
+
+  const dataset = await loadDataset({ keys: [...keys], start: config.start, end: config.end, interval: '1mo' });
+  if (!dataset) {
+    return errorResponse(DATA_UNAVAILABLE, 503);
+  }
+
+  const result = runBacktest(dataset.rows, config);
+  if (!result) return errorResponse('No month in the range has a price for every allocated asset');
+
+  return Response.json({
+    success: true,
+    isFallback: Boolean(dataset.snapshot),
+    ...result,
+    sources: dataset.sources,
+  });
+}
@@ -0,0 +1,87 @@
+import { loadSymbols, HISTORY_START } from '../../../lib/marketData.js';
+import { getEntry } from '../../../lib/assets.js';
+import { INTERVALS, periodKey } from '../../../lib/align.js';
+import {
+  calculateBasket, buildComposite, validateBasket, MAX_BASKETS,
+} from '../../../lib/baskets.js';
+import { errorResponse } from '../../../lib/http.js';
+
+export const dynamic = 'force-dynamic';
+
+// Caps upstream fan-out from a single request
+const MAX_SYMBOLS = 50;
+
+// Calendar covering every period any constituent has a price for
+function buildCalendar(seriesList, interval) {
+  const periods = new Map();
+  for (const data of seriesList) {
+    for (const point of data || []) {
+      const key = periodKey(point.date, interval);
+      if (!periods.has(key)) periods.set(key, interval === '1mo' ? `${key}-01` : point.date);
+    }
+  }
+  return [...periods.values()].sort();
+}
+
+// POST { baskets: [...], interval? } -> { success, data: { [basketId]: [{ date, value, count, total, missing }] } }
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return errorResponse('Request body must be JSON');
+  }
+
+  const baskets = body?.baskets;
+  const interval = body?.interval || '1mo';
+  if (!Array.isArray(baskets)) return errorResponse('"baskets" must be an array');
+  if (!Object.hasOwn(INTERVALS, interval)) return errorResponse(`interval must be one of ${Object.keys(INTERVALS).join(', ')}`);
+  if (baskets.length > MAX_BASKETS) return errorResponse(`At most ${MAX_BASKETS} baskets per request`);
+
+  for (const basket of baskets) {
+    const error = validateBasket(basket);
+    if (error) return errorResponse(error);
+  }
+
+  // Registry composites (e.g. MAG7) are expanded into their own constituents
+  const symbols = new Set();
+  for (const basket of baskets) {
+    for (const key of basket.constituents) {
+      const entry = getEntry(key);
+      if (entry?.provider === 'composite') {
+        entry.constituents.forEach(constituent => symbols.add(constituent));
+      } else {
+        symbols.add(key);
+      }
+    }
+  }
+  if (symbols.size > MAX_SYMBOLS) return errorResponse(`At most ${MAX_SYMBOLS} distinct symbols per request`);
+
+  const series = await loadSymbols([...symbols], HISTORY_START, interval);
+  const dates = buildCalendar(Object.values(series), interval);
+
+  for (const basket of baskets) {
+    for (const key of basket.constituents) {
+      const entry = getEntry(key);
+      if (entry?.provider === 'composite') series[key] = buildComposite(entry, series, dates, { interval });
+    }
+  }
+
+  // Constituents without any data are left out; the points' coverage shows the gap
+  const data = {};
+  const failed = [];
+  for (const basket of baskets) {
+    const missing = basket.constituents.filter(key => !series[key]?.length);
+    if (missing.length) failed.push(`${basket.name} (${missing.join(', ')})`);
+    data[basket.id] = missing.length === basket.constituents.length
+      ? null
+      : calculateBasket(basket, series, dates, { interval });
+  }
+
+  return Response.json({
+    success: true,
+    interval,
+    data,
+    ...(failed.length && { warnings: [`No data for: ${failed.join('; ')}`] }),
+  });
+}
@@ -0,0 +1,25 @@
+import { loadChartData } from '../../../lib/dataset.js';
+import { parseChartQuery } from '../../../lib/query.js';
+import { chartScene } from '../../../lib/chartImage.js';
+import { renderPng } from '../../../lib/png.js';
+import { errorResponse, DATA_UNAVAILABLE } from '../../../lib/http.js';
+
+export const dynamic = 'force-dynamic';
+
+// GET /api/chart.png with the same parameters as /api/chart.svg: that chart rasterized,
+// for mail clients and wikis that will not show SVG.
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const { query, error } = parseChartQuery(searchParams);
+  if (error) return errorResponse(error);
+
+  const result = await loadChartData(query);
+  if (!result) {
+    return errorResponse(DATA_UNAVAILABLE, 503);
+  }
+
+  const scene = chartScene({ ...result, rows: result.data, log: query.log }, query);
+  return new Response(renderPng(scene), {
+    headers: { 'Content-Type': 'image/png' },
+  });
+}
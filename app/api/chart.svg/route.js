@@ -0,0 +1,24 @@
+import { loadChartData } from '../../../lib/dataset.js';
+import { parseChartQuery } from '../../../lib/query.js';
+import { chartScene, renderSvg } from '../../../lib/chartImage.js';
+import { errorResponse, DATA_UNAVAILABLE } from '../../../lib/http.js';
+
+export const dynamic = 'force-dynamic';
+
+// GET /api/chart.svg with the dashboard's share-link parameters (parseChartQuery in
+// lib/query.js): the level chart as a standalone SVG, for wikis and newsletters.
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const { query, error } = parseChartQuery(searchParams);
+  if (error) return errorResponse(error);
+
+  const result = await loadChartData(query);
+  if (!result) {
+    return errorResponse(DATA_UNAVAILABLE, 503);
+  }
+
+  const scene = chartScene({ ...result, rows: result.data, log: query.log }, query);
+  return new Response(renderSvg(scene), {
+    headers: { 'Content-Type': 'image/svg+xml; charset=utf-8' },
+  });
+}
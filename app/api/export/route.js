@@ -0,0 +1,50 @@
+import { getEntry } from '../../../lib/assets.js';
+import { loadChartData } from '../../../lib/dataset.js';
+import { parseDataQuery } from '../../../lib/query.js';
+import { EXPORT_FORMATS, buildExport, serializeExport } from '../../../lib/export.js';
+import { findArchive } from '../../../lib/archive.js';
+import { errorResponse, DATA_UNAVAILABLE } from '../../../lib/http.js';
+
+export const dynamic = 'force-dynamic';
+
+// GET /api/export?format=csv|json|xlsx plus any /api/data parameter. Always returns the
+// transformed chart series (nominal USD unless a denominator is given) as a download.
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const format = searchParams.get('format') || 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    return errorResponse(`format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const { query, error } = parseDataQuery(searchParams);
+  if (error) return errorResponse(error);
+
+  let archive = null;
+  if (query.asOf) {
+    archive = await findArchive(query.asOf);
+    if (!archive) return errorResponse(`No archive was written on or before ${query.asOf}`, 404);
+  }
+
+  const result = await loadChartData({ ...query, archive });
+  if (!result) {
+    return errorResponse(DATA_UNAVAILABLE, 503);
+  }
+
+  const table = buildExport({
+    rows: result.data,
+    columns: result.columns.map(key => ({ key, name: getEntry(key)?.name || key })),
+    denominator: result.denominator,
+    indexed: result.indexed,
+    interval: result.interval,
+    sources: result.sources,
+    lastUpdated: (archive || result.snapshot)?.generatedAt ?? new Date().toISOString(),
+  });
+  const { body, mimeType, filename } = serializeExport(table, format);
+
+  return new Response(body, {
+    headers: {
+      'Content-Type': mimeType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    },
+  });
+}
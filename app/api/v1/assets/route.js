@@ -0,0 +1,10 @@
+import { handle, jsonResponse, listSeries, API_VERSION, MAX_AGE } from '../../../../lib/apiV1.js';
+
+export const dynamic = 'force-dynamic';
+
+// GET /api/v1/assets: every series the API serves, chartable assets first
+export const GET = handle(async (request) => jsonResponse(
+  request,
+  { data: listSeries(), meta: { apiVersion: API_VERSION } },
+  MAX_AGE.registry
+));
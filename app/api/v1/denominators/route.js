@@ -0,0 +1,11 @@
+import { handle, jsonResponse, listDenominators, API_VERSION, MAX_AGE } from '../../../../lib/apiV1.js';
+
+export const dynamic = 'force-dynamic';
+
+// GET /api/v1/denominators: the built-in denominators. Any asset key is accepted as a
+// denominator too, pricing the series in that asset.
+export const GET = handle(async (request) => jsonResponse(
+  request,
+  { data: listDenominators(), meta: { apiVersion: API_VERSION } },
+  MAX_AGE.registry
+));
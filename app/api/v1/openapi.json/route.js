@@ -0,0 +1,7 @@
+import { handle, jsonResponse, MAX_AGE } from '../../../../lib/apiV1.js';
+import { openApiSpec } from '../../../../lib/openapi.js';
+
+export const dynamic = 'force-dynamic';
+
+// GET /api/v1/openapi.json: the API description, bare rather than in { data, meta }
+export const GET = handle(async (request) => jsonResponse(request, openApiSpec(), MAX_AGE.registry));
@@ -0,0 +1,33 @@
+import { loadChartData } from '../../../../../../lib/dataset.js';
+import { findArchive } from '../../../../../../lib/archive.js';
+import { parseSeriesQuery } from '../../../../../../lib/query.js';
+import {
+  handle, jsonResponse, errorResponse, datasetMeta, datasetMaxAge, describeSeries, describeDenominator, seriesPoints,
+} from '../../../../../../lib/apiV1.js';
+import { DATA_UNAVAILABLE } from '../../../../../../lib/http.js';
+
+export const dynamic = 'force-dynamic';
+
+// GET /api/v1/series/{key}/real?denominator=GOLD: the series as the dashboard charts it
+export const GET = handle(async (request, { params }) => {
+  const { query, error, status } = parseSeriesQuery(params.key, new URL(request.url).searchParams, { transform: true });
+  if (error) return errorResponse(status || 400, error);
+
+  let archive = null;
+  if (query.asOf) {
+    archive = await findArchive(query.asOf);
+    if (!archive) return errorResponse(404, `No archive was written on or before ${query.asOf}`);
+  }
+
+  const result = await loadChartData({ ...query, archive });
+  if (!result) return errorResponse(503, DATA_UNAVAILABLE);
+
+  const [key] = query.assets;
+  const data = {
+    ...describeSeries(key),
+    denominator: describeDenominator(result.denominator),
+    indexed: result.indexed,
+    points: seriesPoints(result.data, key),
+  };
+  return jsonResponse(request, { data, meta: datasetMeta(result) }, datasetMaxAge(result));
+});
@@ -0,0 +1,32 @@
+import { loadDataset } from '../../../../../lib/dataset.js';
+import { findArchive } from '../../../../../lib/archive.js';
+import { parseSeriesQuery } from '../../../../../lib/query.js';
+import {
+  handle, jsonResponse, errorResponse, datasetMeta, datasetMaxAge, describeSeries, seriesPoints,
+} from '../../../../../lib/apiV1.js';
+import { DATA_UNAVAILABLE } from '../../../../../lib/http.js';
+
+export const dynamic = 'force-dynamic';
+
+// GET /api/v1/series/{key}: one series as loaded, on the SPX calendar
+export const GET = handle(async (request, { params }) => {
+  const { query, error, status } = parseSeriesQuery(params.key, new URL(request.url).searchParams);
+  if (error) return errorResponse(status || 400, error);
+
+  let archive = null;
+  if (query.asOf) {
+    archive = await findArchive(query.asOf);
+    if (!archive) return errorResponse(404, `No archive was written on or before ${query.asOf}`);
+  }
+
+  const [key] = query.assets;
+  const { start, end, interval, align, maxStaleDays } = query;
+  const result = await loadDataset({ keys: [key], start, end, interval, align, maxStaleDays, archive });
+  if (!result) return errorResponse(503, DATA_UNAVAILABLE);
+
+  return jsonResponse(
+    request,
+    { data: { ...describeSeries(key), points: seriesPoints(result.rows, key) }, meta: datasetMeta(result) },
+    datasetMaxAge(result)
+  );
+});
@@ -0,0 +1,245 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { ALERT_TYPES } from '../../lib/alerts.js';
+import { DENOMINATORS } from '../../lib/transform.js';
+import { readLocal, writeLocal } from '../../lib/storage.js';
+
+const inputStyle = {
+  padding: '8px 10px',
+  fontSize: '12px',
+  background: 'rgba(255,255,255,0.03)',
+  border: '1px solid rgba(255,255,255,0.08)',
+  borderRadius: '5px',
+  color: '#fff',
+  fontFamily: "'JetBrains Mono', monospace",
+};
+
+const buttonStyle = {
+  padding: '8px 14px',
+  fontSize: '12px',
+  background: 'rgba(255,255,255,0.08)',
+  border: '1px solid rgba(255,255,255,0.12)',
+  borderRadius: '5px',
+  color: '#fff',
+  cursor: 'pointer',
+};
+
+const listStyle = {
+  fontSize: '12px',
+  color: 'rgba(255,255,255,0.6)',
+  padding: '6px 0',
+  borderTop: '1px solid rgba(255,255,255,0.04)',
+  display: 'flex',
+  gap: '12px',
+  alignItems: 'baseline',
+};
+
+const labelStyle = {
+  fontSize: '9px',
+  textTransform: 'uppercase',
+  letterSpacing: '0.12em',
+  color: 'rgba(255,255,255,0.3)',
+  margin: '16px 0 4px',
+};
+
+const EMPTY_FORM = {
+  asset: 'SPX',
+  type: 'threshold',
+  direction: 'below',
+  level: '',
+  percent: '20',
+  months: '12',
+  notify: ['log'],
+};
+
+// Server-side alert rules on real-terms series, with what they have fired. Rules are
+// evaluated by `npm run alerts` on a schedule, or on demand with "Check now". Changes
+// need the server's ALERTS_TOKEN, entered once and kept in this browser.
+export default function AlertsPanel({ assets, denominator }) {
+  const [form, setForm] = useState({
+    ...EMPTY_FORM,
+    denominator: DENOMINATORS[denominator] || assets[denominator] ? denominator : 'USD',
+  });
+  const [state, setState] = useState({ rules: [], history: [], notifiers: [] });
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [token, setToken] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const body = await (await fetch('/api/alerts')).json();
+      if (body.success) setState(body);
+      else setError(body.error);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+  useEffect(() => { setToken(readLocal('alertsToken', '')); }, []);
+
+  const changeToken = (event) => {
+    setToken(event.target.value);
+    writeLocal('alertsToken', event.target.value);
+  };
+
+  const update = (field) => (event) => setForm(prev => ({ ...prev, [field]: event.target.value }));
+
+  const changeType = (event) => {
+    const type = event.target.value;
+    setForm(prev => ({ ...prev, type, direction: Object.keys(ALERT_TYPES[type].directions)[0] }));
+  };
+
+  const toggleNotifier = (id) => setForm(prev => ({
+    ...prev,
+    notify: prev.notify.includes(id) ? prev.notify.filter(n => n !== id) : [...prev.notify, id],
+  }));
+
+  // Sends an authorized request, then reloads rules and history; returns the response body
+  const request = async (url, options) => {
+    setBusy(true);
+    try {
+      const headers = { ...options.headers, Authorization: `Bearer ${token}` };
+      const body = await (await fetch(url, { ...options, headers })).json();
+      if (!body.success) setError(body.error);
+      else setError(null);
+      await load();
+      return body;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const addRule = () => request('/api/alerts', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      asset: form.asset,
+      denominator: form.denominator,
+      type: form.type,
+      direction: form.direction,
+      level: form.type === 'threshold' ? Number(form.level) : undefined,
+      percent: form.type === 'change' ? Number(form.percent) : undefined,
+      months: form.type === 'change' ? Number(form.months) : undefined,
+      notify: form.notify,
+    }),
+  });
+
+  const lastFired = (ruleId) => state.history.find(event => event.ruleId === ruleId);
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.01)',
+      border: '1px solid rgba(255,255,255,0.04)',
+      borderRadius: '8px',
+      padding: '16px 20px',
+      marginBottom: '32px'
+    }}>
+      <div style={{ fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.12em', color: 'rgba(255,255,255,0.3)', marginBottom: '10px' }}>
+        Alerts
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+        <select style={inputStyle} value={form.asset} onChange={update('asset')} title="Asset">
+          {Object.entries(assets).map(([key, asset]) => <option key={key} value={key}>{asset.name}</option>)}
+        </select>
+        <select style={inputStyle} value={form.denominator} onChange={update('denominator')} title="Priced in">
+          {Object.entries(DENOMINATORS).map(([id, spec]) => <option key={id} value={id}>{spec.label}</option>)}
+          {Object.entries(assets).map(([key, asset]) => <option key={key} value={key}>in {asset.name}</option>)}
+        </select>
+        <select style={inputStyle} value={form.type} onChange={changeType} title="Rule">
+          {Object.entries(ALERT_TYPES).map(([key, type]) => <option key={key} value={key}>{type.label}</option>)}
+        </select>
+        <select style={inputStyle} value={form.direction} onChange={update('direction')} title="Direction">
+          {Object.entries(ALERT_TYPES[form.type].directions).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        {form.type === 'threshold' && (
+          <input style={{ ...inputStyle, width: '90px' }} placeholder="Level" title="In the denominator's unit, as the chart shows it" value={form.level} onChange={update('level')} />
+        )}
+        {form.type === 'change' && (
+          <>
+            <input style={{ ...inputStyle, width: '60px' }} placeholder="%" title="Size of the move, percent" value={form.percent} onChange={update('percent')} />
+            <input style={{ ...inputStyle, width: '60px' }} placeholder="Months" title="Over this many months" value={form.months} onChange={update('months')} />
+          </>
+        )}
+        {state.notifiers.map(notifier => (
+          <label
+            key={notifier.id}
+            title={notifier.configured ? '' : 'Not configured on this server'}
+            style={{ fontSize: '12px', color: notifier.configured ? 'rgba(255,255,255,0.6)' : 'rgba(255,255,255,0.25)', display: 'flex', gap: '4px', alignItems: 'center' }}
+          >
+            <input
+              type="checkbox"
+              checked={form.notify.includes(notifier.id)}
+              disabled={!notifier.configured}
+              onChange={() => toggleNotifier(notifier.id)}
+            />
+            {notifier.label}
+          </label>
+        ))}
+        <input
+          type="password"
+          style={{ ...inputStyle, width: '120px' }}
+          placeholder="Admin token"
+          title="ALERTS_TOKEN from the server, needed to change or run rules"
+          value={token}
+          onChange={changeToken}
+        />
+        <button style={buttonStyle} onClick={addRule} disabled={busy}>Add alert</button>
+        <button style={buttonStyle} onClick={() => request('/api/alerts/check', { method: 'POST' })} disabled={busy || !state.rules.length}>
+          {busy ? 'Working…' : 'Check now'}
+        </button>
+      </div>
+
+      {error && <div style={{ marginTop: '10px', fontSize: '12px', color: '#f87171' }}>{error}</div>}
+
+      {state.rules.length > 0 && (
+        <>
+          <div style={labelStyle}>Rules</div>
+          {state.rules.map(rule => {
+            const fired = lastFired(rule.id);
+            return (
+              <div key={rule.id} style={listStyle}>
+                <span style={{ flex: 1 }}>{rule.description}</span>
+                <span style={{ color: 'rgba(255,255,255,0.3)' }}>{rule.notify.join(', ')}</span>
+                <span style={{ color: 'rgba(255,255,255,0.3)' }}>{fired ? `fired ${fired.date}` : 'not fired'}</span>
+                <button
+                  onClick={() => request(`/api/alerts?id=${encodeURIComponent(rule.id)}`, { method: 'DELETE' })}
+                  style={{ background: 'none', border: 'none', color: 'rgba(255,255,255,0.3)', cursor: 'pointer', fontSize: '14px' }}
+                  title="Delete rule"
+                >
+                  ×
+                </button>
+              </div>
+            );
+          })}
+        </>
+      )}
+
+      {state.history.length > 0 && (
+        <>
+          <div style={labelStyle}>History</div>
+          {state.history.map(event => {
+            const failed = Object.entries(event.deliveries).filter(([, status]) => status !== 'sent');
+            return (
+              <div key={event.id} style={listStyle}>
+                <span style={{ flex: 1 }}>{event.message}</span>
+                <span
+                  style={{ color: failed.length ? '#f87171' : 'rgba(255,255,255,0.3)' }}
+                  title={failed.map(([id, reason]) => `${id}: ${reason}`).join('\n')}
+                >
+                  {failed.length ? `${failed.map(([id]) => id).join(', ')} failed` : 'delivered'}
+                </span>
+                <span style={{ color: 'rgba(255,255,255,0.3)' }}>{event.firedAt.split('T')[0]}</span>
+              </div>
+            );
+          })}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,235 @@
+'use client';
+
+import React, { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { CONTRIBUTION_FREQUENCIES, BACKTEST_REBALANCE, PORTFOLIO_KEY } from '../../lib/backtest.js';
+import { formatAxisValue, formatTooltipValue } from '../../lib/transform.js';
+import { formatPercent } from './StatsTable.js';
+
+const inputStyle = {
+  padding: '8px 10px',
+  fontSize: '12px',
+  background: 'rgba(255,255,255,0.03)',
+  border: '1px solid rgba(255,255,255,0.08)',
+  borderRadius: '5px',
+  color: '#fff',
+  fontFamily: "'JetBrains Mono', monospace",
+};
+
+const buttonStyle = {
+  padding: '8px 14px',
+  fontSize: '12px',
+  background: 'rgba(255,255,255,0.08)',
+  border: '1px solid rgba(255,255,255,0.12)',
+  borderRadius: '5px',
+  color: '#fff',
+  cursor: 'pointer',
+};
+
+const headerStyle = {
+  padding: '8px 12px',
+  fontSize: '9px',
+  fontWeight: 400,
+  textTransform: 'uppercase',
+  letterSpacing: '0.12em',
+  color: 'rgba(255,255,255,0.3)',
+  textAlign: 'right',
+  whiteSpace: 'nowrap',
+};
+
+const cellStyle = {
+  padding: '8px 12px',
+  textAlign: 'right',
+  fontFamily: "'JetBrains Mono', monospace",
+  whiteSpace: 'nowrap',
+};
+
+const EMPTY_FORM = {
+  allocations: 'SPX 60, BTC 20, GOLD 20',
+  initial: '0',
+  contribution: '500',
+  frequency: 'monthly',
+  rebalance: 'annually',
+  start: '2016-01-01',
+};
+
+// "SPX 60, BTC 20" or "SPX:60 BTC:20" -> { SPX: 60, BTC: 20 }; null if unreadable
+function parseAllocations(text) {
+  const pairs = text.toUpperCase().match(/[A-Z0-9_]+\s*[:=]?\s*[\d.]+/g);
+  if (!pairs) return null;
+  return Object.fromEntries(pairs.map(pair => {
+    const [, key, weight] = pair.match(/([A-Z0-9_]+)\s*[:=]?\s*([\d.]+)/);
+    return [key, parseFloat(weight)];
+  }));
+}
+
+// "What if" simulator: a portfolio with contributions and rebalancing, measured in every
+// denominator next to the same cash put into each asset alone
+export default function Backtester({ assets, denominator }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [result, setResult] = useState(null);
+  const [chartDenominator, setChartDenominator] = useState(null);
+  const [error, setError] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const update = (field) => (event) => setForm(prev => ({ ...prev, [field]: event.target.value }));
+
+  const run = async () => {
+    const allocations = parseAllocations(form.allocations);
+    if (!allocations) {
+      setError('List allocations as KEY weight, e.g. SPX 60, BTC 20, GOLD 20');
+      return;
+    }
+
+    setRunning(true);
+    try {
+      const response = await fetch('/api/backtest', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          allocations,
+          initial: Number(form.initial) || 0,
+          contribution: Number(form.contribution) || 0,
+          frequency: form.frequency,
+          rebalance: form.rebalance,
+          start: form.start || null,
+        }),
+      });
+      const body = await response.json();
+      if (body.success) {
+        setResult(body);
+        setError(null);
+      } else {
+        setError(body.error || 'Backtest failed');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const keys = result ? Object.keys(Object.values(result.denominators)[0].assets) : [];
+  const chartId = [chartDenominator, denominator, 'USD'].find(id => result?.denominators[id]);
+  const chart = result?.denominators[chartId];
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.01)',
+      border: '1px solid rgba(255,255,255,0.04)',
+      borderRadius: '8px',
+      padding: '16px 20px',
+      marginBottom: '32px'
+    }}>
+      <div style={{ fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.12em', color: 'rgba(255,255,255,0.3)', marginBottom: '10px' }}>
+        Portfolio Backtest
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+        <input style={{ ...inputStyle, width: '220px' }} placeholder="SPX 60, BTC 20, GOLD 20" value={form.allocations} onChange={update('allocations')} />
+        <input style={{ ...inputStyle, width: '100px' }} placeholder="Lump sum" title="Lump sum invested at the start, USD" value={form.initial} onChange={update('initial')} />
+        <input style={{ ...inputStyle, width: '90px' }} placeholder="Contribution" title="Added every period, USD" value={form.contribution} onChange={update('contribution')} />
+        <select style={inputStyle} value={form.frequency} onChange={update('frequency')} title="Contribution frequency">
+          {Object.entries(CONTRIBUTION_FREQUENCIES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        <select style={inputStyle} value={form.rebalance} onChange={update('rebalance')} title="Rebalance">
+          {Object.entries(BACKTEST_REBALANCE).map(([key, label]) => <option key={key} value={key}>Rebalance: {label}</option>)}
+        </select>
+        <input type="date" style={inputStyle} value={form.start} onChange={update('start')} title="Start" />
+        <button style={buttonStyle} onClick={run} disabled={running}>{running ? 'Running…' : 'Run backtest'}</button>
+      </div>
+
+      {error && <div style={{ marginTop: '10px', fontSize: '12px', color: '#f87171' }}>{error}</div>}
+
+      {result && (
+        <div style={{ marginTop: '16px' }}>
+          <div style={{ fontSize: '12px', color: 'rgba(255,255,255,0.45)', marginBottom: '10px' }}>
+            {result.start} → {result.end} · ${result.contributed.toLocaleString()} paid in
+          </div>
+
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px', color: 'rgba(255,255,255,0.7)' }}>
+              <thead>
+                <tr>
+                  <th style={{ ...headerStyle, textAlign: 'left' }}>Measured in</th>
+                  <th style={headerStyle} title="Each contribution converted at its own date">Contributed</th>
+                  <th style={headerStyle}>Portfolio</th>
+                  <th style={headerStyle} title="Money-weighted annual return">Annualized</th>
+                  {keys.map(key => (
+                    <th key={key} style={headerStyle} title={`The same cash flows into ${assets[key]?.name || key} alone`}>
+                      {assets[key]?.name || key} only
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(result.denominators).map(([id, entry]) => {
+                  const spec = { unit: entry.unit };
+                  return (
+                    <tr
+                      key={id}
+                      onClick={() => setChartDenominator(id)}
+                      style={{ borderTop: '1px solid rgba(255,255,255,0.04)', cursor: 'pointer', background: id === chartId ? 'rgba(255,255,255,0.03)' : 'transparent' }}
+                    >
+                      <td style={{ ...cellStyle, textAlign: 'left', fontFamily: 'inherit' }}>{entry.label}</td>
+                      <td style={cellStyle}>{formatTooltipValue(entry.contributed, spec, false)}</td>
+                      <td style={cellStyle}>
+                        {formatTooltipValue(entry.portfolio.ending, spec, false)}
+                        <div style={{ fontSize: '10px', color: entry.portfolio.gain >= 0 ? '#4ade80' : '#f87171' }}>
+                          {formatPercent(entry.portfolio.gain)}
+                        </div>
+                      </td>
+                      <td style={cellStyle}>{formatPercent(entry.portfolio.annualizedReturn)}</td>
+                      {keys.map(key => (
+                        <td key={key} style={cellStyle}>
+                          {formatTooltipValue(entry.assets[key].ending, spec, false)}
+                          <div style={{ fontSize: '10px', color: entry.assets[key].gain >= 0 ? '#4ade80' : '#f87171' }}>
+                            {formatPercent(entry.assets[key].gain)}
+                          </div>
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ fontSize: '11px', color: 'rgba(255,255,255,0.35)', margin: '16px 0 8px' }}>
+            Portfolio value against money paid in, {chart.label}. Click a row to switch.
+          </div>
+          <div style={{ height: '240px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chart.data} margin={{ top: 8, right: 24, left: 8, bottom: 8 }}>
+                <XAxis
+                  dataKey="date"
+                  axisLine={{ stroke: 'rgba(255,255,255,0.06)' }}
+                  tickLine={false}
+                  tick={{ fill: 'rgba(255,255,255,0.3)', fontSize: 10, fontFamily: "'JetBrains Mono', monospace" }}
+                  tickFormatter={(val) => val?.split('-')[0]}
+                  minTickGap={40}
+                />
+                <YAxis
+                  axisLine={{ stroke: 'rgba(255,255,255,0.06)' }}
+                  tickLine={false}
+                  tick={{ fill: 'rgba(255,255,255,0.3)', fontSize: 10, fontFamily: "'JetBrains Mono', monospace" }}
+                  tickFormatter={(value) => formatAxisValue(value, { unit: chart.unit }, false)}
+                  width={65}
+                />
+                <Tooltip
+                  contentStyle={{ background: 'rgba(5, 5, 8, 0.96)', border: '1px solid rgba(255, 255, 255, 0.08)', borderRadius: '8px', fontSize: '12px' }}
+                  formatter={(value) => formatTooltipValue(value, { unit: chart.unit }, false)}
+                />
+                <Line type="monotone" dataKey={PORTFOLIO_KEY} name="Portfolio" stroke="#e5e7eb" strokeWidth={1.8} dot={false} connectNulls />
+                <Line type="stepAfter" dataKey="contributed" name="Contributed" stroke="rgba(255,255,255,0.35)" strokeDasharray="4 4" dot={false} connectNulls />
+                {keys.map(key => (
+                  <Line key={key} type="monotone" dataKey={key} name={`${assets[key]?.name || key} only`} stroke={assets[key]?.color} strokeWidth={1} strokeOpacity={0.6} dot={false} connectNulls />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
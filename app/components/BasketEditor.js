@@ -0,0 +1,171 @@
+'use client';
+
+import React, { useState } from 'react';
+import {
+  WEIGHTINGS, REBALANCE_SCHEDULES, BASKET_COLORS, MAX_BASKETS, slugify, validateBasket,
+} from '../../lib/baskets.js';
+
+const EMPTY_FORM = {
+  name: '',
+  constituents: '',
+  weighting: 'equal',
+  weights: '',
+  rebalance: 'monthly',
+};
+
+const inputStyle = {
+  padding: '8px 10px',
+  fontSize: '12px',
+  background: 'rgba(255,255,255,0.03)',
+  border: '1px solid rgba(255,255,255,0.08)',
+  borderRadius: '5px',
+  color: '#fff',
+  fontFamily: "'JetBrains Mono', monospace",
+};
+
+const buttonStyle = {
+  padding: '8px 14px',
+  fontSize: '12px',
+  background: 'rgba(255,255,255,0.08)',
+  border: '1px solid rgba(255,255,255,0.12)',
+  borderRadius: '5px',
+  color: '#fff',
+  cursor: 'pointer',
+};
+
+function parseList(text) {
+  return text.split(/[\s,]+/).map(item => item.trim()).filter(Boolean);
+}
+
+function toForm(basket) {
+  return {
+    name: basket.name,
+    constituents: basket.constituents.join(', '),
+    weighting: basket.weighting,
+    weights: basket.weighting === 'custom'
+      ? basket.constituents.map(key => basket.weights[key]).join(', ')
+      : '',
+    rebalance: basket.rebalance,
+  };
+}
+
+export default function BasketEditor({ baskets, onChange, notice }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const update = (field) => (event) => setForm(prev => ({ ...prev, [field]: event.target.value }));
+
+  const reset = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+    setError(null);
+  };
+
+  const save = () => {
+    const constituents = parseList(form.constituents.toUpperCase());
+    const basket = {
+      id: editingId || slugify(form.name),
+      name: form.name.trim(),
+      color: baskets.find(b => b.id === editingId)?.color
+        || BASKET_COLORS[baskets.length % BASKET_COLORS.length],
+      constituents,
+      weighting: form.weighting,
+      rebalance: form.rebalance,
+    };
+
+    if (form.weighting === 'custom') {
+      const weights = parseList(form.weights).map(Number);
+      if (weights.length !== constituents.length) {
+        setError('Enter one weight per constituent');
+        return;
+      }
+      basket.weights = Object.fromEntries(constituents.map((key, i) => [key, weights[i]]));
+    }
+
+    const validationError = validateBasket(basket);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    if (!editingId && baskets.some(b => b.id === basket.id)) {
+      setError(`A basket named "${basket.name}" already exists`);
+      return;
+    }
+    if (!editingId && baskets.length >= MAX_BASKETS) {
+      setError(`At most ${MAX_BASKETS} baskets`);
+      return;
+    }
+
+    onChange(editingId
+      ? baskets.map(b => (b.id === editingId ? basket : b))
+      : [...baskets, basket]);
+    reset();
+  };
+
+  const remove = (id) => {
+    onChange(baskets.filter(b => b.id !== id));
+    if (editingId === id) reset();
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.01)',
+      border: '1px solid rgba(255,255,255,0.04)',
+      borderRadius: '8px',
+      padding: '16px 20px',
+      marginBottom: '20px'
+    }}>
+      <div style={{ fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.12em', color: 'rgba(255,255,255,0.3)', marginBottom: '10px' }}>
+        Custom Baskets
+      </div>
+
+      {baskets.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '14px' }}>
+          {baskets.map(basket => (
+            <div key={basket.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', color: 'rgba(255,255,255,0.6)' }}>
+              <span style={{ width: '6px', height: '6px', borderRadius: '50%', background: basket.color }} />
+              <button
+                onClick={() => { setForm(toForm(basket)); setEditingId(basket.id); setError(null); }}
+                style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', padding: 0, fontSize: '12px' }}
+              >
+                {basket.name}
+              </button>
+              <span style={{ color: 'rgba(255,255,255,0.3)' }}>
+                {WEIGHTINGS[basket.weighting]} · {REBALANCE_SCHEDULES[basket.rebalance]}
+              </span>
+              <button
+                onClick={() => remove(basket.id)}
+                aria-label={`Delete ${basket.name}`}
+                style={{ background: 'none', border: 'none', color: '#f87171', cursor: 'pointer', padding: 0 }}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+        <input style={{ ...inputStyle, width: '140px' }} placeholder="Name" value={form.name} onChange={update('name')} />
+        <input style={{ ...inputStyle, width: '240px' }} placeholder="NVDA, AMD, TSM" value={form.constituents} onChange={update('constituents')} />
+        <select style={inputStyle} value={form.weighting} onChange={update('weighting')}>
+          {Object.entries(WEIGHTINGS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        {form.weighting === 'custom' && (
+          <input style={{ ...inputStyle, width: '140px' }} placeholder="50, 25, 25" value={form.weights} onChange={update('weights')} />
+        )}
+        <select style={inputStyle} value={form.rebalance} onChange={update('rebalance')}>
+          {Object.entries(REBALANCE_SCHEDULES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        <button style={buttonStyle} onClick={save}>{editingId ? 'Update' : 'Add basket'}</button>
+        {editingId && (
+          <button style={{ ...buttonStyle, background: 'transparent' }} onClick={reset}>Cancel</button>
+        )}
+      </div>
+
+      {error && <div style={{ marginTop: '10px', fontSize: '12px', color: '#f87171' }}>{error}</div>}
+      {notice && <div style={{ marginTop: '10px', fontSize: '12px', color: '#fbbf24' }}>{notice}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+'use client';
+
+import React from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine, ReferenceArea,
+} from 'recharts';
+import { formatAxisValue, formatTooltipValue } from '../../lib/transform.js';
+import { BAND_FILLS, LINE_STROKES } from '../../lib/annotations.js';
+import { formatPercent } from './StatsTable.js';
+
+// Hovering any chart with this id moves the crosshair on all of them, by date
+const SYNC_ID = 'real-terms-compare';
+
+const tickStyle = { fill: 'rgba(255,255,255,0.3)', fontSize: 10, fontFamily: "'JetBrains Mono', monospace" };
+
+const tooltipStyle = {
+  background: 'rgba(5, 5, 8, 0.96)',
+  border: '1px solid rgba(255, 255, 255, 0.08)',
+  borderRadius: '8px',
+  fontSize: '12px',
+};
+
+const titleStyle = {
+  fontSize: '9px',
+  textTransform: 'uppercase',
+  letterSpacing: '0.12em',
+  color: 'rgba(255,255,255,0.3)',
+  marginBottom: '8px',
+};
+
+function yDomain(mode, logScale, indexed) {
+  if (mode === 'drawdown') return ['auto', 0];
+  if (logScale || !indexed) return ['auto', 'auto'];
+  return [0, 'auto'];
+}
+
+// One chart of the comparison layouts: same X axis, annotations and crosshair as the rest
+function ComparePanel({ data, lines, height, formatAxis, formatValue, mode, logScale, indexed, annotations, monthTicks }) {
+  const levelMode = mode === 'level';
+  return (
+    <div style={{ height }}>
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={data} syncId={SYNC_ID} syncMethod="value" margin={{ top: 8, right: 16, left: 0, bottom: 8 }}>
+          <XAxis
+            dataKey="date"
+            axisLine={{ stroke: 'rgba(255,255,255,0.06)' }}
+            tickLine={false}
+            tick={tickStyle}
+            tickFormatter={(val) => (monthTicks ? val?.substring(0, 7) : val?.split('-')[0])}
+            interval="preserveStartEnd"
+            minTickGap={40}
+          />
+          <YAxis
+            scale={logScale && levelMode ? 'log' : 'auto'}
+            domain={yDomain(mode, logScale && levelMode, indexed)}
+            axisLine={{ stroke: 'rgba(255,255,255,0.06)' }}
+            tickLine={false}
+            tick={tickStyle}
+            tickFormatter={formatAxis}
+            width={60}
+          />
+          <Tooltip
+            contentStyle={tooltipStyle}
+            labelStyle={{ color: 'rgba(255,255,255,0.4)', fontFamily: "'JetBrains Mono', monospace", fontSize: '11px' }}
+            formatter={(value) => formatValue(value)}
+            itemSorter={(item) => -item.value}
+          />
+
+          {annotations.bands.map(band => (
+            <ReferenceArea key={band.id} x1={band.x1} x2={band.x2} fill={BAND_FILLS[band.kind]} strokeOpacity={0} />
+          ))}
+          {annotations.lines.map(line => (
+            <ReferenceLine key={line.id} x={line.x} stroke={LINE_STROKES[line.layer]} strokeDasharray="2 4" />
+          ))}
+          {levelMode && indexed && <ReferenceLine y={100} stroke="rgba(255,255,255,0.1)" strokeDasharray="3 3" />}
+          {!levelMode && <ReferenceLine y={0} stroke="rgba(255,255,255,0.15)" strokeDasharray="3 3" />}
+
+          {lines.map(({ key, name, color, width = 1.6, opacity = 1 }) => (
+            <Line key={key} type="monotone" dataKey={key} name={name} stroke={color} strokeWidth={width} strokeOpacity={opacity} dot={false} connectNulls />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+/**
+ * The selected assets once per compared denominator (multiplesPanels in lib/compare.js),
+ * in a grid of small charts sharing dates and crosshair.
+ */
+export default function SmallMultiples({ panels, assets, mode, indexed, logScale, annotations, monthTicks, hoveredAsset }) {
+  if (panels.length === 0) {
+    return <div style={{ fontSize: '12px', color: 'rgba(255,255,255,0.4)' }}>Pick denominators to compare.</div>;
+  }
+
+  const lines = assets.map(({ key, name, color }) => ({
+    key,
+    name,
+    color,
+    width: hoveredAsset === key ? 2.4 : 1.6,
+    opacity: hoveredAsset && hoveredAsset !== key ? 0.2 : 1,
+  }));
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(420px, 1fr))', gap: '20px' }}>
+      {panels.map(({ id, spec, data }) => (
+        <div key={id}>
+          <div style={titleStyle}>{spec.label}</div>
+          <ComparePanel
+            data={data}
+            lines={lines}
+            height="220px"
+            mode={mode}
+            logScale={logScale}
+            indexed={indexed}
+            annotations={annotations}
+            monthTicks={monthTicks}
+            formatAxis={(value) => (mode === 'drawdown' ? `${(value * 100).toFixed(0)}%` : formatAxisValue(value, spec, indexed))}
+            formatValue={(value) => (mode === 'drawdown' ? formatPercent(value) : formatTooltipValue(value, spec, indexed))}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// One asset under every denominator (lensRows in lib/compare.js), indexed to 100
+export function LensChart({ lens, assetName, mode, logScale, annotations, monthTicks }) {
+  return (
+    <div>
+      <div style={titleStyle}>{assetName} in every denominator{mode === 'level' ? ' · indexed to 100' : ''}</div>
+      <ComparePanel
+        data={lens.data}
+        lines={lens.lines}
+        height="440px"
+        mode={mode}
+        logScale={logScale}
+        indexed
+        annotations={annotations}
+        monthTicks={monthTicks}
+        formatAxis={(value) => (mode === 'drawdown' ? `${(value * 100).toFixed(0)}%` : formatAxisValue(value, null, true))}
+        formatValue={(value) => (mode === 'drawdown' ? formatPercent(value) : formatTooltipValue(value, null, true))}
+      />
+    </div>
+  );
+}
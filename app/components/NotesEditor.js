@@ -0,0 +1,94 @@
+'use client';
+
+import React, { useState } from 'react';
+import { MAX_NOTES, MAX_NOTE_LENGTH, normalizeNotes } from '../../lib/annotations.js';
+
+const inputStyle = {
+  padding: '8px 10px',
+  fontSize: '12px',
+  background: 'rgba(255,255,255,0.03)',
+  border: '1px solid rgba(255,255,255,0.08)',
+  borderRadius: '5px',
+  color: '#fff',
+  fontFamily: "'JetBrains Mono', monospace",
+};
+
+const buttonStyle = {
+  padding: '8px 14px',
+  fontSize: '12px',
+  background: 'rgba(255,255,255,0.08)',
+  border: '1px solid rgba(255,255,255,0.12)',
+  borderRadius: '5px',
+  color: '#fff',
+  cursor: 'pointer',
+};
+
+// Dated notes drawn on the chart when the Notes layer is on
+export default function NotesEditor({ notes, onChange }) {
+  const [date, setDate] = useState('');
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+
+  const add = () => {
+    if (!date || !text.trim()) {
+      setError('A note needs a date and some text');
+      return;
+    }
+    if (notes.length >= MAX_NOTES) {
+      setError(`At most ${MAX_NOTES} notes`);
+      return;
+    }
+    onChange(normalizeNotes([...notes, { date, text }]));
+    setText('');
+    setError(null);
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.01)',
+      border: '1px solid rgba(255,255,255,0.04)',
+      borderRadius: '8px',
+      padding: '16px 20px',
+      marginBottom: '20px'
+    }}>
+      <div style={{ fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.12em', color: 'rgba(255,255,255,0.3)', marginBottom: '10px' }}>
+        Chart Notes
+      </div>
+
+      {notes.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px', marginBottom: '14px' }}>
+          {notes.map((note, index) => (
+            <div key={`${note.date}-${index}`} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', color: 'rgba(255,255,255,0.6)' }}>
+              <span style={{ fontFamily: "'JetBrains Mono', monospace", color: 'rgba(255,255,255,0.35)' }}>{note.date}</span>
+              <span>{note.text}</span>
+              <button
+                onClick={() => onChange(notes.filter((_, other) => other !== index))}
+                aria-label={`Delete note ${note.text}`}
+                style={{ background: 'none', border: 'none', color: '#f87171', cursor: 'pointer', padding: 0 }}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+        <input type="date" style={inputStyle} value={date} onChange={event => setDate(event.target.value)} />
+        <input
+          style={{ ...inputStyle, width: '280px' }}
+          placeholder="Fed cuts to zero"
+          maxLength={MAX_NOTE_LENGTH}
+          value={text}
+          onChange={event => setText(event.target.value)}
+          onKeyDown={event => { if (event.key === 'Enter') add(); }}
+        />
+        <button style={buttonStyle} onClick={add}>Add note</button>
+      </div>
+
+      {error && (
+        <div style={{ marginTop: '10px', fontSize: '12px', color: '#f87171' }}>{error}</div>
+      )}
+    </div>
+  );
+}
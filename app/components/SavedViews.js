@@ -0,0 +1,150 @@
+'use client';
+
+import React, { useState, useRef } from 'react';
+import { exportViews, importViews, mergeViews, MAX_SAVED_VIEWS } from '../../lib/views.js';
+import { downloadFile } from '../../lib/export.js';
+
+const inputStyle = {
+  padding: '8px 10px',
+  fontSize: '12px',
+  background: 'rgba(255,255,255,0.03)',
+  border: '1px solid rgba(255,255,255,0.08)',
+  borderRadius: '5px',
+  color: '#fff',
+  fontFamily: "'JetBrains Mono', monospace",
+};
+
+const buttonStyle = {
+  padding: '8px 14px',
+  fontSize: '12px',
+  background: 'rgba(255,255,255,0.08)',
+  border: '1px solid rgba(255,255,255,0.12)',
+  borderRadius: '5px',
+  color: '#fff',
+  cursor: 'pointer',
+};
+
+const quietButtonStyle = { ...buttonStyle, background: 'transparent' };
+
+export default function SavedViews({ saved, onChange, view, onApply }) {
+  const [name, setName] = useState('');
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+
+  const save = () => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      setMessage({ error: true, text: 'Give the view a name' });
+      return;
+    }
+    if (!saved.some(entry => entry.name === trimmed) && saved.length >= MAX_SAVED_VIEWS) {
+      setMessage({ error: true, text: `At most ${MAX_SAVED_VIEWS} saved views` });
+      return;
+    }
+    onChange(mergeViews(saved, [{ name: trimmed, view }]));
+    setName('');
+    setMessage(null);
+  };
+
+  const copy = async (text, done) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setMessage({ text: done });
+    } catch {
+      setMessage({ error: true, text: 'Could not access the clipboard; copy the address bar instead' });
+    }
+  };
+
+  const copyLink = () => copy(window.location.href, 'Link copied');
+
+  // The same query on /embed, which draws the level chart alone (registry assets only)
+  const copyEmbed = () => copy(
+    `<iframe src="${window.location.origin}/embed${window.location.search}" width="800" height="460" style="border: 0"></iframe>`,
+    'Embed code copied'
+  );
+
+  const download = () => {
+    downloadFile({
+      body: JSON.stringify(exportViews(saved), null, 2),
+      mimeType: 'application/json',
+      filename: 'realterms-views.json',
+    });
+  };
+
+  const upload = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    let result;
+    try {
+      result = importViews(JSON.parse(await file.text()));
+    } catch {
+      result = { error: 'File is not valid JSON' };
+    }
+    if (result.error) {
+      setMessage({ error: true, text: result.error });
+      return;
+    }
+    onChange(mergeViews(saved, result.views));
+    setMessage({ text: `Imported ${result.views.length} view${result.views.length === 1 ? '' : 's'}` });
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.01)',
+      border: '1px solid rgba(255,255,255,0.04)',
+      borderRadius: '8px',
+      padding: '16px 20px',
+      marginBottom: '20px'
+    }}>
+      <div style={{ fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.12em', color: 'rgba(255,255,255,0.3)', marginBottom: '10px' }}>
+        Saved Views
+      </div>
+
+      {saved.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '14px' }}>
+          {saved.map(entry => (
+            <div key={entry.name} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', color: 'rgba(255,255,255,0.6)' }}>
+              <button
+                onClick={() => onApply(entry.view)}
+                style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', padding: 0, fontSize: '12px' }}
+              >
+                {entry.name}
+              </button>
+              <button
+                onClick={() => onChange(saved.filter(other => other.name !== entry.name))}
+                aria-label={`Delete ${entry.name}`}
+                style={{ background: 'none', border: 'none', color: '#f87171', cursor: 'pointer', padding: 0 }}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+        <input
+          style={{ ...inputStyle, width: '200px' }}
+          placeholder="Name this view"
+          value={name}
+          onChange={event => setName(event.target.value)}
+          onKeyDown={event => { if (event.key === 'Enter') save(); }}
+        />
+        <button style={buttonStyle} onClick={save}>Save view</button>
+        <button style={quietButtonStyle} onClick={copyLink}>Copy link</button>
+        <button style={quietButtonStyle} onClick={copyEmbed}>Copy embed</button>
+        <button style={quietButtonStyle} onClick={download} disabled={saved.length === 0}>Export JSON</button>
+        <button style={quietButtonStyle} onClick={() => fileInput.current?.click()}>Import JSON</button>
+        <input ref={fileInput} type="file" accept="application/json,.json" onChange={upload} style={{ display: 'none' }} />
+      </div>
+
+      {message && (
+        <div style={{ marginTop: '10px', fontSize: '12px', color: message.error ? '#f87171' : 'rgba(255,255,255,0.5)' }}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+}
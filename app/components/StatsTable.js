@@ -0,0 +1,130 @@
+'use client';
+
+import React from 'react';
+
+export function formatPercent(value, digits = 1) {
+  if (value === null || value === undefined) return '–';
+  const text = `${(value * 100).toFixed(digits)}%`;
+  return value > 0 ? `+${text}` : text;
+}
+
+function formatDays(days) {
+  if (days >= 365) return `${(days / 365.25).toFixed(1)}y`;
+  if (days >= 60) return `${Math.round(days / 30.44)}mo`;
+  return `${days}d`;
+}
+
+const headerStyle = {
+  padding: '8px 12px',
+  fontSize: '9px',
+  fontWeight: 400,
+  textTransform: 'uppercase',
+  letterSpacing: '0.12em',
+  color: 'rgba(255,255,255,0.3)',
+  textAlign: 'right',
+  whiteSpace: 'nowrap',
+};
+
+const cellStyle = {
+  padding: '8px 12px',
+  textAlign: 'right',
+  fontFamily: "'JetBrains Mono', monospace",
+  whiteSpace: 'nowrap',
+};
+
+function signColor(value) {
+  if (value === null || value === undefined) return 'rgba(255,255,255,0.3)';
+  return value >= 0 ? '#4ade80' : '#f87171';
+}
+
+// Risk/return table for the selected assets; analytics comes from computeAnalytics
+export default function StatsTable({ analytics, assets }) {
+  const rows = assets.filter(asset => analytics.assets[asset.key]);
+  if (rows.length === 0) return null;
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.01)',
+      border: '1px solid rgba(255,255,255,0.04)',
+      borderRadius: '8px',
+      padding: '16px 20px',
+      marginBottom: '32px',
+      overflowX: 'auto'
+    }}>
+      <div style={{ fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.12em', color: 'rgba(255,255,255,0.3)', marginBottom: '10px' }}>
+        Statistics in the current denominator
+      </div>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px', color: 'rgba(255,255,255,0.7)' }}>
+        <thead>
+          <tr>
+            <th style={{ ...headerStyle, textAlign: 'left' }}>Asset</th>
+            <th style={headerStyle}>Total</th>
+            <th style={headerStyle}>CAGR</th>
+            <th style={headerStyle}>Volatility</th>
+            <th style={headerStyle} title="Annualized mean return / volatility, with a zero real hurdle">Sharpe</th>
+            <th style={headerStyle}>Max drawdown</th>
+            <th style={headerStyle} title="Share of the period below a previous high, and the longest stretch">Underwater</th>
+            <th style={headerStyle}>Best month</th>
+            <th style={headerStyle}>Worst month</th>
+            {rows.length > 1 && rows.map(asset => (
+              <th key={asset.key} style={headerStyle} title={`Correlation of returns with ${asset.name}`}>ρ {asset.name}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(asset => {
+            const stats = analytics.assets[asset.key];
+            const { maxDrawdown, underwater, bestMonth, worstMonth } = stats;
+            return (
+              <tr key={asset.key} style={{ borderTop: '1px solid rgba(255,255,255,0.04)' }}>
+                <td style={{ ...cellStyle, textAlign: 'left', fontFamily: 'inherit' }}>
+                  <span style={{ display: 'inline-block', width: '6px', height: '6px', borderRadius: '50%', background: asset.color, marginRight: '8px' }} />
+                  {asset.name}
+                </td>
+                <td style={{ ...cellStyle, color: signColor(stats.totalReturn) }}>{formatPercent(stats.totalReturn)}</td>
+                <td style={{ ...cellStyle, color: signColor(stats.cagr) }}>{formatPercent(stats.cagr)}</td>
+                <td style={cellStyle}>{formatPercent(stats.volatility).replace('+', '')}</td>
+                <td style={cellStyle}>{stats.sharpe === null ? '–' : stats.sharpe.toFixed(2)}</td>
+                <td
+                  style={{ ...cellStyle, color: '#f87171' }}
+                  title={maxDrawdown.peakDate
+                    ? `${maxDrawdown.peakDate} → ${maxDrawdown.troughDate}, ${maxDrawdown.recoveryDate ? `recovered ${maxDrawdown.recoveryDate}` : 'not recovered'}`
+                    : undefined}
+                >
+                  {formatPercent(maxDrawdown.value)}
+                  {maxDrawdown.peakDate && (
+                    <div style={{ fontSize: '10px', color: 'rgba(255,255,255,0.3)' }}>
+                      {maxDrawdown.peakDate.substring(0, 7)} → {maxDrawdown.troughDate.substring(0, 7)}
+                    </div>
+                  )}
+                </td>
+                <td style={cellStyle}>
+                  {formatPercent(underwater.share, 0).replace('+', '')}
+                  <div style={{ fontSize: '10px', color: 'rgba(255,255,255,0.3)' }}>
+                    longest {formatDays(underwater.longestDays)}{underwater.current ? ', ongoing' : ''}
+                  </div>
+                </td>
+                <td style={{ ...cellStyle, color: signColor(bestMonth?.value) }}>
+                  {formatPercent(bestMonth?.value)}
+                  {bestMonth && <div style={{ fontSize: '10px', color: 'rgba(255,255,255,0.3)' }}>{bestMonth.month}</div>}
+                </td>
+                <td style={{ ...cellStyle, color: signColor(worstMonth?.value) }}>
+                  {formatPercent(worstMonth?.value)}
+                  {worstMonth && <div style={{ fontSize: '10px', color: 'rgba(255,255,255,0.3)' }}>{worstMonth.month}</div>}
+                </td>
+                {rows.length > 1 && rows.map(other => {
+                  const value = analytics.correlations[asset.key]?.[other.key];
+                  return (
+                    <td key={other.key} style={{ ...cellStyle, color: other.key === asset.key ? 'rgba(255,255,255,0.15)' : 'inherit' }}>
+                      {other.key === asset.key ? '—' : value === null || value === undefined ? '–' : value.toFixed(2)}
+                    </td>
+                  );
+                })}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { ASSETS } from '../../lib/assets.js';
+import { formatAxisValue, formatTooltipValue } from '../../lib/transform.js';
+import { parseChartQuery } from '../../lib/query.js';
+import { chartTitle, chartCaption } from '../../lib/chartImage.js';
+
+const YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+const tickStyle = { fill: 'rgba(255,255,255,0.3)', fontSize: 10, fontFamily: "'JetBrains Mono', monospace" };
+
+const textStyle = {
+  fontSize: '11px',
+  color: 'rgba(255,255,255,0.35)',
+  fontFamily: "'JetBrains Mono', monospace",
+};
+
+// The dashboard's level chart alone, for iframes in wikis and newsletters. Takes the
+// dashboard's share-link parameters (parseChartQuery in lib/query.js) and draws the
+// same series /api/chart.svg does, with a tooltip.
+export default function Embed() {
+  const [query, setQuery] = useState(null);
+  const [search, setSearch] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const parsed = parseChartQuery(new URLSearchParams(window.location.search));
+    setSearch(window.location.search);
+    if (parsed.error) {
+      setError(parsed.error);
+      return;
+    }
+    setQuery(parsed.query);
+
+    const { assets, denominator, indexed, start, end, interval, align } = parsed.query;
+    const params = new URLSearchParams({ assets: assets.join(','), denominator: denominator.id, indexed: String(indexed), interval, align });
+    if (start) params.set('start', start);
+    if (end) params.set('end', end);
+
+    let cancelled = false;
+    fetch(`/api/data?${params}`)
+      .then(response => response.json())
+      .then(body => {
+        if (cancelled) return;
+        if (body.success) setResult(body);
+        else setError(body.error || 'Failed to fetch data');
+      })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const frame = (children) => (
+    <div style={{ background: '#07070a', color: '#fff', fontFamily: "'Inter', -apple-system, sans-serif", minHeight: '100vh', padding: '12px 16px', boxSizing: 'border-box' }}>
+      {children}
+    </div>
+  );
+
+  if (error) return frame(<div style={{ fontSize: '12px', color: '#f87171' }}>{error}</div>);
+  if (!query || !result) return frame(<div style={textStyle}>Loading…</div>);
+
+  const { assets, denominator, indexed, log } = query;
+  const rows = result.data;
+  const monthTicks = rows.length > 1 && Date.parse(rows[rows.length - 1].date) - Date.parse(rows[0].date) <= 3 * YEAR;
+
+  return frame(
+    <>
+      <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', fontSize: '12px', color: 'rgba(255,255,255,0.7)', marginBottom: '8px' }}>
+        <span>{chartTitle(assets, denominator, indexed)}</span>
+        <a href={`/${search}`} target="_blank" rel="noreferrer" style={{ color: 'rgba(255,255,255,0.35)', textDecoration: 'none' }}>
+          Open in Real Terms ↗
+        </a>
+      </div>
+      <div style={{ height: 'calc(100vh - 80px)', minHeight: '200px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={rows} margin={{ top: 8, right: 16, left: 0, bottom: 8 }}>
+            <XAxis
+              dataKey="date"
+              axisLine={{ stroke: 'rgba(255,255,255,0.06)' }}
+              tickLine={false}
+              tick={tickStyle}
+              tickFormatter={(val) => (monthTicks ? val?.substring(0, 7) : val?.split('-')[0])}
+              interval="preserveStartEnd"
+              minTickGap={40}
+            />
+            <YAxis
+              scale={log ? 'log' : 'auto'}
+              domain={log ? ['auto', 'auto'] : indexed ? [0, 'auto'] : ['auto', 'auto']}
+              axisLine={{ stroke: 'rgba(255,255,255,0.06)' }}
+              tickLine={false}
+              tick={tickStyle}
+              tickFormatter={(value) => formatAxisValue(value, denominator, indexed)}
+              width={65}
+            />
+            <Tooltip
+              contentStyle={{ background: 'rgba(5, 5, 8, 0.96)', border: '1px solid rgba(255, 255, 255, 0.08)', borderRadius: '8px', fontSize: '12px' }}
+              labelStyle={{ color: 'rgba(255,255,255,0.4)', fontFamily: "'JetBrains Mono', monospace", fontSize: '11px' }}
+              formatter={(value) => formatTooltipValue(value, denominator, indexed)}
+              itemSorter={(item) => -item.value}
+            />
+            {indexed && <ReferenceLine y={100} stroke="rgba(255,255,255,0.1)" strokeDasharray="3 3" />}
+            {assets.map(key => (
+              <Line key={key} type="monotone" dataKey={key} name={ASSETS[key].name} stroke={ASSETS[key].color} strokeWidth={1.8} dot={false} connectNulls />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      <div style={{ ...textStyle, marginTop: '6px' }}>
+        {chartCaption({ rows, columns: assets, denominator, sources: result.sources })}
+        {result.isFallback && ' · bundled snapshot'}
+      </div>
+    </>
+  );
+}
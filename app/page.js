@@ -1,142 +1,488 @@
 'use client';
 
-import React, { useState, useMemo, useCallback, useEffect } from 'react';
+import React, { useState, useMemo, useCallback, useEffect, useRef } from 'react';
 import {
-  LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine
+  LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine, ReferenceArea, Brush
 } from 'recharts';
+import { ASSETS, DATASET_KEYS, describeRegistry } from '../lib/assets.js';
+import { basketKey, normalizeBaskets } from '../lib/baskets.js';
+import { readLocal, writeLocal } from '../lib/storage.js';
+import {
+  DENOMINATORS, resolveDenominator, denominatorSeries, transformRows, formatAxisValue, formatTooltipValue,
+} from '../lib/transform.js';
+import { INTERVALS, ALIGN_LABELS, POINT_FLAGS, periodKey } from '../lib/align.js';
+import {
+  computeAnalytics, drawdownRows, rollingReturnRows, rollingCorrelation,
+} from '../lib/analytics.js';
+import { EXPORT_FORMATS, buildExport, serializeExport, downloadFile } from '../lib/export.js';
+import {
+  ANNOTATION_LAYERS, RECESSION_KEY, BAND_FILLS, LINE_STROKES, buildAnnotations, normalizeNotes,
+} from '../lib/annotations.js';
+import { HEALTH_STATES, overallStatus } from '../lib/quality.js';
+import {
+  TIME_RANGES, PRESET_PERIODS, CHART_MODES, ROLLING_WINDOWS, CHART_LAYOUTS, MAX_COMPARE, DEFAULT_VIEW,
+  lookbackYears, resolveWindow, autoInterval, shiftMonths, viewFromQuery, viewToQuery, normalizeView,
+  normalizeSavedViews,
+} from '../lib/views.js';
+import { COMPARE_MODES, multiplesPanels, lensRows, lensDenominators } from '../lib/compare.js';
+import BasketEditor from './components/BasketEditor.js';
+import SavedViews from './components/SavedViews.js';
+import StatsTable, { formatPercent } from './components/StatsTable.js';
+import NotesEditor from './components/NotesEditor.js';
+import Backtester from './components/Backtester.js';
+import AlertsPanel from './components/AlertsPanel.js';
+import SmallMultiples, { LensChart } from './components/CompareCharts.js';
 
-// Asset definitions
-const ASSETS = {
-  SPX: { name: 'S&P 500', color: '#3b82f6' },
-  MAG7: { name: 'Mag 7', color: '#a855f7' },
-  BTC: { name: 'Bitcoin', color: '#f59e0b' },
-  GOLD: { name: 'Gold', color: '#d4af37' },
-  SILVER: { name: 'Silver', color: '#94a3b8' },
-  URANIUM: { name: 'Uranium', color: '#22d3ee' },
-};
-
-const TIME_RANGES = {
-  '1Y': 12,
-  '3Y': 36,
-  '5Y': 60,
-  '10Y': 120,
-  'MAX': 999,
-};
-
-const DENOMINATORS = {
-  GOLD: 'vs Gold',
-  HOUSES: 'vs Houses',
-  PCE: 'PCE Adjusted',
-  USD: 'Nominal USD',
-};
+// Column holding the pair's rolling correlation in correlation mode
+const CORRELATION_KEY = 'CORRELATION';
+
+const YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// /api/data responses are reused per URL for as long as the v1 API lets them be cached
+// (MAX_AGE in lib/apiV1.js): 300 s, or 60 s for a snapshot fallback that should be
+// retried soon. The oldest are dropped past MAX_CACHED_RESPONSES.
+const RESPONSE_TTL_MS = 300 * 1000;
+const FALLBACK_TTL_MS = 60 * 1000;
+const MAX_CACHED_RESPONSES = 30;
 
 export default function Dashboard() {
   const [rawData, setRawData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [fetchNotice, setFetchNotice] = useState(null);
   const [sources, setSources] = useState({});
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [health, setHealth] = useState({});
+  const [snapshotAsOf, setSnapshotAsOf] = useState(null);
+  const [coverage, setCoverage] = useState({});
+  const [dataInterval, setDataInterval] = useState('1mo');
+  const [refreshing, setRefreshing] = useState(false);
+  const responseCache = useRef(new Map());
+  const hasLoaded = useRef(false);
   
-  const [selectedAssets, setSelectedAssets] = useState(['SPX', 'MAG7', 'BTC', 'GOLD']);
-  const [denominator, setDenominator] = useState('GOLD');
-  const [timeRange, setTimeRange] = useState('5Y');
-  const [indexed, setIndexed] = useState(true);
-  const [logScale, setLogScale] = useState(false);
+  const [viewReady, setViewReady] = useState(false);
+  const [selectedAssets, setSelectedAssets] = useState(DEFAULT_VIEW.assets);
+  const [denominator, setDenominator] = useState(DEFAULT_VIEW.denominator);
+  const [timeRange, setTimeRange] = useState(DEFAULT_VIEW.range);
+  const [customStart, setCustomStart] = useState(DEFAULT_VIEW.start);
+  const [customEnd, setCustomEnd] = useState(DEFAULT_VIEW.end);
+  const [zoomHistory, setZoomHistory] = useState([]);
+  const [selection, setSelection] = useState(null);
+  const [resolution, setResolution] = useState(DEFAULT_VIEW.resolution);
+  const [alignMethod, setAlignMethod] = useState(DEFAULT_VIEW.align);
+  const [indexed, setIndexed] = useState(DEFAULT_VIEW.indexed);
+  const [logScale, setLogScale] = useState(DEFAULT_VIEW.log);
+  const [chartMode, setChartMode] = useState(DEFAULT_VIEW.mode);
+  const [rollingWindow, setRollingWindow] = useState(DEFAULT_VIEW.window);
+  const [correlationPair, setCorrelationPair] = useState(DEFAULT_VIEW.pair);
+  const [annotationLayers, setAnnotationLayers] = useState(DEFAULT_VIEW.layers);
+  const [notes, setNotes] = useState(DEFAULT_VIEW.notes);
+  const [chartLayout, setChartLayout] = useState(DEFAULT_VIEW.layout);
+  const [compareDenominators, setCompareDenominators] = useState(DEFAULT_VIEW.compare);
+  const [lensAsset, setLensAsset] = useState(DEFAULT_VIEW.lens);
+  const [savedViews, setSavedViews] = useState([]);
   const [hoveredAsset, setHoveredAsset] = useState(null);
+  const [baskets, setBaskets] = useState([]);
+  const [basketSeries, setBasketSeries] = useState({});
+  const [basketNotice, setBasketNotice] = useState(null);
+
+  // Views can come from localStorage in an older shape, so every one is normalized first
+  const applyView = useCallback((input) => {
+    const view = normalizeView(input);
+    setSelectedAssets(view.assets);
+    setDenominator(view.denominator);
+    setTimeRange(view.range);
+    setCustomStart(view.start);
+    setCustomEnd(view.end);
+    setResolution(view.resolution);
+    setAlignMethod(view.align);
+    setIndexed(view.indexed);
+    setLogScale(view.log);
+    setChartMode(view.mode);
+    setRollingWindow(view.window);
+    setCorrelationPair(view.pair);
+    setAnnotationLayers(view.layers);
+    setNotes(view.notes);
+    setChartLayout(view.layout);
+    setCompareDenominators(view.compare);
+    setLensAsset(view.lens);
+  }, []);
 
-  // Fetch data on mount
+  // Saved baskets and views live in localStorage and the chart state in the URL; read
+  // after mount to keep hydration stable. Notes come from the link when it has any,
+  // else from this browser.
   useEffect(() => {
-    async function fetchData() {
+    setBaskets(normalizeBaskets(readLocal('baskets', [])));
+    setSavedViews(normalizeSavedViews(readLocal('views', [])));
+    const linked = viewFromQuery(window.location.search);
+    applyView(linked.notes.length ? linked : { ...linked, notes: normalizeNotes(readLocal('notes', [])) });
+    setViewReady(true);
+  }, [applyView]);
+
+  const view = useMemo(() => ({
+    assets: selectedAssets,
+    denominator,
+    range: timeRange,
+    start: customStart,
+    end: customEnd,
+    resolution,
+    align: alignMethod,
+    indexed,
+    log: logScale,
+    mode: chartMode,
+    window: rollingWindow,
+    pair: correlationPair,
+    layers: annotationLayers,
+    notes,
+    layout: chartLayout,
+    compare: compareDenominators,
+    lens: lensAsset,
+  }), [
+    selectedAssets, denominator, timeRange, customStart, customEnd, resolution, alignMethod, indexed, logScale, chartMode,
+    rollingWindow, correlationPair, annotationLayers, notes, chartLayout, compareDenominators, lensAsset,
+  ]);
+
+  // Dates on screen; the chart rebases (indexing, composites) on the first of them
+  const dateWindow = useMemo(() => resolveWindow(view), [view]);
+  const interval = resolution === 'auto' ? autoInterval(dateWindow) : resolution;
+
+  const selectRange = useCallback((range, start = null, end = null) => {
+    setTimeRange(range);
+    setCustomStart(start);
+    setCustomEnd(end);
+    setZoomHistory([]);
+  }, []);
+
+  // Zooming narrows to a custom window and remembers where it came from
+  const zoomTo = useCallback((start, end) => {
+    setZoomHistory(prev => [...prev, { range: timeRange, start: customStart, end: customEnd }]);
+    setTimeRange('custom');
+    setCustomStart(start);
+    setCustomEnd(end);
+  }, [timeRange, customStart, customEnd]);
+
+  const zoomOut = useCallback(() => {
+    const previous = zoomHistory[zoomHistory.length - 1];
+    if (!previous) return;
+    setZoomHistory(zoomHistory.slice(0, -1));
+    setTimeRange(previous.range);
+    setCustomStart(previous.start);
+    setCustomEnd(previous.end);
+  }, [zoomHistory]);
+
+  // Keep the address bar in sync so any link reproduces the chart
+  useEffect(() => {
+    if (!viewReady) return;
+    const query = viewToQuery(view);
+    window.history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+  }, [view, viewReady]);
+
+  const updateSavedViews = useCallback((next) => {
+    setSavedViews(next);
+    writeLocal('views', next);
+  }, []);
+
+  const updateNotes = useCallback((next) => {
+    setNotes(next);
+    writeLocal('notes', next);
+  }, []);
+
+  const toggleCompare = useCallback((id) => {
+    // Keep DENOMINATORS order, like the layers
+    setCompareDenominators(prev => {
+      if (!prev.includes(id) && prev.length >= MAX_COMPARE) return prev;
+      return Object.keys(DENOMINATORS).filter(key => (key === id ? !prev.includes(id) : prev.includes(key)));
+    });
+  }, []);
+
+  const toggleLayer = useCallback((layer) => {
+    // Keep layers in ANNOTATION_LAYERS order so the URL stays stable
+    setAnnotationLayers(prev => Object.keys(ANNOTATION_LAYERS).filter(key => (
+      key === layer ? !prev.includes(layer) : prev.includes(key)
+    )));
+  }, []);
+
+  // Baskets are computed server-side from the same data, at the same interval
+  const hasData = rawData !== null;
+  useEffect(() => {
+    if (!hasData || baskets.length === 0) {
+      setBasketSeries({});
+      return;
+    }
+
+    let cancelled = false;
+    async function fetchBaskets() {
       try {
-        setLoading(true);
-        const response = await fetch('/api/data');
+        const response = await fetch('/api/baskets', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ baskets, interval: dataInterval }),
+        });
         const result = await response.json();
-        
+        if (cancelled) return;
         if (result.success) {
-          setRawData(result.data);
-          setSources(result.sources);
+          setBasketSeries(result.data);
+          setBasketNotice(result.warnings?.join(' ') || null);
         } else {
-          setError(result.error || 'Failed to fetch data');
+          setBasketNotice(result.error || 'Failed to build baskets');
         }
       } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
+        if (!cancelled) setBasketNotice(err.message);
       }
     }
-    
-    fetchData();
+
+    fetchBaskets();
+    return () => { cancelled = true; };
+  }, [hasData, baskets, dataInterval]);
+
+  const updateBaskets = useCallback((next) => {
+    setBaskets(next);
+    writeLocal('baskets', next);
+    const keys = new Set(next.map(basketKey));
+    setSelectedAssets(prev => prev.filter(asset => ASSETS[asset] || keys.has(asset)));
   }, []);
 
-  // Filter by time range
+  // Registry assets plus the user's baskets
+  const allAssets = useMemo(() => {
+    const result = { ...ASSETS };
+    baskets.forEach(basket => {
+      result[basketKey(basket)] = { key: basketKey(basket), name: basket.name, color: basket.color };
+    });
+    return result;
+  }, [baskets]);
+
+  // Rows with basket values joined in by period
+  const data = useMemo(() => {
+    if (!rawData) return null;
+    if (baskets.length === 0) return rawData;
+
+    const lookups = baskets.map(basket => {
+      const byPeriod = new Map();
+      (basketSeries[basket.id] || []).forEach(p => byPeriod.set(periodKey(p.date, dataInterval), p.value));
+      return [basketKey(basket), byPeriod];
+    });
+
+    return rawData.map(row => {
+      const next = { ...row };
+      const period = periodKey(row.date, dataInterval);
+      lookups.forEach(([key, byPeriod]) => { next[key] = byPeriod.get(period) ?? null; });
+      return next;
+    });
+  }, [rawData, baskets, basketSeries, dataInterval]);
+
+  // Rows inside the date window (data may start earlier for rolling lookbacks)
   const filteredData = useMemo(() => {
-    if (!rawData) return [];
-    const months = TIME_RANGES[timeRange];
-    if (months === 999) return rawData;
-    return rawData.slice(-months);
-  }, [rawData, timeRange]);
+    if (!data || data.length === 0) return [];
+    const { start, end } = dateWindow;
+    return data.filter(row => (!start || row.date >= start) && (!end || row.date <= end));
+  }, [data, dateWindow]);
 
-  // Transform data based on denominator and indexing
-  const chartData = useMemo(() => {
-    if (filteredData.length === 0) return [];
-    
-    const baseValues = {};
-    const latestPCE = filteredData[filteredData.length - 1]?.PCE;
-    
-    return filteredData.map((row, i) => {
-      const result = { date: row.date };
-      
-      Object.keys(ASSETS).forEach(asset => {
-        let value = row[asset];
-        if (value === null || value === undefined) {
-          result[asset] = null;
-          return;
-        }
+  // Registry deflator modes first, then any tracked asset or basket
+  const denominatorSpec = useMemo(
+    () => resolveDenominator(denominator, allAssets) || resolveDenominator('USD'),
+    [denominator, allAssets]
+  );
+
+  // The comparison layouts only show levels and drawdowns; other modes use the single chart
+  const layout = COMPARE_MODES.includes(chartMode) ? chartLayout : 'single';
+
+  // Asset in the lens: the chosen one while it exists, else the first selected
+  const lensKey = allAssets[lensAsset] ? lensAsset : selectedAssets.find(key => allAssets[key]) || null;
+
+  // Registry series the chart needs: the selected assets, whatever the denominator(s)
+  // divide by and the recession flags when shaded. Baskets come from /api/baskets;
+  // SPX always loads as the calendar.
+  const requestUrl = useMemo(() => {
+    const keys = new Set(['SPX', ...selectedAssets, ...denominatorSeries(denominatorSpec)]);
+    if (layout === 'multiples') {
+      compareDenominators.forEach(id => denominatorSeries(resolveDenominator(id)).forEach(key => keys.add(key)));
+    }
+    if (layout === 'lens' && lensKey) {
+      keys.add(lensKey);
+      lensDenominators(lensKey).forEach(id => denominatorSeries(resolveDenominator(id)).forEach(key => keys.add(key)));
+    }
+    if (annotationLayers.includes('recessions')) keys.add(RECESSION_KEY);
+    const params = new URLSearchParams({
+      interval,
+      assets: [...keys].filter(key => DATASET_KEYS.includes(key)).sort().join(','),
+    });
+    const { start, end } = dateWindow;
+    if (start) params.set('start', shiftMonths(start, -12 * lookbackYears(view)));
+    if (end) params.set('end', end);
+    if (alignMethod !== DEFAULT_VIEW.align) params.set('align', alignMethod);
+    return `/api/data?${params}`;
+  }, [selectedAssets, denominatorSpec, layout, compareDenominators, lensKey, annotationLayers, interval, dateWindow, alignMethod, view]);
+
+  // Fetch just the series on screen for the window; responses are kept per URL
+  useEffect(() => {
+    if (!viewReady) return;
+
+    function apply(result) {
+      setRawData(result.data);
+      setSources(result.sources);
+      setLastUpdated(result.lastUpdated || null);
+      setHealth(result.health || {});
+      setSnapshotAsOf(result.isFallback ? result.asOf : null);
+      setCoverage(result.coverage || {});
+      setDataInterval(result.interval || '1mo');
+      setFetchNotice(null);
+      hasLoaded.current = true;
+    }
+
+    const cache = responseCache.current;
+    const cached = cache.get(requestUrl);
+    if (cached && cached.expiresAt > Date.now()) {
+      // Re-inserted so the map stays in least recently used order
+      cache.delete(requestUrl);
+      cache.set(requestUrl, cached);
+      apply(cached.result);
+      return;
+    }
+    cache.delete(requestUrl);
+
+    // Only a failed first load is fatal; later failures keep the last good data on screen
+    function fail(message) {
+      if (hasLoaded.current) setFetchNotice(message);
+      else setError(message);
+    }
+
+    let cancelled = false;
+    async function fetchData() {
+      try {
+        setRefreshing(true);
+        const response = await fetch(requestUrl);
+        const result = await response.json();
+        if (cancelled) return;
         
-        // Apply denominator transformation
-        if (denominator === 'PCE' && row.PCE && latestPCE) {
-          value = value * (latestPCE / row.PCE);
-        } else if (denominator === 'GOLD' && row.GOLD) {
-          value = value / row.GOLD;
-        } else if (denominator === 'HOUSES' && row.CASE_SHILLER) {
-          value = (value / row.CASE_SHILLER) * 100;
+        if (result.success) {
+          const ttl = result.isFallback ? FALLBACK_TTL_MS : RESPONSE_TTL_MS;
+          cache.set(requestUrl, { result, expiresAt: Date.now() + ttl });
+          if (cache.size > MAX_CACHED_RESPONSES) cache.delete(cache.keys().next().value);
+          apply(result);
+        } else {
+          fail(result.error || 'Failed to fetch data');
         }
-        
-        // Index to 100 if enabled
-        if (indexed) {
-          if (i === 0 || baseValues[asset] === undefined) {
-            baseValues[asset] = value;
-          }
-          if (baseValues[asset]) {
-            value = (value / baseValues[asset]) * 100;
-          }
+      } catch (err) {
+        if (!cancelled) fail(err.message);
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+          setRefreshing(false);
         }
-        
-        result[asset] = value !== null ? Math.round(value * 10000) / 10000 : null;
-      });
-      
-      return result;
-    });
-  }, [filteredData, denominator, indexed]);
+      }
+    }
+    
+    fetchData();
+    return () => { cancelled = true; };
+  }, [requestUrl, viewReady]);
+
+  // Transform data based on denominator and indexing
+  const chartData = useMemo(
+    () => transformRows(filteredData, Object.keys(allAssets), { denominator: denominatorSpec, indexed }),
+    [filteredData, allAssets, denominatorSpec, indexed]
+  );
+
+  // Alignment flags of the charted points by date (forward-filled, estimated, missing)
+  const flagsByDate = useMemo(
+    () => new Map(chartData.filter(row => row.flags).map(row => [row.date, row.flags])),
+    [chartData]
+  );
 
-  // Calculate performance metrics
-  const metrics = useMemo(() => {
-    if (chartData.length < 2) return {};
-    const first = chartData[0];
-    const last = chartData[chartData.length - 1];
+  // Constituent coverage of composites and baskets, keyed by asset then month
+  const coverageByAsset = useMemo(() => {
     const result = {};
-    
-    selectedAssets.forEach(asset => {
-      if (first[asset] && last[asset]) {
-        const change = ((last[asset] - first[asset]) / first[asset]) * 100;
-        result[asset] = {
-          change: change.toFixed(1),
-          positive: change >= 0
-        };
-      }
+    const add = (key, points) => {
+      if (!points) return;
+      result[key] = new Map(points.map(p => [periodKey(p.date, dataInterval), p]));
+    };
+    Object.entries(coverage).forEach(([key, points]) => add(key, points));
+    baskets.forEach(basket => add(basketKey(basket), basketSeries[basket.id]));
+    return result;
+  }, [coverage, baskets, basketSeries, dataInterval]);
+
+  // Lowest constituent count in the visible period, e.g. Mag7 (6/7 constituents)
+  const periodCoverage = useMemo(() => {
+    const result = {};
+    Object.entries(coverageByAsset).forEach(([key, byPeriod]) => {
+      let min = null;
+      let total = null;
+      filteredData.forEach(row => {
+        const point = byPeriod.get(periodKey(row.date, dataInterval));
+        if (!point) return;
+        total = point.total;
+        min = min === null ? point.count : Math.min(min, point.count);
+      });
+      if (min !== null && min < total) result[key] = { min, total };
     });
-    
     return result;
-  }, [chartData, selectedAssets]);
+  }, [coverageByAsset, filteredData, dataInterval]);
+
+  // Risk and return statistics for the visible lines, in the current denominator
+  const visibleAssets = useMemo(
+    () => selectedAssets.filter(asset => allAssets[asset]),
+    [selectedAssets, allAssets]
+  );
+  const analytics = useMemo(
+    () => computeAnalytics(chartData, visibleAssets, { interval: dataInterval }),
+    [chartData, visibleAssets, dataInterval]
+  );
+
+  // Assets compared in correlation mode: the chosen pair, else the first two on screen
+  const pair = useMemo(() => {
+    if (correlationPair?.every(key => visibleAssets.includes(key))) return correlationPair;
+    return visibleAssets.length >= 2 ? visibleAssets.slice(0, 2) : null;
+  }, [correlationPair, visibleAssets]);
+
+  // What the chart plots in the current mode. Rolling modes run over the full loaded
+  // history (fetched with a lookback) and are then cut to the window.
+  const displayData = useMemo(() => {
+    if (chartMode === 'level') return chartData;
+    if (chartMode === 'drawdown') return drawdownRows(chartData, visibleAssets);
+    if (!data || filteredData.length === 0) return [];
+
+    const from = filteredData[0].date;
+    if (chartMode === 'rolling') {
+      const history = transformRows(data, visibleAssets, { denominator: denominatorSpec });
+      return rollingReturnRows(history, visibleAssets, { years: rollingWindow }).filter(row => row.date >= from);
+    }
+    if (!pair) return [];
+    const history = transformRows(data, pair, { denominator: denominatorSpec });
+    return rollingCorrelation(history, pair[0], pair[1], { years: rollingWindow, interval: dataInterval })
+      .filter(point => point.date >= from)
+      .map(point => ({ date: point.date, [CORRELATION_KEY]: point.value }));
+  }, [chartMode, chartData, visibleAssets, data, filteredData, denominatorSpec, rollingWindow, pair, dataInterval]);
+
+  // Small multiples: the visible assets once per compared denominator
+  const comparePanels = useMemo(
+    () => (layout === 'multiples' ? multiplesPanels(filteredData, visibleAssets, compareDenominators, { indexed, mode: chartMode }) : []),
+    [layout, filteredData, visibleAssets, compareDenominators, indexed, chartMode]
+  );
+
+  // Lens: one asset under every denominator
+  const lens = useMemo(
+    () => (layout === 'lens' && lensKey ? lensRows(filteredData, lensKey, { mode: chartMode, assets: allAssets }) : null),
+    [layout, lensKey, filteredData, chartMode, allAssets]
+  );
+
+  const displayAssets = useMemo(() => {
+    if (chartMode !== 'correlation') {
+      return visibleAssets.map(key => ({ key, name: allAssets[key].name, color: allAssets[key].color }));
+    }
+    if (!pair) return [];
+    return [{
+      key: CORRELATION_KEY,
+      name: `${allAssets[pair[0]].name} vs ${allAssets[pair[1]].name}`,
+      color: '#e5e7eb',
+    }];
+  }, [chartMode, visibleAssets, allAssets, pair]);
+
+  // Regime bands and event lines for the dates on screen
+  const annotations = useMemo(() => buildAnnotations({
+    rows: filteredData,
+    dates: displayData.map(row => row.date),
+    layers: annotationLayers,
+    notes,
+  }), [filteredData, displayData, annotationLayers, notes]);
 
   const toggleAsset = useCallback((asset) => {
     setSelectedAssets(prev => 
@@ -146,31 +492,73 @@ export default function Dashboard() {
     );
   }, []);
 
+  // Downloads the visible lines exactly as charted
+  const exportChart = useCallback((format) => {
+    const table = buildExport({
+      rows: displayData,
+      columns: displayAssets.map(({ key, name }) => ({ key, name })),
+      denominator: denominatorSpec,
+      indexed,
+      mode: chartMode,
+      window: rollingWindow,
+      interval: dataInterval,
+      sources,
+      lastUpdated,
+    });
+    downloadFile(serializeExport(table, format));
+  }, [displayData, displayAssets, denominatorSpec, indexed, chartMode, rollingWindow, dataInterval, sources, lastUpdated]);
+
+  // Axis and tooltip formats per chart mode: levels in the denominator's unit, drawdowns
+  // and rolling returns as percentages, correlations as coefficients
   const formatYAxis = (value) => {
-    if (value === null || value === undefined) return '';
-    if (indexed) return value.toFixed(0);
-    if (denominator === 'GOLD') {
-      if (value >= 100) return value.toFixed(0) + ' oz';
-      if (value >= 1) return value.toFixed(1) + ' oz';
-      return value.toFixed(2) + ' oz';
-    }
-    if (denominator === 'HOUSES') return value.toFixed(1);
-    if (value >= 1000000) return '$' + (value / 1000000).toFixed(1) + 'M';
-    if (value >= 1000) return '$' + (value / 1000).toFixed(0) + 'K';
-    return '$' + value.toFixed(0);
+    if (chartMode === 'drawdown' || chartMode === 'rolling') return `${(value * 100).toFixed(0)}%`;
+    if (chartMode === 'correlation') return value.toFixed(1);
+    return formatAxisValue(value, denominatorSpec, indexed);
+  };
+
+  const formatTooltip = (value) => {
+    if (chartMode === 'drawdown' || chartMode === 'rolling') return formatPercent(value);
+    if (chartMode === 'correlation') return value.toFixed(2);
+    return formatTooltipValue(value, denominatorSpec, indexed);
+  };
+
+  const levelMode = chartMode === 'level';
+
+  // Month labels on the X axis for windows up to three years
+  const monthTicks = filteredData.length > 1
+    && Date.parse(filteredData[filteredData.length - 1].date) - Date.parse(filteredData[0].date) <= 3 * YEAR;
+
+  // Drag across the chart (or move the brush) to zoom into that stretch
+  const commitZoom = (from, to) => {
+    if (!from || !to || from === to) return;
+    const [start, end] = from < to ? [from, to] : [to, from];
+    zoomTo(start, end);
   };
 
-  const formatTooltipValue = (value) => {
-    if (value === null || value === undefined) return 'N/A';
-    if (indexed) return value.toFixed(1);
-    if (denominator === 'GOLD') return value.toFixed(3) + ' oz';
-    if (denominator === 'HOUSES') return value.toFixed(2);
-    return '$' + value.toLocaleString(undefined, { maximumFractionDigits: 0 });
+  const endSelection = () => {
+    if (selection) commitZoom(selection.from, selection.to);
+    setSelection(null);
   };
 
+  const optionStyle = (active) => ({
+    padding: '8px 12px',
+    fontSize: '12px',
+    fontWeight: active ? 500 : 400,
+    background: active ? 'rgba(255,255,255,0.08)' : 'transparent',
+    border: '1px solid',
+    borderColor: active ? 'rgba(255,255,255,0.12)' : 'rgba(255,255,255,0.05)',
+    borderRadius: '5px',
+    color: active ? '#fff' : 'rgba(255,255,255,0.4)',
+    cursor: 'pointer',
+    transition: 'all 0.15s'
+  });
+
   const CustomTooltip = ({ active, payload, label }) => {
     if (!active || !payload || payload.length === 0) return null;
-    
+    // Point flags describe level values; the rolling modes mix many dates per point
+    const flags = (levelMode || chartMode === 'drawdown') ? flagsByDate.get(label) || {} : {};
+    const missing = displayAssets.filter(asset => flags[asset.key] === 'missing');
+
     return (
       <div style={{
         background: 'rgba(5, 5, 8, 0.96)',
@@ -189,30 +577,62 @@ export default function Dashboard() {
         }}>
           {label}
         </div>
-        {payload.filter(p => p.value !== null).sort((a, b) => b.value - a.value).map(entry => (
-          <div 
-            key={entry.dataKey}
-            style={{ 
-              display: 'flex', 
-              justifyContent: 'space-between',
-              alignItems: 'center',
-              gap: '32px',
-              marginBottom: '5px'
-            }}
-          >
-            <span style={{ color: entry.color, fontWeight: 500, display: 'flex', alignItems: 'center', gap: '8px' }}>
-              <span style={{ width: '6px', height: '6px', borderRadius: '50%', background: entry.color }} />
-              {ASSETS[entry.dataKey]?.name}
-            </span>
-            <span style={{ color: '#fff', fontFamily: "'JetBrains Mono', monospace", fontSize: '12px' }}>
-              {formatTooltipValue(entry.value)}
-            </span>
+        {payload.filter(p => p.value !== null).sort((a, b) => b.value - a.value).map(entry => {
+          const point = label && coverageByAsset[entry.dataKey]?.get(periodKey(label, dataInterval));
+          const partial = levelMode && point && point.count < point.total;
+          return (
+            <div 
+              key={entry.dataKey}
+              style={{ 
+                display: 'flex', 
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                gap: '32px',
+                marginBottom: '5px'
+              }}
+            >
+              <span style={{ color: entry.color, fontWeight: 500, display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <span style={{ width: '6px', height: '6px', borderRadius: '50%', background: entry.color }} />
+                {displayAssets.find(asset => asset.key === entry.dataKey)?.name}
+              </span>
+              <span style={{ color: '#fff', fontFamily: "'JetBrains Mono', monospace", fontSize: '12px' }}>
+                {formatTooltip(entry.value)}
+                {partial && (
+                  <span style={{ color: '#fbbf24', marginLeft: '8px' }} title={`Missing: ${point.missing.join(', ')}`}>
+                    {point.count}/{point.total}
+                  </span>
+                )}
+                {flags[entry.dataKey] && (
+                  <span style={{ color: '#fbbf24', marginLeft: '8px', fontSize: '10px' }}>
+                    {POINT_FLAGS[flags[entry.dataKey]]}
+                  </span>
+                )}
+              </span>
+            </div>
+          );
+        })}
+        {missing.map(asset => (
+          <div key={asset.key} style={{ display: 'flex', justifyContent: 'space-between', gap: '32px', marginBottom: '5px', color: 'rgba(255,255,255,0.35)' }}>
+            <span>{asset.name}</span>
+            <span style={{ color: '#f87171', fontSize: '10px' }}>{POINT_FLAGS.missing}</span>
           </div>
         ))}
       </div>
     );
   };
 
+  const resolutionOptions = [
+    ['auto', `Auto · ${INTERVALS[autoInterval(dateWindow)].label}`],
+    ...Object.entries(INTERVALS).map(([key, { label }]) => [key, label]),
+  ];
+
+  // Header status from the per-series health report: live only when every series is OK
+  const dataStatus = overallStatus(health);
+  const unhealthy = Object.values(health).filter(report => report.status !== 'ok').length;
+  const dataStatusLabel = dataStatus === 'ok'
+    ? 'Live Data'
+    : `${HEALTH_STATES[dataStatus].label} · ${unhealthy} of ${Object.keys(health).length} series need attention`;
+
   const periodDescription = useMemo(() => {
     if (filteredData.length < 2) return '';
     return `${filteredData[0].date} → ${filteredData[filteredData.length - 1].date}`;
@@ -315,8 +735,14 @@ export default function Dashboard() {
               </p>
             </div>
             <div style={{ textAlign: 'right', fontSize: '11px', color: 'rgba(255,255,255,0.25)', fontFamily: "'JetBrains Mono', monospace" }}>
-              <div>{periodDescription}</div>
-              <div style={{ marginTop: '4px', color: '#4ade80' }}>● Live Data</div>
+              <div>{periodDescription}{refreshing && ' · updating…'}</div>
+              {snapshotAsOf ? (
+                <div style={{ marginTop: '4px', color: '#f87171' }}>○ Snapshot as of {snapshotAsOf}</div>
+              ) : (
+                <div style={{ marginTop: '4px', color: HEALTH_STATES[dataStatus].color }}>
+                  {dataStatus === 'failed' ? '○' : '●'} {dataStatusLabel}
+                </div>
+              )}
             </div>
           </div>
           <p style={{ fontSize: '14px', color: 'rgba(255,255,255,0.35)', marginTop: '16px', maxWidth: '480px', lineHeight: 1.6 }}>
@@ -325,6 +751,36 @@ export default function Dashboard() {
         </div>
       </header>
 
+      {/* Snapshot Banner */}
+      {snapshotAsOf && (
+        <div style={{
+          background: 'rgba(248, 113, 113, 0.08)',
+          borderBottom: '1px solid rgba(248, 113, 113, 0.2)',
+          padding: '12px 40px',
+          fontSize: '13px',
+          color: '#fca5a5'
+        }}>
+          <div style={{ maxWidth: '1400px', margin: '0 auto' }}>
+            Live data is unavailable. Showing the bundled historical snapshot as of {snapshotAsOf}; recent months are missing.
+          </div>
+        </div>
+      )}
+
+      {/* Refetch Notice */}
+      {fetchNotice && (
+        <div style={{
+          background: 'rgba(251, 191, 36, 0.08)',
+          borderBottom: '1px solid rgba(251, 191, 36, 0.2)',
+          padding: '12px 40px',
+          fontSize: '13px',
+          color: '#fbbf24'
+        }}>
+          <div style={{ maxWidth: '1400px', margin: '0 auto' }}>
+            Could not update the chart, showing the last data that loaded: {fetchNotice}
+          </div>
+        </div>
+      )}
+
       <main style={{ maxWidth: '1400px', margin: '0 auto', padding: '28px 40px 48px' }}>
         {/* Controls */}
         <div style={{ display: 'flex', gap: '36px', marginBottom: '24px', flexWrap: 'wrap' }}>
@@ -334,7 +790,7 @@ export default function Dashboard() {
               Denominator
             </label>
             <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap' }}>
-              {Object.entries(DENOMINATORS).map(([key, label]) => (
+              {Object.entries(DENOMINATORS).map(([key, spec]) => (
                 <button
                   key={key}
                   onClick={() => setDenominator(key)}
@@ -351,9 +807,28 @@ export default function Dashboard() {
                     transition: 'all 0.15s'
                   }}
                 >
-                  {label}
+                  {spec.label}
                 </button>
               ))}
+              <select
+                value={DENOMINATORS[denominator] ? '' : denominator}
+                onChange={(e) => setDenominator(e.target.value || 'USD')}
+                style={{
+                  padding: '8px 10px',
+                  fontSize: '12px',
+                  background: DENOMINATORS[denominator] ? 'transparent' : 'rgba(255,255,255,0.08)',
+                  border: '1px solid',
+                  borderColor: DENOMINATORS[denominator] ? 'rgba(255,255,255,0.05)' : 'rgba(255,255,255,0.12)',
+                  borderRadius: '5px',
+                  color: DENOMINATORS[denominator] ? 'rgba(255,255,255,0.4)' : '#fff',
+                  cursor: 'pointer'
+                }}
+              >
+                <option value="">in asset…</option>
+                {Object.entries(allAssets).map(([key, asset]) => (
+                  <option key={key} value={key}>in {asset.name}</option>
+                ))}
+              </select>
             </div>
           </div>
           
@@ -362,37 +837,166 @@ export default function Dashboard() {
             <label style={{ fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.15em', color: 'rgba(255,255,255,0.3)', display: 'block', marginBottom: '10px' }}>
               Time Range
             </label>
-            <div style={{ display: 'flex', gap: '4px' }}>
+            <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', alignItems: 'center' }}>
               {Object.keys(TIME_RANGES).map(range => (
                 <button
                   key={range}
-                  onClick={() => setTimeRange(range)}
+                  onClick={() => selectRange(range)}
+                  style={{ ...optionStyle(timeRange === range), fontFamily: "'JetBrains Mono', monospace" }}
+                >
+                  {range}
+                </button>
+              ))}
+              <select
+                value={PRESET_PERIODS[timeRange] ? timeRange : ''}
+                onChange={(e) => e.target.value && selectRange(e.target.value)}
+                style={optionStyle(Boolean(PRESET_PERIODS[timeRange]))}
+              >
+                <option value="">Period…</option>
+                {Object.entries(PRESET_PERIODS).map(([key, period]) => (
+                  <option key={key} value={key}>{period.label}</option>
+                ))}
+              </select>
+              <input
+                type="date"
+                aria-label="Start date"
+                value={dateWindow.start || ''}
+                max={dateWindow.end || undefined}
+                onChange={(e) => e.target.value && selectRange('custom', e.target.value, dateWindow.end)}
+                style={{ ...optionStyle(timeRange === 'custom'), colorScheme: 'dark' }}
+              />
+              <input
+                type="date"
+                aria-label="End date"
+                value={dateWindow.end || ''}
+                min={dateWindow.start || undefined}
+                onChange={(e) => dateWindow.start && selectRange('custom', dateWindow.start, e.target.value || null)}
+                style={{ ...optionStyle(timeRange === 'custom'), colorScheme: 'dark' }}
+              />
+              {zoomHistory.length > 0 && (
+                <button onClick={zoomOut} style={optionStyle(false)}>Zoom out</button>
+              )}
+            </div>
+          </div>
+
+          {/* Resolution */}
+          <div>
+            <label style={{ fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.15em', color: 'rgba(255,255,255,0.3)', display: 'block', marginBottom: '10px' }}>
+              Resolution
+            </label>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              {resolutionOptions.map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setResolution(key)}
                   style={{
                     padding: '8px 12px',
                     fontSize: '12px',
-                    fontWeight: timeRange === range ? 500 : 400,
-                    background: timeRange === range ? 'rgba(255,255,255,0.08)' : 'transparent',
+                    fontWeight: resolution === key ? 500 : 400,
+                    background: resolution === key ? 'rgba(255,255,255,0.08)' : 'transparent',
                     border: '1px solid',
-                    borderColor: timeRange === range ? 'rgba(255,255,255,0.12)' : 'rgba(255,255,255,0.05)',
+                    borderColor: resolution === key ? 'rgba(255,255,255,0.12)' : 'rgba(255,255,255,0.05)',
                     borderRadius: '5px',
-                    color: timeRange === range ? '#fff' : 'rgba(255,255,255,0.4)',
+                    color: resolution === key ? '#fff' : 'rgba(255,255,255,0.4)',
                     cursor: 'pointer',
-                    transition: 'all 0.15s',
-                    fontFamily: "'JetBrains Mono', monospace"
+                    transition: 'all 0.15s'
                   }}
                 >
-                  {range}
+                  {label}
                 </button>
               ))}
+              <select
+                value={alignMethod}
+                onChange={(e) => setAlignMethod(e.target.value)}
+                title="How gaps are filled: carried forward up to a staleness limit, interpolated, or left empty"
+                style={optionStyle(alignMethod !== DEFAULT_VIEW.align)}
+              >
+                {Object.entries(ALIGN_LABELS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
             </div>
           </div>
           
+          {/* Chart Mode */}
+          <div>
+            <label style={{ fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.15em', color: 'rgba(255,255,255,0.3)', display: 'block', marginBottom: '10px' }}>
+              Chart
+            </label>
+            <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', alignItems: 'center' }}>
+              {Object.entries(CHART_MODES).map(([key, label]) => (
+                <button key={key} onClick={() => setChartMode(key)} style={optionStyle(chartMode === key)}>
+                  {label}
+                </button>
+              ))}
+              {(chartMode === 'rolling' || chartMode === 'correlation') && ROLLING_WINDOWS.map(years => (
+                <button
+                  key={years}
+                  onClick={() => setRollingWindow(years)}
+                  style={{ ...optionStyle(rollingWindow === years), fontFamily: "'JetBrains Mono', monospace" }}
+                >
+                  {years}Y
+                </button>
+              ))}
+              {chartMode === 'correlation' && (pair ? [0, 1].map(index => (
+                <select
+                  key={index}
+                  value={pair[index]}
+                  onChange={(e) => {
+                    const next = [...pair];
+                    next[index] = e.target.value;
+                    if (next[0] !== next[1]) setCorrelationPair(next);
+                  }}
+                  style={optionStyle(false)}
+                >
+                  {visibleAssets.map(key => (
+                    <option key={key} value={key}>{allAssets[key].name}</option>
+                  ))}
+                </select>
+              )) : (
+                <span style={{ fontSize: '12px', color: 'rgba(255,255,255,0.4)' }}>Select two assets</span>
+              ))}
+            </div>
+          </div>
+
+          {/* Layout */}
+          <div>
+            <label style={{ fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.15em', color: 'rgba(255,255,255,0.3)', display: 'block', marginBottom: '10px' }}>
+              Layout
+            </label>
+            <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', alignItems: 'center' }}>
+              {Object.entries(CHART_LAYOUTS).map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setChartLayout(key)}
+                  disabled={key !== 'single' && !COMPARE_MODES.includes(chartMode)}
+                  title={key !== 'single' && !COMPARE_MODES.includes(chartMode) ? 'Level and drawdown charts only' : undefined}
+                  style={optionStyle(layout === key)}
+                >
+                  {label}
+                </button>
+              ))}
+              {layout === 'multiples' && Object.entries(DENOMINATORS).map(([key, spec]) => (
+                <button key={key} onClick={() => toggleCompare(key)} style={optionStyle(compareDenominators.includes(key))}>
+                  {spec.label}
+                </button>
+              ))}
+              {layout === 'lens' && (
+                <select value={lensKey || ''} onChange={(e) => setLensAsset(e.target.value)} style={optionStyle(true)}>
+                  {Object.entries(allAssets).map(([key, asset]) => (
+                    <option key={key} value={key}>{asset.name}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+          </div>
+
           {/* Display Options */}
           <div>
             <label style={{ fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.15em', color: 'rgba(255,255,255,0.3)', display: 'block', marginBottom: '10px' }}>
               Display
             </label>
-            <div style={{ display: 'flex', gap: '4px' }}>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
               <button
                 onClick={() => setIndexed(!indexed)}
                 style={{
@@ -412,6 +1016,7 @@ export default function Dashboard() {
               </button>
               <button
                 onClick={() => setLogScale(!logScale)}
+                disabled={!levelMode}
                 style={{
                   padding: '8px 12px',
                   fontSize: '12px',
@@ -427,6 +1032,39 @@ export default function Dashboard() {
               >
                 Log
               </button>
+              {Object.entries(ANNOTATION_LAYERS).map(([layer, label]) => (
+                <button key={layer} onClick={() => toggleLayer(layer)} style={optionStyle(annotationLayers.includes(layer))}>
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Export */}
+          <div>
+            <label style={{ fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.15em', color: 'rgba(255,255,255,0.3)', display: 'block', marginBottom: '10px' }}>
+              Export
+            </label>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                <button
+                  key={format}
+                  onClick={() => exportChart(format)}
+                  disabled={displayData.length === 0}
+                  style={{
+                    padding: '8px 12px',
+                    fontSize: '12px',
+                    background: 'transparent',
+                    border: '1px solid rgba(255,255,255,0.05)',
+                    borderRadius: '5px',
+                    color: 'rgba(255,255,255,0.4)',
+                    cursor: 'pointer',
+                    transition: 'all 0.15s'
+                  }}
+                >
+                  {label}
+                </button>
+              ))}
             </div>
           </div>
         </div>
@@ -437,9 +1075,9 @@ export default function Dashboard() {
             Assets
           </label>
           <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
-            {Object.entries(ASSETS).map(([key, asset]) => {
+            {Object.entries(allAssets).map(([key, asset]) => {
               const isSelected = selectedAssets.includes(key);
-              const metric = metrics[key];
+              const stats = analytics.assets[key];
               return (
                 <button
                   key={key}
@@ -470,14 +1108,21 @@ export default function Dashboard() {
                     borderRadius: '50%',
                     background: isSelected ? asset.color : 'rgba(255,255,255,0.15)'
                   }} />
-                  <span>{asset.name}</span>
-                  {isSelected && metric && (
+                  <span>
+                    {asset.name}
+                    {periodCoverage[key] && (
+                      <span style={{ color: '#fbbf24', marginLeft: '6px', fontSize: '11px' }}>
+                        ({periodCoverage[key].min}/{periodCoverage[key].total} constituents)
+                      </span>
+                    )}
+                  </span>
+                  {isSelected && stats && (
                     <span style={{
                       fontSize: '11px',
                       fontFamily: "'JetBrains Mono', monospace",
-                      color: metric.positive ? '#4ade80' : '#f87171'
+                      color: stats.totalReturn >= 0 ? '#4ade80' : '#f87171'
                     }}>
-                      {metric.positive ? '+' : ''}{metric.change}%
+                      {formatPercent(stats.totalReturn)}
                     </span>
                   )}
                 </button>
@@ -486,6 +1131,12 @@ export default function Dashboard() {
           </div>
         </div>
 
+        <BasketEditor baskets={baskets} onChange={updateBaskets} notice={basketNotice} />
+
+        <SavedViews saved={savedViews} onChange={updateSavedViews} view={view} onApply={applyView} />
+
+        {annotationLayers.includes('notes') && <NotesEditor notes={notes} onChange={updateNotes} />}
+
         {/* Chart */}
         <div style={{
           background: 'rgba(255,255,255,0.01)',
@@ -494,48 +1145,130 @@ export default function Dashboard() {
           padding: '24px',
           marginBottom: '32px'
         }}>
-          <div style={{ height: '460px' }}>
-            <ResponsiveContainer width="100%" height="100%">
-              <LineChart data={chartData} margin={{ top: 16, right: 24, left: 8, bottom: 16 }}>
-                <XAxis 
-                  dataKey="date" 
-                  axisLine={{ stroke: 'rgba(255,255,255,0.06)' }}
-                  tickLine={false}
-                  tick={{ fill: 'rgba(255,255,255,0.3)', fontSize: 10, fontFamily: "'JetBrains Mono', monospace" }}
-                  tickFormatter={(val) => val?.split('-')[0]}
-                  interval="preserveStartEnd"
-                  minTickGap={40}
-                />
-                <YAxis 
-                  scale={logScale ? 'log' : 'auto'}
-                  domain={logScale ? ['auto', 'auto'] : indexed ? [0, 'auto'] : ['auto', 'auto']}
-                  axisLine={{ stroke: 'rgba(255,255,255,0.06)' }}
-                  tickLine={false}
-                  tick={{ fill: 'rgba(255,255,255,0.3)', fontSize: 10, fontFamily: "'JetBrains Mono', monospace" }}
-                  tickFormatter={formatYAxis}
-                  width={65}
-                />
-                <Tooltip content={<CustomTooltip />} />
-                
-                {indexed && <ReferenceLine y={100} stroke="rgba(255,255,255,0.1)" strokeDasharray="3 3" />}
-                
-                {selectedAssets.map(asset => (
-                  <Line
-                    key={asset}
-                    type="monotone"
-                    dataKey={asset}
-                    stroke={ASSETS[asset].color}
-                    strokeWidth={hoveredAsset === asset ? 2.5 : 1.8}
-                    dot={false}
-                    connectNulls
-                    opacity={hoveredAsset && hoveredAsset !== asset ? 0.2 : 1}
+          {layout === 'multiples' && (
+            <SmallMultiples
+              panels={comparePanels}
+              assets={displayAssets}
+              mode={chartMode}
+              indexed={indexed}
+              logScale={logScale}
+              annotations={annotations}
+              monthTicks={monthTicks}
+              hoveredAsset={hoveredAsset}
+            />
+          )}
+          {layout === 'lens' && lens && (
+            <LensChart
+              lens={lens}
+              assetName={allAssets[lensKey].name}
+              mode={chartMode}
+              logScale={logScale}
+              annotations={annotations}
+              monthTicks={monthTicks}
+            />
+          )}
+          {layout === 'single' && (
+            <div style={{ height: '460px' }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart
+                  data={displayData}
+                  margin={{ top: 16, right: 24, left: 8, bottom: 16 }}
+                  onMouseDown={(e) => e?.activeLabel && setSelection({ from: e.activeLabel, to: e.activeLabel })}
+                  onMouseMove={(e) => selection && e?.activeLabel && setSelection({ ...selection, to: e.activeLabel })}
+                  onMouseUp={endSelection}
+                  onMouseLeave={() => setSelection(null)}
+                >
+                  <XAxis 
+                    dataKey="date" 
+                    axisLine={{ stroke: 'rgba(255,255,255,0.06)' }}
+                    tickLine={false}
+                    tick={{ fill: 'rgba(255,255,255,0.3)', fontSize: 10, fontFamily: "'JetBrains Mono', monospace" }}
+                    tickFormatter={(val) => (monthTicks ? val?.substring(0, 7) : val?.split('-')[0])}
+                    interval="preserveStartEnd"
+                    minTickGap={40}
                   />
-                ))}
-              </LineChart>
-            </ResponsiveContainer>
-          </div>
+                  <YAxis 
+                    scale={logScale && levelMode ? 'log' : 'auto'}
+                    domain={chartMode === 'correlation' ? [-1, 1]
+                      : chartMode === 'drawdown' ? ['auto', 0]
+                      : logScale && levelMode ? ['auto', 'auto']
+                      : indexed && levelMode ? [0, 'auto'] : ['auto', 'auto']}
+                    axisLine={{ stroke: 'rgba(255,255,255,0.06)' }}
+                    tickLine={false}
+                    tick={{ fill: 'rgba(255,255,255,0.3)', fontSize: 10, fontFamily: "'JetBrains Mono', monospace" }}
+                    tickFormatter={formatYAxis}
+                    width={65}
+                  />
+                  <Tooltip content={<CustomTooltip />} />
+
+                  {annotations.bands.map(band => (
+                    <ReferenceArea
+                      key={band.id}
+                      x1={band.x1}
+                      x2={band.x2}
+                      fill={BAND_FILLS[band.kind]}
+                      strokeOpacity={0}
+                      label={{ value: band.label, position: 'insideTopLeft', fill: 'rgba(255,255,255,0.3)', fontSize: 9 }}
+                    />
+                  ))}
+                  {annotations.lines.map(line => (
+                    <ReferenceLine
+                      key={line.id}
+                      x={line.x}
+                      stroke={LINE_STROKES[line.layer]}
+                      strokeDasharray="2 4"
+                      label={{ value: line.label, position: 'insideTopRight', fill: 'rgba(255,255,255,0.45)', fontSize: 10 }}
+                    />
+                  ))}
+                  
+                  {selection && selection.from !== selection.to && (
+                    <ReferenceArea x1={selection.from} x2={selection.to} fill="rgba(255,255,255,0.06)" strokeOpacity={0} />
+                  )}
+                  {levelMode && indexed && <ReferenceLine y={100} stroke="rgba(255,255,255,0.1)" strokeDasharray="3 3" />}
+                  {!levelMode && <ReferenceLine y={0} stroke="rgba(255,255,255,0.15)" strokeDasharray="3 3" />}
+                  
+                  {displayAssets.map(({ key, color }) => (
+                    <Line
+                      key={key}
+                      type="monotone"
+                      dataKey={key}
+                      stroke={color}
+                      strokeWidth={hoveredAsset === key ? 2.5 : 1.8}
+                      dot={false}
+                      connectNulls
+                      opacity={hoveredAsset && hoveredAsset !== key ? 0.2 : 1}
+                    />
+                  ))}
+
+                  {displayData.length > 2 && (
+                    <Brush
+                      dataKey="date"
+                      height={22}
+                      travellerWidth={8}
+                      stroke="rgba(255,255,255,0.2)"
+                      fill="rgba(255,255,255,0.02)"
+                      tickFormatter={() => ''}
+                      onDragEnd={({ startIndex, endIndex }) => {
+                        if (startIndex === 0 && endIndex === displayData.length - 1) return;
+                        commitZoom(displayData[startIndex]?.date, displayData[endIndex]?.date);
+                      }}
+                    />
+                  )}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
         </div>
 
+        <StatsTable
+          analytics={analytics}
+          assets={visibleAssets.map(key => ({ key, name: allAssets[key].name, color: allAssets[key].color }))}
+        />
+
+        <Backtester assets={ASSETS} denominator={denominator} />
+
+        <AlertsPanel assets={ASSETS} denominator={denominator} />
+
         {/* Data Sources */}
         <div style={{
           background: 'rgba(255,255,255,0.01)',
@@ -547,14 +1280,31 @@ export default function Dashboard() {
           <div style={{ fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.12em', color: 'rgba(255,255,255,0.3)', marginBottom: '10px' }}>
             Data Sources
           </div>
-          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '16px', fontSize: '12px', color: 'rgba(255,255,255,0.5)' }}>
-            {Object.entries(sources).map(([key, source]) => (
-              <div key={key} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
-                <span style={{ color: source === 'unavailable' ? '#f87171' : '#4ade80' }}>
-                  {source === 'unavailable' ? '○' : '●'}
-                </span>
-                <span style={{ color: 'rgba(255,255,255,0.7)' }}>{key}:</span>
-                <span>{source}</span>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px 24px', fontSize: '12px', color: 'rgba(255,255,255,0.5)' }}>
+            {Object.values(health).map(report => (
+              <div key={report.key} style={{ minWidth: '200px' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  <span style={{ color: HEALTH_STATES[report.status].color }}>
+                    {report.status === 'failed' ? '○' : '●'}
+                  </span>
+                  <span style={{ color: 'rgba(255,255,255,0.7)' }}>{report.name}:</span>
+                  <span>{report.source}</span>
+                  {report.status !== 'ok' && (
+                    <span style={{ color: HEALTH_STATES[report.status].color }}>{HEALTH_STATES[report.status].label}</span>
+                  )}
+                </div>
+                <div style={{ fontSize: '10px', color: 'rgba(255,255,255,0.3)', marginLeft: '14px', fontFamily: "'JetBrains Mono', monospace" }}>
+                  {report.lastObservation ? `last ${report.lastObservation}` : 'no data'}
+                </div>
+                {report.issues.map(issue => (
+                  <div
+                    key={issue.check}
+                    title={issue.dates.length ? `Latest: ${issue.dates.join(', ')}` : undefined}
+                    style={{ fontSize: '10px', marginLeft: '14px', color: issue.severity === 'error' ? '#f87171' : '#fbbf24' }}
+                  >
+                    {issue.message}
+                  </div>
+                ))}
               </div>
             ))}
           </div>
@@ -562,22 +1312,18 @@ export default function Dashboard() {
 
         {/* Explainer Cards */}
         <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: '12px', marginBottom: '40px' }}>
+          {Object.entries(DENOMINATORS).filter(([, spec]) => spec.description).map(([key, spec]) => (
+            <div key={key} style={{ background: 'rgba(255,255,255,0.01)', border: '1px solid rgba(255,255,255,0.04)', borderRadius: '8px', padding: '18px 20px' }}>
+              <div style={{ fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.12em', color: spec.accent, marginBottom: '8px' }}>{spec.label}</div>
+              <p style={{ fontSize: '13px', lineHeight: 1.6, color: 'rgba(255,255,255,0.55)', margin: 0 }}>
+                {spec.description}
+              </p>
+            </div>
+          ))}
           <div style={{ background: 'rgba(255,255,255,0.01)', border: '1px solid rgba(255,255,255,0.04)', borderRadius: '8px', padding: '18px 20px' }}>
-            <div style={{ fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.12em', color: '#d4af37', marginBottom: '8px' }}>vs Gold</div>
-            <p style={{ fontSize: '13px', lineHeight: 1.6, color: 'rgba(255,255,255,0.55)', margin: 0 }}>
-              Price in gold ounces. Reveals whether assets preserve purchasing power or just ride dollar debasement.
-            </p>
-          </div>
-          <div style={{ background: 'rgba(255,255,255,0.01)', border: '1px solid rgba(255,255,255,0.04)', borderRadius: '8px', padding: '18px 20px' }}>
-            <div style={{ fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.12em', color: '#60a5fa', marginBottom: '8px' }}>vs Houses</div>
-            <p style={{ fontSize: '13px', lineHeight: 1.6, color: 'rgba(255,255,255,0.55)', margin: 0 }}>
-              Relative to Case-Shiller Index. Shows performance against the primary store of American wealth.
-            </p>
-          </div>
-          <div style={{ background: 'rgba(255,255,255,0.01)', border: '1px solid rgba(255,255,255,0.04)', borderRadius: '8px', padding: '18px 20px' }}>
-            <div style={{ fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.12em', color: '#a78bfa', marginBottom: '8px' }}>PCE Adjusted</div>
+            <div style={{ fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.12em', color: '#4ade80', marginBottom: '8px' }}>In Any Asset</div>
             <p style={{ fontSize: '13px', lineHeight: 1.6, color: 'rgba(255,255,255,0.55)', margin: 0 }}>
-              Fed's preferred inflation measure. Real returns after adjusting for official purchasing power erosion.
+              Price one asset in units of another: S&P in Bitcoin, silver in gold, Mag7 in the S&P. A rising line means it is winning the race.
             </p>
           </div>
         </div>
@@ -594,11 +1340,7 @@ export default function Dashboard() {
           flexWrap: 'wrap',
           gap: '12px'
         }}>
-          <div>
-            Market data from Yahoo Finance. PCE & Case-Shiller from FRED. 
-            Mag7 = equal-weight AAPL, MSFT, GOOG, AMZN, NVDA, META, TSLA.
-            Uranium = URA ETF.
-          </div>
+          <div>{describeRegistry()}</div>
           <div style={{ fontFamily: "'JetBrains Mono', monospace" }}>v4.0 Live</div>
         </footer>
       </main>
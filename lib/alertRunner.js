@@ -0,0 +1,167 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { ASSETS } from './assets.js';
+import { resolveDenominator } from './transform.js';
+import { loadChartData } from './dataset.js';
+import { describeRule, evaluateRule, MAX_RULES } from './alerts.js';
+import { getNotifier } from './notifiers/index.js';
+import { writeFileAtomic } from './files.js';
+
+// Server side of alerts: rules and their history on disk, and the evaluator that
+// `npm run alerts` and POST /api/alerts/check run. history.json holds
+//
+//   { checked: { [ruleId]: last date evaluated },
+//     events: [{ id, ruleId, rule, message, date, value, firedAt, deliveries }] }  newest first
+//
+// where deliveries maps each notifier id to 'sent' or the reason it failed.
+//
+// Every read-modify-write of these files runs one at a time (serialized below), so
+// simultaneous requests never lose each other's changes. That holds within one server
+// process; the cron job and the server are expected not to edit rules at the same time.
+//
+// Point ALERTS_DIR at a persistent volume in production.
+export const ALERTS_DIR = process.env.ALERTS_DIR || path.join(process.cwd(), 'data', 'alerts');
+
+export const MAX_HISTORY = 200;
+
+// Rules are checked against daily closes so a cross is caught the day it happens
+const EVALUATION_INTERVAL = '1d';
+
+async function readJson(name, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(ALERTS_DIR, name), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Could not read ${name}: ${error.message}`);
+    return fallback;
+  }
+}
+
+async function writeJson(name, value) {
+  await fs.mkdir(ALERTS_DIR, { recursive: true });
+  await writeFileAtomic(path.join(ALERTS_DIR, name), JSON.stringify(value, null, 2) + '\n');
+}
+
+let queue = Promise.resolve();
+
+// Runs task after every update queued before it has finished
+function serialized(task) {
+  const result = queue.then(task);
+  queue = result.catch(() => {});
+  return result;
+}
+
+export async function readRules() {
+  return (await readJson('rules.json', { rules: [] })).rules;
+}
+
+export async function readHistory() {
+  return readJson('history.json', { checked: {}, events: [] });
+}
+
+// rule comes from parseAlertRule (lib/alerts.js); returns it with id and createdAt, or
+// null when there are already MAX_RULES rules
+export function addRule(rule, now = new Date()) {
+  return serialized(async () => {
+    const rules = await readRules();
+    if (rules.length >= MAX_RULES) return null;
+    const saved = { id: randomUUID().slice(0, 8), ...rule, createdAt: now.toISOString() };
+    await writeJson('rules.json', { rules: [...rules, saved] });
+    return saved;
+  });
+}
+
+// Returns false when no rule has that id. Its past events stay in the history.
+export function removeRule(id) {
+  return serialized(async () => {
+    const rules = await readRules();
+    if (!rules.some(rule => rule.id === id)) return false;
+    await writeJson('rules.json', { rules: rules.filter(rule => rule.id !== id) });
+
+    const history = await readHistory();
+    delete history.checked[id];
+    await writeJson('history.json', history);
+    return true;
+  });
+}
+
+async function deliver(alert, notifierIds) {
+  const deliveries = {};
+  for (const id of notifierIds) {
+    try {
+      await getNotifier(id).send(alert);
+      deliveries[id] = 'sent';
+    } catch (error) {
+      console.warn(`Alert delivery via ${id} failed: ${error.message}`);
+      deliveries[id] = error.message;
+    }
+  }
+  return deliveries;
+}
+
+/**
+ * Evaluates every rule on the latest data, sends what fired and records it. A rule only
+ * looks at points newer than its last check; on its first check, only the latest point.
+ * Rules are skipped when live data is unavailable rather than judged on the monthly
+ * snapshot. Returns { checked, skipped, fired } with fired as history events. Runs
+ * serialized with rule changes, so a rule removed meanwhile is not written back.
+ */
+export function runAlerts(now = new Date()) {
+  return serialized(() => evaluateAll(now));
+}
+
+async function evaluateAll(now) {
+  const rules = await readRules();
+  const history = await readHistory();
+  const fired = [];
+  const skipped = [];
+
+  // One load per denominator covers all of its rules
+  const groups = new Map();
+  for (const rule of rules) {
+    if (!groups.has(rule.denominator)) groups.set(rule.denominator, []);
+    groups.get(rule.denominator).push(rule);
+  }
+
+  for (const [denominator, group] of groups) {
+    const chart = await loadChartData({
+      assets: [...new Set(group.map(rule => rule.asset))],
+      denominator: resolveDenominator(denominator, ASSETS),
+      interval: EVALUATION_INTERVAL,
+    });
+    if (!chart || chart.snapshot) {
+      skipped.push(...group.map(rule => rule.id));
+      continue;
+    }
+
+    for (const rule of group) {
+      const points = chart.data
+        .filter(row => row[rule.asset] !== null && row[rule.asset] !== undefined)
+        .map(row => ({ date: row.date, value: row[rule.asset] }));
+      if (!points.length) {
+        skipped.push(rule.id);
+        continue;
+      }
+
+      const trigger = evaluateRule(rule, points, history.checked[rule.id] ?? null);
+      history.checked[rule.id] = points[points.length - 1].date;
+      if (!trigger) continue;
+
+      const alert = {
+        ruleId: rule.id,
+        rule: describeRule(rule),
+        message: trigger.message,
+        date: trigger.date,
+        value: trigger.value,
+        firedAt: now.toISOString(),
+      };
+      const event = { id: randomUUID().slice(0, 8), ...alert, deliveries: await deliver(alert, rule.notify) };
+      fired.push(event);
+      history.events.unshift(event);
+    }
+  }
+
+  history.events = history.events.slice(0, MAX_HISTORY);
+  await writeJson('history.json', history);
+  return { checked: rules.length - skipped.length, skipped, fired };
+}
@@ -0,0 +1,142 @@
+import { ASSETS } from './assets.js';
+import { DENOMINATORS, resolveDenominator, formatTooltipValue } from './transform.js';
+
+// Alert rules on the dashboard's transformed series: one asset priced in one
+// denominator, checked against its daily history by lib/alertRunner.js. A rule is:
+//
+//   {
+//     id: 'k3x9q2',
+//     asset: 'SPX',             // registry asset
+//     denominator: 'GOLD',      // built-in denominator or an asset key
+//     type: 'threshold',        // ALERT_TYPES key
+//     direction: 'below',       // one of ALERT_TYPES[type].directions
+//     level: 2,                 // threshold: in the denominator's unit
+//     percent: 20, months: 12,  // change: size of the move and the lookback
+//     notify: ['log', 'webhook'],
+//     createdAt: '2026-10-18T09:00:00.000Z',
+//   }
+//
+// Every rule fires on the point where its condition turns true, not while it stays true.
+
+export const ALERT_TYPES = {
+  threshold: { label: 'Crosses a level', directions: { above: 'rises above', below: 'falls below' } },
+  change: { label: 'Moves by a percent', directions: { up: 'rises', down: 'falls' } },
+  extreme: { label: 'New high or low', directions: { high: 'new high', low: 'new low' } },
+};
+
+export const MAX_RULES = 50;
+export const MAX_CHANGE_MONTHS = 120;
+
+function ruleSpec(rule) {
+  return resolveDenominator(rule.denominator, ASSETS);
+}
+
+/**
+ * Checks a rule from a request body against the notifier ids available. Returns
+ * { rule } without id or createdAt, or { error } with a message fit for a 400 response.
+ */
+export function parseAlertRule(input, notifierIds) {
+  const asset = input?.asset;
+  if (!ASSETS[asset]) return { error: `Unknown asset "${asset}"; expected any of ${Object.keys(ASSETS).join(', ')}` };
+
+  const denominator = input.denominator || 'USD';
+  if (!resolveDenominator(denominator, ASSETS)) {
+    return { error: `Unknown denominator "${denominator}"; expected one of ${Object.keys(DENOMINATORS).join(', ')} or an asset key` };
+  }
+  if (denominator === asset) return { error: 'An asset priced in itself is always 1' };
+
+  const type = input.type;
+  if (!ALERT_TYPES[type]) return { error: `type must be one of ${Object.keys(ALERT_TYPES).join(', ')}` };
+  const directions = Object.keys(ALERT_TYPES[type].directions);
+  if (!directions.includes(input.direction)) {
+    return { error: `direction for a ${type} alert must be one of ${directions.join(', ')}` };
+  }
+
+  const rule = { asset, denominator, type, direction: input.direction };
+  if (type === 'threshold') {
+    if (!(Number.isFinite(input.level) && input.level > 0)) return { error: 'level must be a positive number' };
+    rule.level = input.level;
+  }
+  if (type === 'change') {
+    if (!(Number.isFinite(input.percent) && input.percent > 0)) return { error: 'percent must be a positive number' };
+    if (!(Number.isInteger(input.months) && input.months >= 1 && input.months <= MAX_CHANGE_MONTHS)) {
+      return { error: `months must be a whole number from 1 to ${MAX_CHANGE_MONTHS}` };
+    }
+    if (input.direction === 'down' && input.percent >= 100) return { error: 'A fall must be less than 100%' };
+    rule.percent = input.percent;
+    rule.months = input.months;
+  }
+
+  const notify = input.notify ?? ['log'];
+  if (!Array.isArray(notify) || notify.length === 0) return { error: 'notify must list at least one notifier' };
+  const unknown = notify.find(id => !notifierIds.includes(id));
+  if (unknown) return { error: `Unknown notifier "${unknown}"; expected any of ${notifierIds.join(', ')}` };
+  rule.notify = [...new Set(notify)];
+
+  return { rule };
+}
+
+// "S&P 500 vs Gold falls below 2.000 oz"
+export function describeRule(rule) {
+  const spec = ruleSpec(rule);
+  const name = ASSETS[rule.asset]?.name || rule.asset;
+  const subject = rule.denominator === 'USD' ? name : `${name} ${spec?.label || rule.denominator}`;
+  const verb = ALERT_TYPES[rule.type].directions[rule.direction];
+  if (rule.type === 'threshold') return `${subject} ${verb} ${formatTooltipValue(rule.level, spec, false)}`;
+  if (rule.type === 'change') return `${subject} ${verb} ${rule.percent}% over ${rule.months} month${rule.months === 1 ? '' : 's'}`;
+  return `${subject} makes a ${verb}`;
+}
+
+function monthsBefore(date, months) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCMonth(shifted.getUTCMonth() - months);
+  return shifted.toISOString().split('T')[0];
+}
+
+// Per point, whether the condition holds (null when it cannot be judged yet)
+function conditions(rule, points) {
+  if (rule.type === 'threshold') {
+    return points.map(({ value }) => (rule.direction === 'above' ? value > rule.level : value < rule.level));
+  }
+
+  if (rule.type === 'change') {
+    const limit = rule.percent / 100;
+    let base = -1;
+    return points.map(({ date, value }) => {
+      const from = monthsBefore(date, rule.months);
+      while (base + 1 < points.length && points[base + 1].date <= from) base++;
+      if (base === -1) return null;
+      const change = value / points[base].value - 1;
+      return rule.direction === 'up' ? change >= limit : change <= -limit;
+    });
+  }
+
+  let best = null;
+  return points.map(({ value }) => {
+    const record = best !== null && (rule.direction === 'high' ? value > best : value < best);
+    if (best === null || record) best = value;
+    return record;
+  });
+}
+
+/**
+ * Evaluates a rule over ascending [{ date, value }] points of its transformed series.
+ * Returns the latest trigger after `since` (a date; by default only the last point is
+ * new) as { date, value, message }, or null. New highs and lows count from the first
+ * point given.
+ */
+export function evaluateRule(rule, points, since = null) {
+  if (points.length < 2) return null;
+  const after = since ?? points[points.length - 2].date;
+  const holds = conditions(rule, points);
+  const spec = ruleSpec(rule);
+
+  for (let i = points.length - 1; i >= 1 && points[i].date > after; i--) {
+    const edge = rule.type === 'extreme' ? holds[i] : holds[i] && holds[i - 1] === false;
+    if (edge) {
+      const { date, value } = points[i];
+      return { date, value, message: `${describeRule(rule)}: ${formatTooltipValue(value, spec, false)} on ${date}` };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,106 @@
+// Resolution handling: which intervals the API serves and how series observed at
+// different frequencies are lined up on one date calendar.
+
+export const INTERVALS = {
+  '1d': { label: 'Daily', maxGapDays: 5 },
+  '1wk': { label: 'Weekly', maxGapDays: 10 },
+  '1mo': { label: 'Monthly', maxGapDays: 0 },
+};
+
+// How a series fills calendar dates it has no observation for:
+//   ffill        carry the latest observation forward, up to a staleness limit
+//   interpolate  blend the observations either side (finer calendars only), else ffill
+//   drop         leave the point empty
+export const ALIGN_METHODS = ['ffill', 'interpolate', 'drop'];
+
+export const ALIGN_LABELS = {
+  ffill: 'Forward-fill',
+  interpolate: 'Interpolate',
+  drop: 'Drop gaps',
+};
+
+// Monthly series (FRED) are carried forward at most this far past an observation.
+// Long enough to bridge Case-Shiller's two-month publication lag.
+export const MONTHLY_MAX_GAP_DAYS = 95;
+
+// Longest staleness limit a caller can ask for
+export const MAX_STALE_DAYS = 366;
+
+// Quality flag of an aligned point. Points without a flag were observed in their period.
+export const POINT_FLAGS = {
+  ffill: 'forward-filled',
+  estimated: 'estimated',
+  missing: 'missing',
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Key two observations must share to be "the same point" at this interval
+export function periodKey(date, interval) {
+  return interval === '1mo' ? date.substring(0, 7) : date;
+}
+
+function toTime(date) {
+  return Date.parse(`${date.substring(0, 10)}T00:00:00Z`);
+}
+
+/**
+ * Returns data's values on each of dates (ascending) as { values, flags }, with a
+ * null value where it has none and a POINT_FLAGS key (or null) for each date.
+ *
+ * With method 'interpolate' on a finer calendar, a date between two observations
+ * takes a linear blend of them, flagged 'estimated'. Otherwise a date whose period
+ * (at the series' own nativeInterval) has an observation takes it unflagged, and
+ * with 'ffill' any other date takes the latest earlier observation no older than
+ * maxGapDays, flagged 'ffill'. Anything else is null and flagged 'missing', except
+ * dates before the series starts, which are simply null.
+ */
+export function alignSeries(data, dates, { interval = '1mo', nativeInterval = interval, method = 'ffill', maxGapDays } = {}) {
+  if (!data) return { values: dates.map(() => null), flags: dates.map(() => null) };
+
+  const limit = maxGapDays ?? INTERVALS[interval].maxGapDays;
+  const values = [];
+  const flags = [];
+  const push = (value, flag) => {
+    values.push(value);
+    flags.push(flag);
+  };
+
+  // At monthly interval points match by calendar month
+  const byMonth = new Map();
+  if (interval === '1mo') {
+    for (const point of data) byMonth.set(point.date.substring(0, 7), point.value);
+  }
+
+  let j = -1;
+  for (const date of dates) {
+    const time = toTime(date);
+    while (j + 1 < data.length && toTime(data[j + 1].date) <= time) j++;
+
+    if (interval === '1mo' && byMonth.has(date.substring(0, 7))) {
+      push(byMonth.get(date.substring(0, 7)), null);
+      continue;
+    }
+    if (j < 0) {
+      push(null, null);
+      continue;
+    }
+
+    const prev = data[j];
+    const prevTime = toTime(prev.date);
+    const next = data[j + 1];
+
+    if (method === 'interpolate' && interval !== '1mo' && next && prevTime < time) {
+      const nextTime = toTime(next.date);
+      push(prev.value + (next.value - prev.value) * (time - prevTime) / (nextTime - prevTime), 'estimated');
+    } else if (prevTime === time || periodKey(prev.date, nativeInterval) === periodKey(date, nativeInterval)) {
+      push(prev.value, null);
+    } else if (method !== 'drop' && (time - prevTime) / DAY <= limit) {
+      push(prev.value, 'ffill');
+    } else {
+      push(null, 'missing');
+    }
+  }
+
+  return { values, flags };
+}
@@ -0,0 +1,317 @@
+// Risk and return statistics over chart rows. Values are whatever the chart shows
+// (already divided by the denominator), so every figure here is in real terms for the
+// selected denominator. Indexing does not change any of them: they are all ratios.
+
+const DAY = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365.25;
+
+// Return periods per year at each interval (the calendar is SPX trading days)
+export const PERIODS_PER_YEAR = {
+  '1d': 252,
+  '1wk': 52,
+  '1mo': 12,
+};
+
+function toTime(date) {
+  return Date.parse(`${date.substring(0, 10)}T00:00:00Z`);
+}
+
+function daysBetween(from, to) {
+  return Math.round((toTime(to) - toTime(from)) / DAY);
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Sample standard deviation
+function stdev(values) {
+  if (values.length < 2) return null;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / (values.length - 1));
+}
+
+// Points of one column that have a positive value
+export function seriesOf(rows, key) {
+  return rows
+    .filter(row => row[key] !== null && row[key] !== undefined && row[key] > 0)
+    .map(row => ({ date: row.date, value: row[key] }));
+}
+
+// Simple returns between consecutive points, dated at the later point
+export function periodReturns(points) {
+  const result = [];
+  for (let i = 1; i < points.length; i++) {
+    result.push({ date: points[i].date, value: points[i].value / points[i - 1].value - 1 });
+  }
+  return result;
+}
+
+export function totalReturn(points) {
+  if (points.length < 2) return null;
+  return points[points.length - 1].value / points[0].value - 1;
+}
+
+// Compound annual growth rate over the calendar time the points span
+export function cagr(points) {
+  if (points.length < 2) return null;
+  const years = daysBetween(points[0].date, points[points.length - 1].date) / YEAR_DAYS;
+  if (years <= 0) return null;
+  return (points[points.length - 1].value / points[0].value) ** (1 / years) - 1;
+}
+
+export function annualizedVolatility(returns, interval) {
+  const deviation = stdev(returns.map(r => r.value));
+  return deviation === null ? null : deviation * Math.sqrt(PERIODS_PER_YEAR[interval]);
+}
+
+/**
+ * Annualized mean return over annualized volatility. Values are already real, so the
+ * hurdle is zero rather than a nominal risk-free rate.
+ */
+export function sharpeRatio(returns, interval) {
+  const volatility = annualizedVolatility(returns, interval);
+  if (!volatility) return null;
+  return (mean(returns.map(r => r.value)) * PERIODS_PER_YEAR[interval]) / volatility;
+}
+
+/**
+ * Deepest peak-to-trough decline: { value, peakDate, troughDate, recoveryDate }.
+ * value is a negative fraction; recoveryDate is null if the peak was never regained.
+ */
+export function maxDrawdown(points) {
+  if (points.length < 2) return null;
+
+  let peak = points[0];
+  let worst = { value: 0, peakDate: null, troughDate: null, recoveryDate: null };
+
+  for (const point of points) {
+    if (point.value > peak.value) peak = point;
+    const drawdown = point.value / peak.value - 1;
+    if (drawdown < worst.value) {
+      worst = { value: drawdown, peakDate: peak.date, troughDate: point.date, recoveryDate: null };
+    }
+  }
+
+  if (worst.peakDate) {
+    const peakValue = points.find(point => point.date === worst.peakDate).value;
+    const recovery = points.find(point => point.date > worst.troughDate && point.value >= peakValue);
+    worst.recoveryDate = recovery?.date ?? null;
+  }
+  return worst;
+}
+
+/**
+ * Time spent below a previous high: { share, longestDays, current }.
+ * share is the fraction of the span spent underwater; longestDays is the longest
+ * stretch from a peak to its recovery (or to the last point if still underwater).
+ */
+export function timeUnderwater(points) {
+  if (points.length < 2) return null;
+
+  const span = daysBetween(points[0].date, points[points.length - 1].date);
+  let peak = points[0];
+  let underwaterDays = 0;
+  let longestDays = 0;
+  let underwater = false;
+
+  // A period counts as underwater when it ends below the running high
+  for (let i = 1; i < points.length; i++) {
+    const point = points[i];
+    if (point.value >= peak.value) {
+      if (underwater) longestDays = Math.max(longestDays, daysBetween(peak.date, point.date));
+      peak = point;
+      underwater = false;
+    } else {
+      underwaterDays += daysBetween(points[i - 1].date, point.date);
+      underwater = true;
+    }
+  }
+
+  const last = points[points.length - 1];
+  if (underwater) longestDays = Math.max(longestDays, daysBetween(peak.date, last.date));
+
+  return { share: span > 0 ? underwaterDays / span : 0, longestDays, current: underwater };
+}
+
+// Month-over-month returns from the last point in each calendar month
+export function monthlyReturns(points) {
+  const closes = new Map();
+  for (const point of points) closes.set(point.date.substring(0, 7), point);
+  const monthly = periodReturns([...closes.values()]);
+  return monthly.map(r => ({ month: r.date.substring(0, 7), value: r.value }));
+}
+
+export function bestAndWorstMonth(points) {
+  const monthly = monthlyReturns(points);
+  if (!monthly.length) return { best: null, worst: null };
+  let best = monthly[0];
+  let worst = monthly[0];
+  for (const r of monthly) {
+    if (r.value > best.value) best = r;
+    if (r.value < worst.value) worst = r;
+  }
+  return { best, worst };
+}
+
+// Pearson correlation of two return series over the dates both have
+export function correlation(a, b) {
+  const byDate = new Map(a.map(r => [r.date, r.value]));
+  const pairs = b.filter(r => byDate.has(r.date)).map(r => [byDate.get(r.date), r.value]);
+  if (pairs.length < 3) return null;
+
+  const meanA = mean(pairs.map(p => p[0]));
+  const meanB = mean(pairs.map(p => p[1]));
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (const [x, y] of pairs) {
+    covariance += (x - meanA) * (y - meanB);
+    varianceA += (x - meanA) ** 2;
+    varianceB += (y - meanB) ** 2;
+  }
+  if (!varianceA || !varianceB) return null;
+  return covariance / Math.sqrt(varianceA * varianceB);
+}
+
+function round(value, digits = 6) {
+  return value === null || value === undefined ? null : Number(value.toFixed(digits));
+}
+
+/**
+ * Statistics for each key over chart rows at this interval:
+ *
+ *   { assets: { KEY: { start, end, totalReturn, cagr, volatility, sharpe, maxDrawdown,
+ *                      underwater, bestMonth, worstMonth } },
+ *     correlations: { KEY: { OTHER: r } } }
+ *
+ * Returns are fractions (0.12 = 12%). Correlations use period returns on shared dates.
+ * An asset with fewer than two points gets null statistics.
+ */
+export function computeAnalytics(rows, keys, { interval = '1mo' } = {}) {
+  const assets = {};
+  const returns = {};
+
+  for (const key of keys) {
+    const points = seriesOf(rows, key);
+    returns[key] = periodReturns(points);
+    if (points.length < 2) {
+      assets[key] = null;
+      continue;
+    }
+
+    const drawdown = maxDrawdown(points);
+    const underwater = timeUnderwater(points);
+    const { best, worst } = bestAndWorstMonth(points);
+    assets[key] = {
+      start: points[0].date,
+      end: points[points.length - 1].date,
+      totalReturn: round(totalReturn(points)),
+      cagr: round(cagr(points)),
+      volatility: round(annualizedVolatility(returns[key], interval)),
+      sharpe: round(sharpeRatio(returns[key], interval), 3),
+      maxDrawdown: { ...drawdown, value: round(drawdown.value) },
+      underwater: { ...underwater, share: round(underwater.share, 4) },
+      bestMonth: best && { ...best, value: round(best.value) },
+      worstMonth: worst && { ...worst, value: round(worst.value) },
+    };
+  }
+
+  const correlations = {};
+  for (const key of keys) {
+    correlations[key] = {};
+    for (const other of keys) {
+      if (other === key) continue;
+      correlations[key][other] = round(correlation(returns[key], returns[other]), 4);
+    }
+  }
+
+  return { assets, correlations };
+}
+
+// --- CHART MODES ---
+
+function shiftYears(date, years) {
+  const shifted = new Date(`${date.substring(0, 10)}T00:00:00Z`);
+  shifted.setUTCFullYear(shifted.getUTCFullYear() - years);
+  return shifted.toISOString().substring(0, 10);
+}
+
+// A lookback point may sit this far before its target date (month-start rows, holidays)
+const LOOKBACK_TOLERANCE_DAYS = 45;
+
+// Decline from the running high of each column, as a fraction (0 at a new high)
+export function drawdownRows(rows, keys) {
+  const peaks = {};
+  return rows.map(row => {
+    const result = { date: row.date };
+    for (const key of keys) {
+      const value = row[key];
+      if (value === null || value === undefined || value <= 0) {
+        result[key] = null;
+        continue;
+      }
+      peaks[key] = Math.max(peaks[key] ?? value, value);
+      result[key] = round(value / peaks[key] - 1);
+    }
+    return result;
+  });
+}
+
+/**
+ * Annualized return over the trailing `years` at each row. Needs a point within
+ * LOOKBACK_TOLERANCE_DAYS before the start of the lookback, so pass rows that begin
+ * at least `years` before the first date you want to show.
+ */
+export function rollingReturnRows(rows, keys, { years }) {
+  const columns = {};
+  for (const key of keys) {
+    const points = seriesOf(rows, key);
+    const byDate = new Map();
+    let j = -1;
+    for (const point of points) {
+      const target = shiftYears(point.date, years);
+      while (j + 1 < points.length && points[j + 1].date <= target) j++;
+      const base = j >= 0 ? points[j] : null;
+      if (base && daysBetween(base.date, target) <= LOOKBACK_TOLERANCE_DAYS) {
+        const span = daysBetween(base.date, point.date) / YEAR_DAYS;
+        byDate.set(point.date, round((point.value / base.value) ** (1 / span) - 1));
+      }
+    }
+    columns[key] = byDate;
+  }
+
+  return rows.map(row => {
+    const result = { date: row.date };
+    for (const key of keys) result[key] = columns[key].get(row.date) ?? null;
+    return result;
+  });
+}
+
+/**
+ * Correlation of a's and b's period returns over the trailing `years` at each row,
+ * as [{ date, value }]. A window needs at least half its expected returns.
+ */
+export function rollingCorrelation(rows, a, b, { years, interval }) {
+  const returnsA = new Map(periodReturns(seriesOf(rows, a)).map(r => [r.date, r.value]));
+  const returnsB = new Map(periodReturns(seriesOf(rows, b)).map(r => [r.date, r.value]));
+  const shared = rows
+    .filter(row => returnsA.has(row.date) && returnsB.has(row.date))
+    .map(row => ({ date: row.date, a: returnsA.get(row.date), b: returnsB.get(row.date) }));
+  const minCount = Math.max(3, Math.ceil((PERIODS_PER_YEAR[interval] * years) / 2));
+
+  const byDate = new Map();
+  let start = 0;
+  for (let end = 0; end < shared.length; end++) {
+    const from = shiftYears(shared[end].date, years);
+    while (shared[start].date <= from) start++;
+    if (rows[0].date > from || end - start + 1 < minCount) continue;
+    const window = shared.slice(start, end + 1);
+    byDate.set(shared[end].date, round(correlation(
+      window.map(r => ({ date: r.date, value: r.a })),
+      window.map(r => ({ date: r.date, value: r.b }))
+    ), 4));
+  }
+
+  return rows.map(row => ({ date: row.date, value: byDate.get(row.date) ?? null }));
+}
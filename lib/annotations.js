@@ -0,0 +1,153 @@
+// Event and regime annotations drawn over the chart. Each layer can be switched on or
+// off from the dashboard; the active layers and the user's notes are part of a view.
+
+export const ANNOTATION_LAYERS = {
+  recessions: 'Recessions',
+  fed: 'Fed cycles',
+  halvings: 'BTC halvings',
+  notes: 'Notes',
+};
+
+// Registry series that flags recession months (1 = in recession)
+export const RECESSION_KEY = 'USREC';
+
+// FOMC tightening and easing cycles, first move to last move. Hand-maintained: extend
+// when the committee starts or ends a cycle.
+export const FED_CYCLES = [
+  { kind: 'hiking', start: '2015-12-16', end: '2018-12-19' },
+  { kind: 'cutting', start: '2019-07-31', end: '2020-03-15' },
+  { kind: 'hiking', start: '2022-03-16', end: '2023-07-26' },
+  { kind: 'cutting', start: '2024-09-18', end: '2024-12-18' },
+  { kind: 'cutting', start: '2025-09-17', end: '2025-12-10' },
+];
+
+export const BTC_HALVINGS = ['2012-11-28', '2016-07-09', '2020-05-11', '2024-04-20'];
+
+// Fill of each band kind and stroke of each line layer on the charts
+export const BAND_FILLS = {
+  recession: 'rgba(148,163,184,0.12)',
+  hiking: 'rgba(248,113,113,0.07)',
+  cutting: 'rgba(74,222,128,0.07)',
+};
+
+export const LINE_STROKES = {
+  halvings: 'rgba(245,158,11,0.5)',
+  notes: 'rgba(255,255,255,0.35)',
+};
+
+export const MAX_NOTES = 20;
+export const MAX_NOTE_LENGTH = 80;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Cleans a list of notes from local storage, a URL or an imported view. Accepts
+ * { date, text } objects or 'YYYY-MM-DD:text' strings; returns notes sorted by date.
+ */
+export function normalizeNotes(input) {
+  if (!Array.isArray(input)) return [];
+  return input
+    .map(note => {
+      if (typeof note !== 'string') return note;
+      const split = note.indexOf(':');
+      return { date: note.substring(0, split), text: note.substring(split + 1) };
+    })
+    .filter(note => DATE_PATTERN.test(note?.date) && typeof note.text === 'string' && note.text.trim())
+    .map(note => ({ date: note.date, text: note.text.trim().slice(0, MAX_NOTE_LENGTH) }))
+    .slice(0, MAX_NOTES)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Consecutive rows flagged in `key` as [{ start, end }] in row dates
+export function recessionBands(rows, key = RECESSION_KEY) {
+  const bands = [];
+  let open = null;
+  for (const row of rows) {
+    const value = row[key];
+    if (value === null || value === undefined) continue;
+    if (value >= 0.5) {
+      if (open) open.end = row.date;
+      else open = { start: row.date, end: row.date };
+    } else if (open) {
+      bands.push(open);
+      open = null;
+    }
+  }
+  if (open) bands.push(open);
+  return bands;
+}
+
+// The chart's X axis is categorical, so annotations have to land on a row date. Bands
+// snap inward: first date on or after `date`, or null past the end
+function snapForward(dates, date) {
+  return dates.find(d => d >= date) ?? null;
+}
+
+// Last date on or before `date`, or null before the start
+function snapBack(dates, date) {
+  for (let i = dates.length - 1; i >= 0; i--) {
+    if (dates[i] <= date) return dates[i];
+  }
+  return null;
+}
+
+// A band clipped to the dates on screen, or null if it misses them entirely
+function clipBand(dates, start, end) {
+  if (!dates.length || end < dates[0] || start > dates[dates.length - 1]) return null;
+  const x1 = snapForward(dates, start);
+  const x2 = snapBack(dates, end);
+  return x1 && x2 && x1 <= x2 ? { x1, x2 } : null;
+}
+
+// Closest date to an event inside the dates on screen, e.g. the month-start row of the
+// month it happened in on a monthly chart
+function lineAt(dates, date) {
+  if (!dates.length || date < dates[0] || date > dates[dates.length - 1]) return null;
+  const time = Date.parse(date);
+  return dates.reduce((best, d) => (
+    Math.abs(Date.parse(d) - time) < Math.abs(Date.parse(best) - time) ? d : best
+  ));
+}
+
+/**
+ * Annotations for the dates on screen, for the layers that are on:
+ *
+ *   { bands: [{ id, layer, kind, label, x1, x2 }], lines: [{ id, layer, label, x }] }
+ *
+ * rows supply the recession flags (RECESSION_KEY); dates are the chart's X values.
+ */
+export function buildAnnotations({ rows, dates, layers, notes = [] }) {
+  const bands = [];
+  const lines = [];
+
+  if (layers.includes('recessions')) {
+    recessionBands(rows).forEach(({ start, end }) => {
+      const band = clipBand(dates, start, end);
+      if (band) bands.push({ id: `recession-${start}`, layer: 'recessions', kind: 'recession', label: 'Recession', ...band });
+    });
+  }
+
+  if (layers.includes('fed')) {
+    FED_CYCLES.forEach(({ kind, start, end }) => {
+      const band = clipBand(dates, start, end);
+      const label = kind === 'hiking' ? 'Fed hiking' : 'Fed cutting';
+      if (band) bands.push({ id: `fed-${start}`, layer: 'fed', kind, label, ...band });
+    });
+  }
+
+  if (layers.includes('halvings')) {
+    BTC_HALVINGS.forEach(date => {
+      const x = lineAt(dates, date);
+      if (x) lines.push({ id: `halving-${date}`, layer: 'halvings', label: 'Halving', x });
+    });
+  }
+
+  if (layers.includes('notes')) {
+    notes.forEach((note, index) => {
+      const x = lineAt(dates, note.date);
+      if (x) lines.push({ id: `note-${index}`, layer: 'notes', label: note.text, x });
+    });
+  }
+
+  return { bands, lines };
+}
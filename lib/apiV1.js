@@ -0,0 +1,122 @@
+import { createHash } from 'crypto';
+import { DATASET_KEYS, PROVIDER_LABELS, getEntry } from './assets.js';
+import { DENOMINATORS, denominatorSeries } from './transform.js';
+
+// Responses of the versioned public API under /api/v1, whose shapes are fixed by the
+// OpenAPI document (lib/openapi.js). Every success is { data, meta } with an ETag and
+// Cache-Control; every failure is { error: { status, code, message } } with the same
+// HTTP status. A change that would break a client goes in a new version instead.
+
+export const API_VERSION = '1.0.0';
+
+export const ERROR_CODES = {
+  400: 'invalid_parameter',
+  404: 'not_found',
+  500: 'internal_error',
+  503: 'data_unavailable',
+};
+
+// Seconds a response may be cached: the registry only changes with a deploy and an
+// archive never changes; live data follows the upstream cache, a snapshot fallback
+// should be retried soon
+export const MAX_AGE = { registry: 3600, archive: 86400, live: 300, snapshot: 60 };
+
+export function errorResponse(status, message) {
+  return Response.json(
+    { error: { status, code: ERROR_CODES[status], message } },
+    { status, headers: { 'Cache-Control': 'no-store' } }
+  );
+}
+
+function matchesEtag(request, etag) {
+  const header = request.headers.get('If-None-Match');
+  if (!header) return false;
+  return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === etag || tag === '*');
+}
+
+/**
+ * A 200 with body as JSON, or a bodiless 304 when the client already holds it. The ETag
+ * is a hash of the body, so it changes exactly when the data does.
+ */
+export function jsonResponse(request, body, maxAge) {
+  const text = JSON.stringify(body);
+  const headers = {
+    ETag: `"${createHash('sha1').update(text).digest('base64url')}"`,
+    'Cache-Control': `public, max-age=${maxAge}`,
+  };
+  if (matchesEtag(request, headers.ETag)) return new Response(null, { status: 304, headers });
+  return new Response(text, { headers: { ...headers, 'Content-Type': 'application/json; charset=utf-8' } });
+}
+
+// Wraps a route handler so an unexpected throw is still a JSON error
+export function handle(handler) {
+  return async (request, context) => {
+    try {
+      return await handler(request, context);
+    } catch (error) {
+      console.error(`${new URL(request.url).pathname} failed:`, error);
+      return errorResponse(500, 'Unexpected server error');
+    }
+  };
+}
+
+export function datasetMaxAge(result) {
+  if (result.archive) return MAX_AGE.archive;
+  if (result.snapshot) return MAX_AGE.snapshot;
+  return MAX_AGE.live;
+}
+
+/**
+ * Provenance of a loaded dataset (lib/dataset.js) for meta: where each input series
+ * came from and its health report. lastUpdated is when the newest input was fetched,
+ * not when the request was served, so repeated requests keep their ETag.
+ */
+export function datasetMeta(result) {
+  const origin = result.archive || result.snapshot;
+  const fetched = Object.values(result.health).map(report => report.fetchedAt).filter(Boolean).sort();
+  return {
+    apiVersion: API_VERSION,
+    interval: result.interval,
+    fallback: Boolean(result.snapshot),
+    stale: result.stale,
+    asOf: origin?.asOf ?? null,
+    vintage: result.archive?.archivedOn ?? null,
+    lastUpdated: origin ? origin.generatedAt : fetched[fetched.length - 1] ?? null,
+    sources: result.sources,
+    health: result.health,
+  };
+}
+
+// One column of dataset or chart rows as [{ date, value, flag }]
+export function seriesPoints(rows, key) {
+  return rows.map(row => ({ date: row.date, value: row[key] ?? null, flag: row.flags?.[key] ?? null }));
+}
+
+export function describeSeries(key) {
+  const entry = getEntry(key);
+  return {
+    key,
+    name: entry.name,
+    category: entry.category,
+    provider: PROVIDER_LABELS[entry.provider],
+    symbol: entry.symbol ?? null,
+    constituents: entry.constituents ?? null,
+    color: entry.color ?? null,
+  };
+}
+
+export function listSeries() {
+  return DATASET_KEYS.map(describeSeries);
+}
+
+export function describeDenominator(spec) {
+  return { id: spec.id, label: spec.label, kind: spec.kind, unit: spec.unit, series: denominatorSeries(spec) };
+}
+
+export function listDenominators() {
+  return Object.entries(DENOMINATORS).map(([id, spec]) => ({
+    ...describeDenominator({ id, ...spec }),
+    components: spec.components ?? null,
+    description: spec.description ?? null,
+  }));
+}
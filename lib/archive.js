@@ -0,0 +1,118 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { writeFileAtomic } from './files.js';
+
+// Dated archive of what /api/data served, so past dashboards can be reproduced and
+// upstream revisions (Yahoo adjusted closes, FRED PCE) diffed. `npm run archive`
+// writes one file per day with the raw monthly series the data pipeline merged;
+// /api/data?asOf= replays them through the same pipeline.
+//
+// Point DATA_ARCHIVE_DIR at a persistent volume in production.
+export const ARCHIVE_DIR = process.env.DATA_ARCHIVE_DIR || path.join(process.cwd(), 'data', 'archive');
+export const ARCHIVE_VERSION = 1;
+
+const FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+// Relative changes smaller than this are rounding, not revisions
+const REVISION_TOLERANCE = 1e-9;
+
+function archivePath(date) {
+  return path.join(ARCHIVE_DIR, `${date}.json`);
+}
+
+// Archive dates, oldest first
+export async function listArchives() {
+  try {
+    const files = await fs.readdir(ARCHIVE_DIR);
+    return files.map(file => file.match(FILE_PATTERN)?.[1]).filter(Boolean).sort();
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Archive listing failed: ${error.message}`);
+    return [];
+  }
+}
+
+export async function readArchive(date) {
+  try {
+    const archive = JSON.parse(await fs.readFile(archivePath(date), 'utf8'));
+    if (archive.version !== ARCHIVE_VERSION) {
+      console.warn(`Ignoring archive ${date} with version ${archive.version}, expected ${ARCHIVE_VERSION}`);
+      return null;
+    }
+    return archive;
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Archive read failed for ${date}: ${error.message}`);
+    return null;
+  }
+}
+
+// The latest archive written on or before date, or null
+export async function findArchive(date) {
+  const dates = (await listArchives()).filter(archived => archived <= date);
+  return dates.length ? readArchive(dates[dates.length - 1]) : null;
+}
+
+/**
+ * Writes today's archive from a loaded dataset (loadDataset at monthly interval).
+ * A second run on the same day replaces that day's file. Returns the archive.
+ */
+export async function writeArchive(dataset, now = new Date()) {
+  const archivedOn = now.toISOString().split('T')[0];
+  const spx = dataset.series.SPX;
+  const archive = {
+    version: ARCHIVE_VERSION,
+    archivedOn,
+    asOf: spx[spx.length - 1].date,
+    generatedAt: now.toISOString(),
+    interval: dataset.interval,
+    sources: dataset.sources,
+    health: dataset.health,
+    series: dataset.series,
+  };
+
+  await fs.mkdir(ARCHIVE_DIR, { recursive: true });
+  await writeFileAtomic(archivePath(archivedOn), JSON.stringify(archive));
+  return archive;
+}
+
+/**
+ * Revisions between two archives, per series present in either (or just keys):
+ *
+ *   { from, to, series: { KEY: { revised: [{ date, from, to, change }], added: [date],
+ *                                removed: [date] } } }
+ *
+ * change is the relative revision (0.01 = revised up 1%). Series with no differences
+ * are left out.
+ */
+export function diffArchives(older, newer, keys = null) {
+  const names = keys || [...new Set([...Object.keys(older.series), ...Object.keys(newer.series)])];
+  const series = {};
+
+  for (const key of names) {
+    const before = new Map((older.series[key] || []).map(point => [point.date, point.value]));
+    const after = new Map((newer.series[key] || []).map(point => [point.date, point.value]));
+    const revised = [];
+    const added = [];
+    const removed = [];
+
+    for (const [date, value] of after) {
+      if (!before.has(date)) {
+        added.push(date);
+        continue;
+      }
+      const previous = before.get(date);
+      const change = previous ? value / previous - 1 : null;
+      if (change === null ? value !== previous : Math.abs(change) > REVISION_TOLERANCE) {
+        revised.push({ date, from: previous, to: value, change: change === null ? null : Number(change.toFixed(8)) });
+      }
+    }
+    for (const date of before.keys()) {
+      if (!after.has(date)) removed.push(date);
+    }
+
+    if (revised.length || added.length || removed.length) {
+      series[key] = { revised, added: added.sort(), removed: removed.sort() };
+    }
+  }
+
+  return { from: older.archivedOn, to: newer.archivedOn, series };
+}
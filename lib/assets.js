@@ -0,0 +1,107 @@
+// Single source of truth for every series the app tracks. The API route builds its
+// fetch plan from this list and the dashboard builds its asset buttons from it.
+//
+// Categories:
+//   equity / crypto / commodity - chartable assets shown in the dashboard
+//   constituent                 - fetched only to build a composite (e.g. Mag7)
+//   macro                       - deflators used by the denominator modes
+//   regime                      - indicator series behind chart annotations (0/1 flags)
+//
+// Providers: 'yahoo' and 'fred' are fetched upstream; 'composite' is computed
+// server-side from its `constituents` with the basket engine (lib/baskets.js).
+
+export const PROVIDER_LABELS = {
+  yahoo: 'Yahoo',
+  fred: 'FRED',
+  composite: 'Computed',
+};
+
+export const REGISTRY = [
+  { key: 'SPX', name: 'S&P 500', color: '#3b82f6', provider: 'yahoo', symbol: '^GSPC', category: 'equity' },
+  {
+    key: 'MAG7',
+    name: 'Mag 7',
+    color: '#a855f7',
+    provider: 'composite',
+    constituents: ['AAPL', 'MSFT', 'GOOG', 'AMZN', 'NVDA', 'META', 'TSLA'],
+    weighting: 'equal',
+    rebalance: 'never',
+    category: 'equity',
+  },
+  { key: 'BTC', name: 'Bitcoin', color: '#f59e0b', provider: 'yahoo', symbol: 'BTC-USD', category: 'crypto', maxAgeHours: 1 },
+  { key: 'GOLD', name: 'Gold', color: '#d4af37', provider: 'yahoo', symbol: 'GC=F', category: 'commodity' },
+  { key: 'SILVER', name: 'Silver', color: '#94a3b8', provider: 'yahoo', symbol: 'SI=F', category: 'commodity' },
+  { key: 'URANIUM', name: 'Uranium', color: '#22d3ee', provider: 'yahoo', symbol: 'URA', category: 'commodity', note: 'URA ETF' },
+
+  { key: 'AAPL', name: 'Apple', provider: 'yahoo', symbol: 'AAPL', category: 'constituent' },
+  { key: 'MSFT', name: 'Microsoft', provider: 'yahoo', symbol: 'MSFT', category: 'constituent' },
+  { key: 'GOOG', name: 'Alphabet', provider: 'yahoo', symbol: 'GOOG', category: 'constituent' },
+  { key: 'AMZN', name: 'Amazon', provider: 'yahoo', symbol: 'AMZN', category: 'constituent' },
+  { key: 'NVDA', name: 'NVIDIA', provider: 'yahoo', symbol: 'NVDA', category: 'constituent' },
+  { key: 'META', name: 'Meta', provider: 'yahoo', symbol: 'META', category: 'constituent' },
+  { key: 'TSLA', name: 'Tesla', provider: 'yahoo', symbol: 'TSLA', category: 'constituent' },
+
+  { key: 'PCE', name: 'PCE Price Index', provider: 'fred', symbol: 'PCEPI', category: 'macro' },
+  { key: 'CASE_SHILLER', name: 'Case-Shiller', provider: 'fred', symbol: 'CSUSHPISA', category: 'macro' },
+  { key: 'CPI', name: 'CPI-U', provider: 'fred', symbol: 'CPIAUCSL', category: 'macro' },
+  { key: 'CORE_PCE', name: 'Core PCE', provider: 'fred', symbol: 'PCEPILFE', category: 'macro' },
+  { key: 'M2', name: 'M2 Money Supply', provider: 'fred', symbol: 'M2SL', category: 'macro' },
+  { key: 'WAGES', name: 'Average Hourly Earnings', provider: 'fred', symbol: 'CES0500000003', category: 'macro' },
+  { key: 'DXY', name: 'US Dollar Index', provider: 'yahoo', symbol: 'DX-Y.NYB', category: 'macro' },
+  { key: 'EURUSD', name: 'EUR/USD', provider: 'yahoo', symbol: 'EURUSD=X', category: 'macro' },
+  { key: 'CHFUSD', name: 'CHF/USD', provider: 'yahoo', symbol: 'CHFUSD=X', category: 'macro' },
+
+  { key: 'USREC', name: 'NBER recessions', provider: 'fred', symbol: 'USREC', category: 'regime' },
+];
+
+const HIDDEN_CATEGORIES = ['constituent', 'macro', 'regime'];
+
+// Chartable assets keyed by their data key, in display order
+export const ASSETS = Object.fromEntries(
+  REGISTRY
+    .filter(entry => !HIDDEN_CATEGORIES.includes(entry.category))
+    .map(entry => [entry.key, entry])
+);
+
+export const MACRO_SERIES = REGISTRY.filter(entry => entry.category === 'macro');
+
+export const REGIME_SERIES = REGISTRY.filter(entry => entry.category === 'regime');
+
+// Every column a data row can carry: chartable assets, macro series, then regime flags
+export const DATASET_KEYS = [
+  ...Object.keys(ASSETS),
+  ...MACRO_SERIES.map(entry => entry.key),
+  ...REGIME_SERIES.map(entry => entry.key),
+];
+
+export function getEntry(key) {
+  return REGISTRY.find(entry => entry.key === key) || null;
+}
+
+// Every series that has to be fetched from an upstream provider
+export function getFetchPlan() {
+  return REGISTRY.filter(entry => entry.provider !== 'composite');
+}
+
+export function getComposites() {
+  return REGISTRY.filter(entry => entry.provider === 'composite');
+}
+
+// Human-readable source notes for the dashboard footer
+export function describeRegistry() {
+  const providerNames = { yahoo: 'Yahoo Finance', fred: 'FRED' };
+  const fredSeries = REGISTRY.filter(entry => entry.provider === 'fred').map(entry => entry.name);
+  const notes = [
+    `Market and FX data from ${providerNames.yahoo}. ${fredSeries.join(', ')} from ${providerNames.fred}.`,
+  ];
+
+  for (const entry of Object.values(ASSETS)) {
+    if (entry.provider === 'composite') {
+      notes.push(`${entry.name} = equal-weight ${entry.constituents.join(', ')}.`);
+    } else if (entry.note) {
+      notes.push(`${entry.name} = ${entry.note}.`);
+    }
+  }
+
+  return notes.join(' ');
+}
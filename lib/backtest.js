@@ -0,0 +1,262 @@
+import { ASSETS } from './assets.js';
+import { isRebalancePoint } from './baskets.js';
+import { DENOMINATORS, resolveDenominator, transformRows } from './transform.js';
+
+// Portfolio backtests on merged monthly rows (loadDataset), measured in every
+// denominator. A backtest config is:
+//
+//   {
+//     allocations: { SPX: 60, BTC: 20, GOLD: 20 }, // registry assets, any positive scale
+//     initial: 10000,                               // lump sum invested at the start, USD
+//     contribution: 500,                            // added every `frequency`, USD
+//     frequency: 'monthly',                         // CONTRIBUTION_FREQUENCIES key
+//     rebalance: 'annually',                        // BACKTEST_REBALANCE key
+//     start: '2016-01-01',
+//     end: null,                                    // null for the latest data
+//   }
+//
+// Contributions buy the target weights; rebalancing trades back to them. There are no
+// fees or taxes.
+
+export const CONTRIBUTION_FREQUENCIES = {
+  monthly: 'Monthly',
+  quarterly: 'Quarterly',
+  annually: 'Annually',
+};
+
+export const BACKTEST_REBALANCE = {
+  monthly: 'Monthly',
+  quarterly: 'Quarterly',
+  annually: 'Annually',
+  never: 'Never',
+};
+
+export const MAX_ALLOCATIONS = 10;
+
+// Column of the portfolio in backtest rows; single-asset runs use the asset's key
+export const PORTFOLIO_KEY = 'PORTFOLIO';
+
+// Column of the amount paid in on each row, so it can be deflated at its own date
+const FLOW_KEY = 'FLOW';
+
+// Prefix of the single-asset comparison columns while they are being transformed
+const RUN_PREFIX = 'RUN_';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+function isAmount(value) {
+  return Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Checks a backtest request body. Returns { config } with defaults filled in, or
+ * { error } with a message fit for a 400 response.
+ */
+export function parseBacktest(input) {
+  const allocations = input?.allocations;
+  if (!allocations || typeof allocations !== 'object' || Array.isArray(allocations)) {
+    return { error: '"allocations" must map asset keys to weights' };
+  }
+  const keys = Object.keys(allocations);
+  if (keys.length === 0) return { error: 'allocations must include at least one asset' };
+  if (keys.length > MAX_ALLOCATIONS) return { error: `At most ${MAX_ALLOCATIONS} assets per portfolio` };
+  const unknown = keys.find(key => !ASSETS[key]);
+  if (unknown) return { error: `Unknown asset "${unknown}"; expected any of ${Object.keys(ASSETS).join(', ')}` };
+  const unweighted = keys.find(key => !(Number.isFinite(allocations[key]) && allocations[key] > 0));
+  if (unweighted) return { error: `${unweighted} needs a positive weight` };
+
+  const initial = input.initial ?? 0;
+  const contribution = input.contribution ?? 0;
+  if (!isAmount(initial)) return { error: 'initial must be a non-negative number' };
+  if (!isAmount(contribution)) return { error: 'contribution must be a non-negative number' };
+  if (initial === 0 && contribution === 0) return { error: 'Set an initial amount, a contribution, or both' };
+
+  const frequency = input.frequency || 'monthly';
+  const rebalance = input.rebalance || 'never';
+  if (!CONTRIBUTION_FREQUENCIES[frequency]) {
+    return { error: `frequency must be one of ${Object.keys(CONTRIBUTION_FREQUENCIES).join(', ')}` };
+  }
+  if (!BACKTEST_REBALANCE[rebalance]) {
+    return { error: `rebalance must be one of ${Object.keys(BACKTEST_REBALANCE).join(', ')}` };
+  }
+
+  const start = input.start ?? null;
+  const end = input.end ?? null;
+  if (start !== null && !(DATE_PATTERN.test(start) && !Number.isNaN(Date.parse(start)))) {
+    return { error: 'start must be a date in YYYY-MM-DD format' };
+  }
+  if (end !== null && !(DATE_PATTERN.test(end) && !Number.isNaN(Date.parse(end)))) {
+    return { error: 'end must be a date in YYYY-MM-DD format' };
+  }
+  if (start && end && start > end) return { error: 'start must not be after end' };
+
+  return { config: { allocations, initial, contribution, frequency, rebalance, start, end } };
+}
+
+function targetWeights(allocations) {
+  const total = Object.values(allocations).reduce((sum, weight) => sum + weight, 0);
+  return Object.fromEntries(Object.entries(allocations).map(([key, weight]) => [key, weight / total]));
+}
+
+function holdingsValue(units, prices) {
+  return Object.entries(units).reduce((sum, [key, count]) => sum + count * prices[key], 0);
+}
+
+function buy(units, weights, amount, prices) {
+  for (const [key, weight] of Object.entries(weights)) {
+    units[key] = (units[key] || 0) + (amount * weight) / prices[key];
+  }
+}
+
+/**
+ * Simulates one portfolio over rows in nominal USD. Starts on the first row where every
+ * allocated asset has a price; a later missing price holds that asset at its last one.
+ * Returns [{ date, value, flow }] where flow is the cash paid in on that row.
+ */
+export function simulate(rows, { allocations, initial, contribution, frequency, rebalance }) {
+  const weights = targetWeights(allocations);
+  const keys = Object.keys(weights);
+  const first = rows.findIndex(row => keys.every(key => row[key] > 0));
+  if (first === -1) return [];
+
+  const units = {};
+  const prices = {};
+  const output = [];
+  let prevDate = null;
+
+  for (const row of rows.slice(first)) {
+    keys.forEach(key => { if (row[key] > 0) prices[key] = row[key]; });
+
+    if (prevDate && isRebalancePoint(prevDate, row.date, rebalance)) {
+      const value = holdingsValue(units, prices);
+      keys.forEach(key => { units[key] = 0; });
+      buy(units, weights, value, prices);
+    }
+
+    let flow = 0;
+    if (!prevDate) flow = initial + contribution;
+    else if (isRebalancePoint(prevDate, row.date, frequency)) flow = contribution;
+    if (flow) buy(units, weights, flow, prices);
+
+    output.push({ date: row.date, value: holdingsValue(units, prices), flow });
+    prevDate = row.date;
+  }
+  return output;
+}
+
+/**
+ * Money-weighted annual return: the rate at which the flows grow into the ending
+ * value. flows is [{ date, amount }]; found by bisection, null if out of range.
+ */
+export function moneyWeightedReturn(flows, endDate, ending) {
+  const end = Date.parse(endDate);
+  const futureValue = rate => flows.reduce(
+    (sum, { date, amount }) => sum + amount * (1 + rate) ** ((end - Date.parse(date)) / YEAR),
+    0
+  );
+
+  let low = -0.99;
+  let high = 10;
+  if (futureValue(low) > ending || futureValue(high) < ending) return null;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (futureValue(mid) < ending) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+function round(value, digits = 2) {
+  return value === null || value === undefined ? null : Number(value.toFixed(digits));
+}
+
+// Ending value, amount paid in and returns for one column of transformed rows.
+// flowRows are the rows where cash was paid in.
+function summarize(rows, flowRows, key) {
+  const last = [...rows].reverse().find(row => row[key] !== null);
+  if (!last || flowRows.some(row => row[FLOW_KEY] === null)) {
+    return { ending: null, contributed: null, gain: null, annualizedReturn: null };
+  }
+
+  const contributed = flowRows.reduce((sum, row) => sum + row[FLOW_KEY], 0);
+  const ending = last[key];
+  return {
+    ending: round(ending, 4),
+    contributed: round(contributed, 4),
+    gain: round(ending / contributed - 1, 6),
+    annualizedReturn: round(moneyWeightedReturn(
+      flowRows.map(row => ({ date: row.date, amount: row[FLOW_KEY] })),
+      last.date,
+      ending
+    ), 6),
+  };
+}
+
+/**
+ * Runs the portfolio and, for comparison, the same cash flows into each allocated asset
+ * alone, then measures all of them in every built-in denominator. rows must carry the
+ * allocated assets and the denominator series.
+ *
+ *   { start, end, contributed,
+ *     denominators: { GOLD: { label, unit, contributed, portfolio: {...}, assets: { KEY: {...} },
+ *                             data: [{ date, PORTFOLIO, KEY..., contributed }] } } }
+ *
+ * Summaries are { ending, contributed, gain, annualizedReturn }: ending value and
+ * total paid in, each in the denominator (contributions are converted at their own
+ * date), gain as a fraction, and the money-weighted annual return. Returns null when
+ * no row prices every allocated asset.
+ */
+export function runBacktest(rows, config) {
+  const keys = Object.keys(config.allocations);
+  const portfolio = simulate(rows, config);
+  if (!portfolio.length) return null;
+
+  // Every asset is priced on the portfolio's first row, so these runs line up with it
+  const window = rows.slice(rows.findIndex(row => row.date === portfolio[0].date));
+  const singles = Object.fromEntries(keys.map(key => [key, simulate(window, { ...config, allocations: { [key]: 1 } })]));
+
+  // Simulated values go in their own columns: the asset keys still hold prices, which
+  // the denominators may divide by
+  const runKey = key => `${RUN_PREFIX}${key}`;
+  const columns = [PORTFOLIO_KEY, ...keys.map(runKey)];
+  const simulated = portfolio.map((point, i) => ({
+    ...window[i],
+    [PORTFOLIO_KEY]: point.value,
+    ...Object.fromEntries(keys.map(key => [runKey(key), singles[key][i].value])),
+    [FLOW_KEY]: point.flow,
+  }));
+
+  const denominators = {};
+  for (const id of Object.keys(DENOMINATORS)) {
+    const spec = resolveDenominator(id);
+    const transformed = transformRows(simulated, [...columns, FLOW_KEY], { denominator: spec });
+    const flowRows = transformed.filter((row, i) => simulated[i][FLOW_KEY] > 0);
+
+    const portfolioSummary = summarize(transformed, flowRows, PORTFOLIO_KEY);
+    let paidIn = 0;
+    denominators[id] = {
+      label: spec.label,
+      unit: spec.unit,
+      contributed: portfolioSummary.contributed,
+      portfolio: portfolioSummary,
+      assets: Object.fromEntries(keys.map(key => [key, summarize(transformed, flowRows, runKey(key))])),
+      data: transformed.map(row => {
+        paidIn = row[FLOW_KEY] === null || paidIn === null ? null : paidIn + row[FLOW_KEY];
+        return {
+          date: row.date,
+          [PORTFOLIO_KEY]: round(row[PORTFOLIO_KEY], 4),
+          ...Object.fromEntries(keys.map(key => [key, round(row[runKey(key)], 4)])),
+          contributed: round(paidIn, 4),
+        };
+      }),
+    };
+  }
+
+  return {
+    start: portfolio[0].date,
+    end: portfolio[portfolio.length - 1].date,
+    contributed: round(portfolio.reduce((sum, point) => sum + point.flow, 0)),
+    denominators,
+  };
+}
@@ -0,0 +1,241 @@
+import { periodKey } from './align.js';
+import { getEntry } from './assets.js';
+
+// Basket construction shared by the API (which computes the series) and the dashboard
+// (which validates and stores user definitions). A basket is:
+//
+//   {
+//     id: 'semis',                       // slug, unique per user
+//     name: 'Semis',
+//     constituents: ['NVDA', 'AMD', 'TSM'], // registry keys or BASKET_SYMBOLS
+//     weighting: 'equal' | 'custom' | 'price',
+//     weights: { NVDA: 50, AMD: 25, TSM: 25 }, // only for 'custom', any positive scale
+//     rebalance: 'monthly' | 'quarterly' | 'never',
+//   }
+//
+// The series is a NAV indexed to 100 on the first month any constituent has a price.
+
+export const WEIGHTINGS = {
+  equal: 'Equal weight',
+  custom: 'Custom weights',
+  price: 'Price weighted',
+};
+
+export const REBALANCE_SCHEDULES = {
+  monthly: 'Monthly',
+  quarterly: 'Quarterly',
+  never: 'Buy & hold',
+};
+
+export const BASKET_KEY_PREFIX = 'BASKET_';
+export const MAX_BASKETS = 10;
+export const MAX_CONSTITUENTS = 25;
+
+const SYMBOL_PATTERN = /^[A-Z0-9.^=_-]{1,20}$/;
+
+// Yahoo symbols a basket may hold besides registry keys. Baskets are built for anonymous
+// callers, so each symbol here costs upstream calls and a cache file; add to it rather
+// than accepting arbitrary input.
+export const BASKET_SYMBOLS = [
+  // Semiconductors
+  'AMD', 'TSM', 'AVGO', 'INTC', 'QCOM', 'ASML', 'MU', 'TXN',
+  // Energy
+  'XOM', 'CVX', 'COP', 'SHEL', 'BP',
+  // Financials
+  'JPM', 'BAC', 'WFC', 'GS', 'MS', 'BRK-B', 'V', 'MA',
+  // Health care
+  'UNH', 'JNJ', 'LLY', 'PFE', 'MRK', 'ABBV',
+  // Consumer
+  'WMT', 'COST', 'KO', 'PEP', 'PG', 'MCD', 'NKE', 'HD', 'DIS', 'NFLX',
+  // Software and hardware
+  'ORCL', 'CRM', 'ADBE', 'IBM', 'CSCO',
+  // ETFs
+  'SPY', 'QQQ', 'IWM', 'DIA', 'VTI', 'VT', 'EFA', 'EEM', 'TLT', 'IEF', 'GLD', 'SLV', 'XLE', 'XLF', 'XLK', 'SMH', 'VNQ',
+];
+
+export function isBasketSymbol(symbol) {
+  return Boolean(getEntry(symbol)) || BASKET_SYMBOLS.includes(symbol);
+}
+
+export function basketKey(basket) {
+  return `${BASKET_KEY_PREFIX}${basket.id}`;
+}
+
+export function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 32);
+}
+
+// Returns an error message, or null when the definition is usable
+export function validateBasket(basket) {
+  if (!basket || typeof basket !== 'object') return 'Basket must be an object';
+  if (!basket.id || !/^[a-z0-9-]{1,32}$/.test(basket.id)) return 'Basket id must be a lowercase slug';
+  if (typeof basket.name !== 'string' || !basket.name.trim()) return 'Basket needs a name';
+  if (!Array.isArray(basket.constituents) || basket.constituents.length === 0) {
+    return `${basket.name}: add at least one constituent`;
+  }
+  if (basket.constituents.length > MAX_CONSTITUENTS) {
+    return `${basket.name}: at most ${MAX_CONSTITUENTS} constituents`;
+  }
+  const invalid = basket.constituents.find(symbol => typeof symbol !== 'string' || !SYMBOL_PATTERN.test(symbol));
+  if (invalid !== undefined) return `${basket.name}: "${invalid}" is not a valid symbol`;
+  const unlisted = basket.constituents.find(symbol => !isBasketSymbol(symbol));
+  if (unlisted !== undefined) return `${basket.name}: "${unlisted}" is not a registry key or an allowed symbol`;
+  if (new Set(basket.constituents).size !== basket.constituents.length) {
+    return `${basket.name}: constituents must be unique`;
+  }
+  if (!Object.hasOwn(WEIGHTINGS, basket.weighting)) return `${basket.name}: unknown weighting "${basket.weighting}"`;
+  if (!Object.hasOwn(REBALANCE_SCHEDULES, basket.rebalance)) return `${basket.name}: unknown rebalance "${basket.rebalance}"`;
+
+  if (basket.weighting === 'custom') {
+    for (const symbol of basket.constituents) {
+      const weight = basket.weights?.[symbol];
+      if (!Number.isFinite(weight) || weight <= 0) {
+        return `${basket.name}: ${symbol} needs a positive weight`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Baskets saved in localStorage may predate a rule or have been edited by hand; keeps
+// the ones validateBasket accepts
+export function normalizeBaskets(entries) {
+  if (!Array.isArray(entries)) return [];
+  return entries.filter(basket => validateBasket(basket) === null).slice(0, MAX_BASKETS);
+}
+
+function quarterOf(date) {
+  return `${date.substring(0, 4)}Q${Math.floor((parseInt(date.substring(5, 7), 10) - 1) / 3)}`;
+}
+
+// True on the first point of each new month, quarter or year, at any resolution
+export function isRebalancePoint(prevDate, date, schedule) {
+  if (!prevDate) return false;
+  if (schedule === 'monthly') return prevDate.substring(0, 7) !== date.substring(0, 7);
+  if (schedule === 'quarterly') return quarterOf(prevDate) !== quarterOf(date);
+  if (schedule === 'annually') return prevDate.substring(0, 4) !== date.substring(0, 4);
+  return false;
+}
+
+// Target weights over the constituents that have a price this month
+function targetWeights(basket, keys, prices) {
+  const { weighting, weights } = basket;
+
+  if (weighting === 'custom') {
+    const total = keys.reduce((sum, key) => sum + weights[key], 0);
+    return Object.fromEntries(keys.map(key => [key, weights[key] / total]));
+  }
+  if (weighting === 'price') {
+    // One share of each constituent, like the Dow
+    const total = keys.reduce((sum, key) => sum + prices[key], 0);
+    return Object.fromEntries(keys.map(key => [key, prices[key] / total]));
+  }
+  return Object.fromEntries(keys.map(key => [key, 1 / keys.length]));
+}
+
+function allocate(weights, nav, prices) {
+  return Object.fromEntries(
+    Object.entries(weights).map(([key, weight]) => [key, (nav * weight) / prices[key]])
+  );
+}
+
+function indexByPeriod(data, interval) {
+  const byPeriod = new Map();
+  for (const point of data) byPeriod.set(periodKey(point.date, interval), point.value);
+  return byPeriod;
+}
+
+/**
+ * Builds a chain-linked basket NAV from constituent series at one interval.
+ * series maps each constituent to [{ date, value }]; dates is the output calendar.
+ *
+ * Each period's return is measured only over constituents priced in both that period
+ * and the previous one, so a late listing or a missing month never breaks the series.
+ * Membership changes keep the NAV continuous (the divisor adjustment of a classic
+ * index): a constituent that drops out has its value spread pro rata over the rest,
+ * and one that joins is bought at its target weight, funded pro rata by the others.
+ *
+ * Points carry coverage: { date, value, count, total, missing }.
+ */
+export function calculateBasket(basket, series, dates, { interval = '1mo' } = {}) {
+  const lookups = {};
+  for (const key of basket.constituents) {
+    lookups[key] = series[key] ? indexByPeriod(series[key], interval) : new Map();
+  }
+
+  const total = basket.constituents.length;
+  const output = [];
+  let units = null;
+  let prevPrices = null;
+  let prevDate = null;
+  let nav = 100;
+
+  for (const date of dates) {
+    const period = periodKey(date, interval);
+    const prices = {};
+    for (const key of basket.constituents) {
+      const price = lookups[key].get(period);
+      if (price > 0) prices[key] = price;
+    }
+
+    const available = Object.keys(prices);
+    if (available.length === 0) continue;
+
+    if (!units) {
+      units = allocate(targetWeights(basket, available, prices), nav, prices);
+    } else {
+      const common = Object.keys(units).filter(key => prices[key] !== undefined);
+      if (common.length) {
+        const before = common.reduce((sum, key) => sum + units[key] * prevPrices[key], 0);
+        const after = common.reduce((sum, key) => sum + units[key] * prices[key], 0);
+        nav *= after / before;
+      }
+
+      const weights = targetWeights(basket, available, prices);
+      if (isRebalancePoint(prevDate, date, basket.rebalance)) {
+        units = allocate(weights, nav, prices);
+      } else {
+        const joined = available.filter(key => units[key] === undefined);
+        const joinedWeight = joined.reduce((sum, key) => sum + weights[key], 0);
+        const held = common.reduce((sum, key) => sum + units[key] * prices[key], 0);
+
+        const next = {};
+        for (const key of common) {
+          next[key] = units[key] * (nav * (1 - joinedWeight)) / held;
+        }
+        for (const key of joined) {
+          next[key] = (nav * weights[key]) / prices[key];
+        }
+        units = next;
+      }
+    }
+
+    prevPrices = prices;
+    prevDate = date;
+    output.push({
+      date,
+      value: nav,
+      count: available.length,
+      total,
+      missing: basket.constituents.filter(key => prices[key] === undefined),
+    });
+  }
+
+  return output;
+}
+
+// Registry composites (e.g. Mag7) are built from whichever constituents loaded
+export function buildComposite(entry, series, dates, options) {
+  if (!entry.constituents.some(key => series[key]?.length)) return null;
+  return calculateBasket(entry, series, dates, options);
+}
+
+// Per-date coverage for the API response, without the NAV values
+export function coverageOf(points) {
+  if (!points) return null;
+  return points.map(({ date, count, total, missing }) => ({ date, count, total, missing }));
+}
+
+// Colors handed out to new baskets, chosen to stay clear of the registry palette
+export const BASKET_COLORS = ['#f472b6', '#34d399', '#fb923c', '#818cf8', '#facc15', '#2dd4bf', '#e879f9', '#a3e635'];
@@ -0,0 +1,117 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { periodKey } from './align.js';
+import { writeFileAtomic } from './files.js';
+
+// File-backed store of observations, one JSON file per series and interval.
+// Point DATA_CACHE_DIR at a writable volume in production (e.g. /tmp on Vercel).
+const CACHE_DIR = process.env.DATA_CACHE_DIR || path.join(process.cwd(), '.cache', 'series');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const DEFAULT_MAX_AGE = 12 * HOUR;
+
+// Yahoo rescales its whole adjusted history after a split or dividend, so incremental
+// refreshes alone would leave old bars on the previous basis. The full history is
+// fetched again once the last full fetch is this old.
+export const FULL_REFRESH_AGE = 7 * DAY;
+
+function seriesPath(key) {
+  return path.join(CACHE_DIR, `${key.replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+}
+
+export async function readSeries(key) {
+  try {
+    const raw = await fs.readFile(seriesPath(key), 'utf8');
+    const entry = JSON.parse(raw);
+    return Array.isArray(entry?.observations) ? entry : null;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Cache read failed for ${key}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+export async function writeSeries(key, entry) {
+  try {
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    await writeFileAtomic(seriesPath(key), JSON.stringify(entry));
+  } catch (error) {
+    console.warn(`Cache write failed for ${key}: ${error.message}`);
+  }
+}
+
+export function isFresh(entry, maxAge, now = Date.now()) {
+  if (!entry?.fetchedAt) return false;
+  return now - new Date(entry.fetchedAt).getTime() < maxAge;
+}
+
+// Observations are keyed by period (month, or date at higher frequencies); newer
+// fetches replace older points for the same period
+export function mergeObservations(existing, incoming, interval = '1mo') {
+  const byPeriod = new Map();
+  for (const point of existing) byPeriod.set(periodKey(point.date, interval), point);
+  for (const point of incoming) byPeriod.set(periodKey(point.date, interval), point);
+  return [...byPeriod.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Start of the last stored period: that bar may have been partial when it was fetched
+function incrementalStart(observations, startDate, interval) {
+  if (!observations?.length) return startDate;
+  const last = observations[observations.length - 1].date;
+  return interval === '1mo' ? `${last.substring(0, 7)}-01` : last;
+}
+
+/**
+ * Returns a series from the cache, fetching only the periods after the last stored
+ * observation once the entry is older than maxAge. A full fetch replaces the stored
+ * history instead when startDate is earlier than the entry covers, when the last full
+ * fetch is older than fullRefreshAge, or when full is set.
+ *
+ * status is 'cached' (fresh entry), 'live' (just refreshed), 'stale' (refresh failed,
+ * serving the last good copy) or 'failed' (nothing to serve).
+ */
+export async function getSeries(key, {
+  fetcher,
+  startDate,
+  maxAge = DEFAULT_MAX_AGE,
+  fullRefreshAge = FULL_REFRESH_AGE,
+  full = false,
+  interval = '1mo',
+}) {
+  const entry = await readSeries(key);
+  const coveredFrom = entry ? entry.startDate ?? entry.observations[0]?.date : null;
+  const backfill = Boolean(entry) && startDate < coveredFrom;
+  const fresh = isFresh(entry, maxAge);
+
+  if (entry && fresh && !backfill && !full) {
+    return { data: entry.observations, status: 'cached', fetchedAt: entry.fetchedAt };
+  }
+
+  // Entries written before fullFetchedAt existed count as due
+  const rebase = !entry || backfill || full || !isFresh({ fetchedAt: entry.fullFetchedAt }, fullRefreshAge);
+  const coveredStart = entry?.startDate && !backfill ? entry.startDate : startDate;
+  const since = rebase ? coveredStart : incrementalStart(entry.observations, startDate, interval);
+  let incoming = null;
+  try {
+    incoming = await fetcher(since);
+  } catch (error) {
+    console.warn(`Refresh failed for ${key}: ${error.message}`);
+  }
+
+  if (incoming?.length) {
+    const observations = mergeObservations(rebase ? [] : entry.observations, incoming, interval);
+    const fetchedAt = new Date().toISOString();
+    const fullFetchedAt = rebase ? fetchedAt : entry.fullFetchedAt;
+    await writeSeries(key, { key, fetchedAt, fullFetchedAt, startDate: coveredStart, observations });
+    return { data: observations, status: 'live', fetchedAt };
+  }
+
+  if (entry?.observations.length) {
+    return { data: entry.observations, status: fresh && !full ? 'cached' : 'stale', fetchedAt: entry.fetchedAt };
+  }
+
+  return { data: null, status: 'failed', fetchedAt: null };
+}
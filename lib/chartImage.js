@@ -0,0 +1,202 @@
+import { ASSETS } from './assets.js';
+import { denominatorSeries, formatAxisValue } from './transform.js';
+
+// Static charts for /api/chart.svg and /api/chart.png. chartScene lays out the dashboard's
+// level chart as a flat list of shapes; renderSvg writes them out here and lib/png.js
+// rasterizes the same list, so both formats show the same chart.
+//
+// Shapes, in pixels from the top left, drawn in order:
+//   { type: 'rect', x, y, width, height, color, opacity? }
+//   { type: 'line', x1, y1, x2, y2, color, opacity?, dash? }     dash is [on, off]
+//   { type: 'path', points: [[x, y], ...], color, width }
+//   { type: 'text', x, y, text, size, color, opacity?, anchor? } y is the baseline
+
+const BACKGROUND = '#07070a';
+const INK = '#ffffff';
+const MARGIN = { top: 64, right: 24, bottom: 56, left: 72 };
+const FONT_FAMILY = "'JetBrains Mono', monospace";
+const YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// Monospace advance as a share of the font size; lib/png.js draws its glyphs to match
+export const CHAR_WIDTH = 0.6;
+
+export function textWidth(text, size) {
+  return text.length * size * CHAR_WIDTH;
+}
+
+function isValue(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Heading of a chart: what is drawn, in what
+export function chartTitle(columns, denominator, indexed) {
+  const names = columns.map(key => ASSETS[key]?.name || key).join(', ');
+  return `${names} · ${denominator.label}${indexed ? ' · indexed to 100' : ''}`;
+}
+
+/**
+ * Source line under an embedded or rendered chart: the distinct sources behind the
+ * charted series and their denominator, and the last date plotted, e.g.
+ * "Source: Yahoo, FRED · Data through 2024-06-28 · Real Terms".
+ */
+export function chartCaption({ rows, columns, denominator, sources = {} }) {
+  const keys = [...columns, ...denominatorSeries(denominator)];
+  const names = [...new Set(keys.map(key => sources[key]).filter(Boolean))];
+  const last = [...rows].reverse().find(row => columns.some(key => isValue(row[key])));
+  return [
+    `Source: ${names.length ? names.join(', ') : 'n/a'}`,
+    last ? `Data through ${last.date}` : null,
+    'Real Terms',
+  ].filter(Boolean).join(' · ');
+}
+
+// Round steps of 1, 2, 2.5 or 5 times a power of ten, about count of them over the range
+function linearTicks(lo, hi, count = 5) {
+  if (lo === hi) {
+    const pad = Math.abs(lo) * 0.1 || 1;
+    return linearTicks(lo - pad, hi + pad, count);
+  }
+  const rough = (hi - lo) / count;
+  const power = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * power).find(s => s >= rough);
+  const ticks = [];
+  for (let value = Math.floor(lo / step) * step; value < hi + step / 2; value += step) {
+    ticks.push(Number(value.toPrecision(12)));
+  }
+  return ticks;
+}
+
+// 1, 2 and 5 times each power of ten inside the range; powers only when that is too many
+function logTicks(lo, hi) {
+  const ticks = [];
+  for (let exponent = Math.floor(Math.log10(lo)); exponent <= Math.ceil(Math.log10(hi)); exponent++) {
+    for (const m of [1, 2, 5]) {
+      const value = Number((m * 10 ** exponent).toPrecision(12));
+      if (value >= lo && value <= hi) ticks.push(value);
+    }
+  }
+  if (ticks.length > 8) return ticks.filter(value => Number(value.toExponential().split('e')[0]) === 1);
+  return ticks.length >= 2 ? ticks : [lo, hi];
+}
+
+// Indices of rows opening a new year (or month, for windows of three years or less),
+// thinned so labels sit at least minGap pixels apart. The first row is labelled too, but
+// it rarely opens its period, so the first real boundary displaces it when they crowd.
+function dateTicks(rows, x, minGap) {
+  const monthly = rows.length > 1 && Date.parse(rows[rows.length - 1].date) - Date.parse(rows[0].date) <= 3 * YEAR;
+  const label = monthly ? date => date.substring(0, 7) : date => date.split('-')[0];
+  const ticks = [];
+  rows.forEach((row, i) => {
+    if (i > 0 && label(row.date) === label(rows[i - 1].date)) return;
+    const previous = ticks[ticks.length - 1];
+    if (previous && x(i) - previous.x < minGap) {
+      if (previous.x !== x(0)) return;
+      ticks.pop();
+    }
+    ticks.push({ x: x(i), text: label(row.date) });
+  });
+  return ticks;
+}
+
+/**
+ * Lays out a level chart of chart rows (transformRows output) for columns in the given
+ * denominator: title, legend, Y grid with labels, year or month ticks, one line per
+ * asset in its dashboard colour, and the source caption. Returns { width, height, shapes }.
+ */
+export function chartScene({ rows, columns, denominator, indexed, log, sources }, { width, height }) {
+  const plot = { left: MARGIN.left, top: MARGIN.top, right: width - MARGIN.right, bottom: height - MARGIN.bottom };
+  const shapes = [
+    { type: 'rect', x: 0, y: 0, width, height, color: BACKGROUND },
+    { type: 'text', x: 16, y: 24, text: chartTitle(columns, denominator, indexed), size: 12, color: INK, opacity: 0.7 },
+    { type: 'text', x: 16, y: height - 16, text: chartCaption({ rows, columns, denominator, sources }), size: 10, color: INK, opacity: 0.35 },
+  ];
+
+  let legendX = 16;
+  columns.forEach(key => {
+    const name = ASSETS[key]?.name || key;
+    shapes.push({ type: 'rect', x: legendX, y: 38, width: 10, height: 3, color: ASSETS[key]?.color || INK });
+    shapes.push({ type: 'text', x: legendX + 16, y: 43, text: name, size: 10, color: INK, opacity: 0.5 });
+    legendX += 16 + textWidth(name, 10) + 16;
+  });
+
+  const values = rows.flatMap(row => columns.map(key => row[key])).filter(value => isValue(value) && (!log || value > 0));
+  if (values.length === 0) {
+    shapes.push({
+      type: 'text', x: width / 2, y: (plot.top + plot.bottom) / 2, text: 'No data for this range', size: 12, color: INK, opacity: 0.4, anchor: 'middle',
+    });
+    return { width, height, shapes };
+  }
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const ticks = log ? logTicks(min, max) : linearTicks(indexed ? Math.min(0, min) : min, max);
+  const lo = log ? Math.min(min, ticks[0]) : ticks[0];
+  const hi = log ? Math.max(max, ticks[ticks.length - 1]) : ticks[ticks.length - 1];
+  const scale = log ? Math.log10 : value => value;
+  const y = value => plot.bottom - ((scale(value) - scale(lo)) / (scale(hi) - scale(lo) || 1)) * (plot.bottom - plot.top);
+  const x = i => (rows.length > 1 ? plot.left + (i / (rows.length - 1)) * (plot.right - plot.left) : (plot.left + plot.right) / 2);
+
+  ticks.forEach(value => {
+    shapes.push({ type: 'line', x1: plot.left, y1: y(value), x2: plot.right, y2: y(value), color: INK, opacity: 0.04 });
+    shapes.push({
+      type: 'text', x: plot.left - 8, y: y(value) + 3, text: formatAxisValue(value, denominator, indexed), size: 10, color: INK, opacity: 0.3, anchor: 'end',
+    });
+  });
+  if (indexed && lo < 100 && hi > 100) {
+    shapes.push({ type: 'line', x1: plot.left, y1: y(100), x2: plot.right, y2: y(100), color: INK, opacity: 0.1, dash: [3, 3] });
+  }
+  shapes.push({ type: 'line', x1: plot.left, y1: plot.bottom, x2: plot.right, y2: plot.bottom, color: INK, opacity: 0.06 });
+  dateTicks(rows, x, 64).forEach(tick => {
+    shapes.push({ type: 'text', x: tick.x, y: plot.bottom + 16, text: tick.text, size: 10, color: INK, opacity: 0.3, anchor: 'middle' });
+  });
+
+  // Gaps are bridged, as the dashboard's lines connect over nulls
+  columns.forEach(key => {
+    const points = [];
+    rows.forEach((row, i) => {
+      if (isValue(row[key]) && (!log || row[key] > 0)) points.push([x(i), y(row[key])]);
+    });
+    if (points.length) shapes.push({ type: 'path', points, color: ASSETS[key]?.color || INK, width: 1.8 });
+  });
+
+  return { width, height, shapes };
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function svgShape(shape) {
+  const opacity = shape.opacity === undefined ? '' : ` opacity="${shape.opacity}"`;
+  switch (shape.type) {
+    case 'rect':
+      return `<rect x="${round(shape.x)}" y="${round(shape.y)}" width="${round(shape.width)}" height="${round(shape.height)}" fill="${shape.color}"${opacity}/>`;
+    case 'line': {
+      const dash = shape.dash ? ` stroke-dasharray="${shape.dash.join(' ')}"` : '';
+      return `<line x1="${round(shape.x1)}" y1="${round(shape.y1)}" x2="${round(shape.x2)}" y2="${round(shape.y2)}" stroke="${shape.color}"${opacity}${dash}/>`;
+    }
+    case 'path': {
+      const points = shape.points.map(([px, py]) => `${round(px)},${round(py)}`).join(' ');
+      return `<polyline points="${points}" fill="none" stroke="${shape.color}" stroke-width="${shape.width}" stroke-linejoin="round" stroke-linecap="round"/>`;
+    }
+    case 'text': {
+      const anchor = shape.anchor ? ` text-anchor="${shape.anchor}"` : '';
+      return `<text x="${round(shape.x)}" y="${round(shape.y)}" font-size="${shape.size}" fill="${shape.color}"${opacity}${anchor}>${escapeXml(shape.text)}</text>`;
+    }
+    default:
+      return '';
+  }
+}
+
+export function renderSvg({ width, height, shapes }) {
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${escapeXml(FONT_FAMILY)}">`,
+    ...shapes.map(svgShape),
+    '</svg>',
+    '',
+  ].join('\n');
+}
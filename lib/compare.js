@@ -0,0 +1,52 @@
+import { DENOMINATORS, resolveDenominator, transformRows } from './transform.js';
+import { drawdownRows } from './analytics.js';
+
+// Data for the comparison layouts (CHART_LAYOUTS in lib/views.js). Both run the same
+// transformRows the single chart does, once per denominator, over the same rows, so
+// every panel shares its dates.
+
+// Chart modes the comparison layouts can show; the rolling modes stay on the single chart
+export const COMPARE_MODES = ['level', 'drawdown'];
+
+// Line colour of a denominator in the lens; nominal USD has no accent of its own
+const USD_COLOR = '#e5e7eb';
+
+function plotted(rows, keys, mode) {
+  return mode === 'drawdown' ? drawdownRows(rows, keys) : rows;
+}
+
+/**
+ * One panel per denominator id: [{ id, spec, data }], data holding the assets exactly
+ * as the single chart would in that denominator.
+ */
+export function multiplesPanels(rows, assets, ids, { indexed, mode }) {
+  return ids.map(id => {
+    const spec = resolveDenominator(id);
+    return { id, spec, data: plotted(transformRows(rows, assets, { denominator: spec, indexed }), assets, mode) };
+  });
+}
+
+// Every built-in denominator but the asset itself (gold priced in gold is flat)
+export function lensDenominators(asset) {
+  return Object.keys(DENOMINATORS).filter(id => id !== asset && DENOMINATORS[id].series !== asset);
+}
+
+/**
+ * One asset under every built-in denominator, on one chart: { lines, data } with a
+ * column per denominator id. Units differ between denominators, so every line is
+ * indexed to 100 at its first value.
+ */
+export function lensRows(rows, asset, { mode, assets = {} }) {
+  const ids = lensDenominators(asset);
+  const columns = ids.map(id => transformRows(rows, [asset], { denominator: resolveDenominator(id, assets), indexed: true }));
+  const data = rows.map((row, i) => {
+    const next = { date: row.date };
+    ids.forEach((id, j) => { next[id] = columns[j][i][asset]; });
+    return next;
+  });
+
+  return {
+    lines: ids.map(id => ({ key: id, name: DENOMINATORS[id].label, color: DENOMINATORS[id].accent || USD_COLOR })),
+    data: plotted(data, ids, mode),
+  };
+}
@@ -0,0 +1,173 @@
+import { loadAllSeries, describeSource, seriesInterval, HISTORY_START } from './marketData.js';
+import { loadSnapshot } from './snapshot.js';
+import { ASSETS, DATASET_KEYS, getEntry } from './assets.js';
+import { alignSeries, MONTHLY_MAX_GAP_DAYS } from './align.js';
+import { buildComposite, coverageOf } from './baskets.js';
+import { resolveDenominator, denominatorSeries, transformRows } from './transform.js';
+import { validateSeries } from './quality.js';
+
+// Merged rows on the SPX calendar: everything the data API, and anything else that
+// needs the dashboard's numbers, is computed from.
+
+// SPX always loads: its dates are the calendar every other series is aligned to
+const CALENDAR_KEY = 'SPX';
+
+// Each series is aligned at its own frequency: monthly-only series (FRED) may be carried
+// further than price bars. maxStaleDays, when given, overrides every staleness limit.
+// Rows carry a sparse `flags` map ({ KEY: 'ffill' | 'estimated' | 'missing' }) for
+// points that were not observed in their period.
+function mergeData(datasets, allDates, { interval, align, maxStaleDays = null }) {
+  const columns = {};
+  for (const [key, data] of Object.entries(datasets)) {
+    const entry = getEntry(key);
+    const nativeInterval = entry ? seriesInterval(entry, interval) : interval;
+    const maxGapDays = maxStaleDays ?? (nativeInterval === '1mo' ? MONTHLY_MAX_GAP_DAYS : undefined);
+    columns[key] = alignSeries(data, allDates, { interval, nativeInterval, method: align, maxGapDays });
+  }
+
+  return allDates.filter(Boolean).map((date, i) => {
+    const row = { date };
+    const flags = {};
+    for (const key of Object.keys(columns)) {
+      row[key] = columns[key].values[i];
+      if (columns[key].flags[i]) flags[key] = columns[key].flags[i];
+    }
+    if (Object.keys(flags).length) row.flags = flags;
+    return row;
+  });
+}
+
+// Upstream series needed for these columns: composites expand to their constituents
+function fetchKeys(keys) {
+  const result = new Set([CALENDAR_KEY]);
+  for (const key of keys) {
+    const entry = getEntry(key);
+    if (entry?.provider === 'composite') entry.constituents.forEach(k => result.add(k));
+    else result.add(key);
+  }
+  return [...result];
+}
+
+// Health report (lib/quality.js) for every fetched series, validated on each load.
+// Archived series are judged as of the day they were archived.
+function healthOf(fetched, rawData, seriesStatus, { snapshot, archive }) {
+  return Object.fromEntries(fetched.map(key => {
+    const entry = getEntry(key);
+    const status = seriesStatus[key];
+    let options;
+    if (archive) {
+      options = { interval: archive.interval, fetch: 'archive', source: 'Archive', fetchedAt: archive.generatedAt, now: Date.parse(archive.generatedAt) };
+    } else if (snapshot) {
+      options = { interval: '1mo', fetch: 'snapshot', source: 'Snapshot', fetchedAt: snapshot.generatedAt };
+    } else {
+      options = { interval: status.interval, fetch: status.status, source: status.source, fetchedAt: status.fetchedAt };
+    }
+    return [key, validateSeries(entry, rawData[key], options)];
+  }));
+}
+
+function sourceOf(key, seriesStatus, { snapshot, archive }) {
+  if (archive) return `Archive ${archive.archivedOn}`;
+  if (snapshot) return 'Snapshot';
+  return describeSource(seriesStatus[key]);
+}
+
+function inRange(date, start, end) {
+  return (!start || date >= start) && (!end || date <= end);
+}
+
+/**
+ * Loads and merges the requested columns (default: every asset and macro series).
+ * start/end trim the rows; a start before HISTORY_START extends the fetch back to it.
+ * align and maxStaleDays set how gaps are filled (see alignSeries in lib/align.js).
+ *
+ * Falls back to the bundled snapshot, at monthly interval, when SPX cannot be loaded.
+ * Given an archive (lib/archive.js), replays its series instead of fetching. refetch
+ * fetches every series' full history instead of serving or extending the cache.
+ * Returns null when no data is available, otherwise
+ * { rows, coverage, interval, snapshot, archive, seriesStatus, stale, sources, health, series }
+ * where series holds the fetched series before merging.
+ */
+export async function loadDataset({
+  keys = DATASET_KEYS, start = null, end = null, interval = '1mo', align = 'ffill', maxStaleDays = null, archive = null,
+  refetch = false,
+} = {}) {
+  const fetchStart = start && start < HISTORY_START ? start : HISTORY_START;
+  const fetched = fetchKeys(keys);
+  let rawData = {};
+  let seriesStatus = {};
+  let snapshot = null;
+
+  if (archive) {
+    // Archives are monthly only
+    rawData = archive.series;
+    interval = archive.interval;
+  } else {
+    ({ rawData, seriesStatus } = await loadAllSeries(fetchStart, interval, fetched, { refetch }));
+
+    // CRITICAL: Serve the bundled snapshot if main data is missing
+    if (!rawData[CALENDAR_KEY]) {
+      snapshot = await loadSnapshot();
+      if (!snapshot) return null;
+      // The snapshot is monthly only
+      rawData = snapshot.series;
+      seriesStatus = {};
+      interval = '1mo';
+    }
+  }
+
+  const allDates = rawData[CALENDAR_KEY].map(d => d.date);
+
+  const datasets = {};
+  const coverage = {};
+  for (const key of keys) {
+    const entry = getEntry(key);
+    if (entry?.provider === 'composite') {
+      datasets[key] = buildComposite(entry, rawData, allDates, { interval });
+      coverage[key] = coverageOf(datasets[key])?.filter(p => inRange(p.date, start, end)) ?? null;
+    } else {
+      datasets[key] = rawData[key];
+    }
+  }
+
+  const rows = mergeData(datasets, allDates, { interval, align, maxStaleDays }).filter(row => inRange(row.date, start, end));
+
+  const origin = { snapshot, archive };
+  const sources = Object.fromEntries(fetched.map(key => [key, sourceOf(key, seriesStatus, origin)]));
+
+  return {
+    rows,
+    coverage,
+    interval,
+    snapshot,
+    archive,
+    seriesStatus,
+    stale: Object.values(seriesStatus).some(s => s.status === 'stale'),
+    sources,
+    health: healthOf(fetched, rawData, seriesStatus, origin),
+    series: Object.fromEntries(fetched.filter(key => rawData[key]).map(key => [key, rawData[key]])),
+  };
+}
+
+/**
+ * Chart values for a parsed query (lib/query.js): the requested assets, by default
+ * every chartable one, divided by the denominator and optionally indexed.
+ * Returns null like loadDataset, otherwise the dataset plus
+ * { columns, denominator, indexed, data }.
+ */
+export async function loadChartData({ assets, start, end, interval, align, maxStaleDays, denominator, indexed, archive }) {
+  const spec = denominator || resolveDenominator('USD');
+  const columns = assets || Object.keys(ASSETS);
+  const keys = [...new Set([...columns, ...denominatorSeries(spec)])];
+
+  const dataset = await loadDataset({ keys, start, end, interval, align, maxStaleDays, archive });
+  if (!dataset) return null;
+
+  return {
+    ...dataset,
+    columns,
+    denominator: spec,
+    indexed: Boolean(indexed),
+    data: transformRows(dataset.rows, columns, { denominator: spec, indexed: Boolean(indexed) }),
+  };
+}
@@ -0,0 +1,16 @@
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+
+const ENV_FILE = path.join(process.cwd(), '.env.local');
+
+// Loads .env.local for the npm scripts, which run outside Next; variables already set win.
+// Call it before importing modules that read the environment when they load.
+export function loadEnvFile() {
+  if (!existsSync(ENV_FILE)) return;
+  for (const line of readFileSync(ENV_FILE, 'utf8').split('\n')) {
+    const match = line.match(/^\s*([A-Z0-9_]+)\s*=\s*(.*)\s*$/);
+    if (match && process.env[match[1]] === undefined) {
+      process.env[match[1]] = match[2].replace(/^["']|["']$/g, '');
+    }
+  }
+}
@@ -0,0 +1,128 @@
+import { buildWorkbook } from './xlsx.js';
+
+// Downloads of transformed chart rows. The dashboard exports what is on screen and
+// /api/export serves the same files for a query, so both go through buildExport.
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', mimeType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { label: 'JSON', mimeType: 'application/json; charset=utf-8', extension: 'json' },
+  xlsx: { label: 'XLSX', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+// Units of the non-level chart modes
+const MODE_UNITS = {
+  drawdown: 'fraction below running high',
+  rolling: 'annualized return (fraction)',
+  correlation: 'correlation of period returns',
+};
+
+// Date the values are expressed relative to: the first row when indexed (or for a
+// composite denominator, which rebases there), the last row for deflators (today's
+// dollars), none for plain ratios
+function baseDateOf(rows, denominator, indexed) {
+  if (!rows.length) return null;
+  if (indexed || denominator.kind === 'composite') return rows[0].date;
+  if (denominator.kind === 'deflator') return rows[rows.length - 1].date;
+  return null;
+}
+
+/**
+ * Describes an export: metadata plus the columns and rows to write.
+ * rows are what the chart plots (transformRows output in level mode); columns is
+ * [{ key, name }] in display order. window is the rolling window of those modes, in years.
+ */
+export function buildExport({
+  rows, columns, denominator, indexed, interval, mode = 'level', window = null, sources = {}, lastUpdated = null,
+}) {
+  const level = mode === 'level';
+  return {
+    metadata: {
+      denominator: denominator.id,
+      denominatorLabel: denominator.label,
+      mode,
+      window: level || mode === 'drawdown' ? null : window,
+      unit: level ? (indexed ? 'index (base = 100)' : denominator.unit) : MODE_UNITS[mode],
+      indexed: level && Boolean(indexed),
+      baseDate: level ? baseDateOf(rows, denominator, indexed) : null,
+      start: rows[0]?.date ?? null,
+      end: rows[rows.length - 1]?.date ?? null,
+      interval,
+      sources,
+      lastUpdated,
+      generatedAt: new Date().toISOString(),
+    },
+    columns,
+    rows: rows.map(row => ({ date: row.date, ...Object.fromEntries(columns.map(({ key }) => [key, row[key] ?? null])) })),
+  };
+}
+
+// Metadata as label/value pairs for the header block of CSV and XLSX files
+function metadataLines({ metadata, columns }) {
+  const sources = Object.entries(metadata.sources).map(([key, source]) => `${key}: ${source}`).join('; ');
+  return [
+    ['Denominator', `${metadata.denominatorLabel} (${metadata.denominator})`],
+    ['Mode', metadata.window ? `${metadata.mode}, ${metadata.window}Y window` : metadata.mode],
+    ['Unit', metadata.unit],
+    ['Base date', metadata.baseDate ?? 'n/a'],
+    ['Range', `${metadata.start} to ${metadata.end}`],
+    ['Interval', metadata.interval],
+    ['Sources', sources || 'n/a'],
+    ['Last updated', metadata.lastUpdated ?? 'n/a'],
+    ['Assets', columns.map(({ key, name }) => `${key} = ${name}`).join('; ')],
+  ];
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n#]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(table) {
+  const header = metadataLines(table).map(([label, value]) => `# ${label}: ${value}`);
+  const keys = table.columns.map(({ key }) => key);
+  const lines = [
+    ['date', ...keys].join(','),
+    ...table.rows.map(row => [row.date, ...keys.map(key => row[key])].map(csvCell).join(',')),
+  ];
+  return `${[...header, ...lines].join('\n')}\n`;
+}
+
+function toXlsx(table) {
+  const keys = table.columns.map(({ key }) => key);
+  return buildWorkbook([
+    ...metadataLines(table),
+    [],
+    ['date', ...keys],
+    ...table.rows.map(row => [row.date, ...keys.map(key => row[key])]),
+  ], 'Real Terms');
+}
+
+/**
+ * Serializes an export in one of EXPORT_FORMATS.
+ * Returns { body, mimeType, filename }; body is a string, or a Uint8Array for xlsx.
+ */
+export function serializeExport(table, format) {
+  const { mimeType, extension } = EXPORT_FORMATS[format];
+  const { denominator, indexed, start, end } = table.metadata;
+  const { mode } = table.metadata;
+  const label = `${denominator.toLowerCase()}${mode === 'level' ? '' : `-${mode}`}${indexed ? '-indexed' : ''}`;
+  const filename = `realterms-${label}-${start}-${end}.${extension}`;
+
+  let body;
+  if (format === 'xlsx') body = toXlsx(table);
+  else if (format === 'json') body = JSON.stringify(table, null, 2);
+  else body = toCsv(table);
+
+  return { body, mimeType, filename };
+}
+
+// Browser only: saves { body, mimeType, filename } through a temporary link
+export function downloadFile({ body, mimeType, filename }) {
+  const url = URL.createObjectURL(new Blob([body], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,12 @@
+import { promises as fs } from 'fs';
+
+// Numbers temp files, so simultaneous writes of one file (callers sharing one upstream
+// fetch, concurrent API requests) never rename each other's file away
+let writeCount = 0;
+
+// Write then rename so a concurrent reader never sees a half-written file
+export async function writeFileAtomic(target, text) {
+  const tmp = `${target}.${process.pid}.${++writeCount}.tmp`;
+  await fs.writeFile(tmp, text);
+  await fs.rename(tmp, target);
+}
@@ -0,0 +1,30 @@
+import { createHash, timingSafeEqual } from 'crypto';
+
+// Helpers shared by the /api route handlers. The versioned API has its own error shape
+// (lib/apiV1.js).
+
+export const DATA_UNAVAILABLE = 'Live data unavailable (likely rate-limited) and no bundled snapshot was found.';
+
+export function errorResponse(message, status = 400) {
+  return Response.json({ success: false, error: message }, { status });
+}
+
+// Hashed first so the comparison takes the same time whatever the token's length
+function sameSecret(a, b) {
+  const digest = text => createHash('sha256').update(text).digest();
+  return timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Guards a route with the shared secret in the environment variable `name`, sent as
+ * `Authorization: Bearer <secret>`. Returns an error response to send back, or null when
+ * the request may go ahead. Without the variable set the route stays closed.
+ */
+export function requireToken(request, name) {
+  const secret = process.env[name];
+  if (!secret) return errorResponse(`Set ${name} on the server to enable this endpoint`, 403);
+  const header = request.headers.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+  if (!sameSecret(token, secret)) return errorResponse('Missing or invalid token', 401);
+  return null;
+}
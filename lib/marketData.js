@@ -0,0 +1,109 @@
+import { getSeries } from './cache.js';
+import { getFetchPlan, getEntry } from './assets.js';
+import { getProvider } from './providers/index.js';
+import { schedule, circuitState } from './upstream.js';
+
+// Default start of the history the dashboard and snapshot load
+export const HISTORY_START = '2014-01-01';
+
+// How long a cached series is served before we ask upstream for newer bars.
+// Price bars only move intraperiod; FRED series publish monthly with a lag.
+// Registry entries can override this with `maxAgeHours`.
+const HOUR = 60 * 60 * 1000;
+const MAX_AGE = {
+  yahoo: 6 * HOUR,
+  fred: 24 * HOUR,
+};
+
+// FRED series only publish monthly; they are aligned to finer calendars after loading
+const NATIVE_INTERVAL = {
+  fred: '1mo',
+};
+
+export function seriesInterval(entry, interval) {
+  return NATIVE_INTERVAL[entry.provider] || interval;
+}
+
+// --- CACHED SERIES ---
+
+// refetch asks upstream for the whole history even when the cache is fresh
+export async function loadSeries(entry, startDate, interval = '1mo', { refetch = false } = {}) {
+  const provider = getProvider(entry.provider);
+  const fetchInterval = seriesInterval(entry, interval);
+  const maxAge = entry.maxAgeHours ? entry.maxAgeHours * HOUR : MAX_AGE[entry.provider];
+  // Cache per provider so fixture data never lands in the live cache
+  const cacheKey = fetchInterval === '1mo'
+    ? `${provider.id}-${entry.key}`
+    : `${provider.id}-${entry.key}@${fetchInterval}`;
+  const result = await getSeries(cacheKey, {
+    // Through the shared scheduler (lib/upstream.js): simultaneous loads of the same
+    // series and start share one call
+    fetcher: since => schedule(provider.id, `${cacheKey}:${since}`, () => provider.fetchSeries(entry.symbol, { start: since, interval: fetchInterval })),
+    startDate,
+    maxAge,
+    full: refetch,
+    interval: fetchInterval,
+  });
+  return { ...result, source: provider.label, interval: fetchInterval, circuit: circuitState(provider.id) };
+}
+
+// The breaker only matters when a series needed upstream and did not get it
+export function describeSource(result) {
+  const circuit = result?.circuit && result.circuit !== 'closed' ? `circuit ${result.circuit}` : null;
+  if (!result?.data) return circuit ? `Failed (${result.source} ${circuit})` : 'Failed';
+  if (result.status === 'stale') return `${result.source} (${circuit ? `stale, ${circuit}` : 'stale'})`;
+  return result.source;
+}
+
+// keys limits the load to those registry entries; by default everything is loaded
+export async function loadAllSeries(startDate, interval = '1mo', keys = null, options = {}) {
+  const fetchMap = {};
+  for (const entry of getFetchPlan()) {
+    if (keys && !keys.includes(entry.key)) continue;
+    fetchMap[entry.key] = loadSeries(entry, startDate, interval, options);
+  }
+
+  const results = await Promise.allSettled(Object.values(fetchMap));
+  const loaded = Object.keys(fetchMap);
+  
+  const rawData = {};
+  const seriesStatus = {};
+  loaded.forEach((key, index) => {
+    const result = results[index];
+    if (result.status === 'fulfilled') {
+      rawData[key] = result.value.data;
+      seriesStatus[key] = result.value;
+    } else {
+      // Log errors but don't crash; the failure still shows in the health report
+      console.warn(`Load failed for ${key}: ${result.reason?.message}`);
+      const entry = getEntry(key);
+      rawData[key] = null;
+      seriesStatus[key] = {
+        data: null,
+        status: 'failed',
+        fetchedAt: null,
+        source: getProvider(entry.provider).label,
+        interval: seriesInterval(entry, interval),
+        circuit: circuitState(getProvider(entry.provider).id),
+      };
+    }
+  });
+
+  return { rawData, seriesStatus };
+}
+
+// Loads series for user baskets: registry keys resolve through the registry, anything
+// else (BASKET_SYMBOLS in lib/baskets.js, checked by the caller) is a Yahoo symbol
+export async function loadSymbols(symbols, startDate, interval = '1mo') {
+  const results = await Promise.allSettled(symbols.map(symbol => {
+    const entry = getEntry(symbol) || { key: symbol, provider: 'yahoo', symbol, category: 'constituent' };
+    return loadSeries(entry, startDate, interval);
+  }));
+
+  const series = {};
+  symbols.forEach((symbol, index) => {
+    const result = results[index];
+    series[symbol] = result.status === 'fulfilled' ? result.value.data : null;
+  });
+  return series;
+}
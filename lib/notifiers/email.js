@@ -0,0 +1,58 @@
+import nodemailer from 'nodemailer';
+
+// Emails each alert over SMTP. Configure with SMTP_HOST, SMTP_PORT (default 587),
+// SMTP_USER and SMTP_PASS (optional), ALERT_EMAIL_FROM and ALERT_EMAIL_TO (comma
+// separated). Port 465, or SMTP_SECURE=true, connects over TLS; otherwise the session is
+// upgraded with STARTTLS whenever the server offers it. Credentials are only ever sent
+// over an encrypted session.
+const TIMEOUT_MS = 15000;
+
+function settings() {
+  const port = Number(process.env.SMTP_PORT) || 587;
+  return {
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.ALERT_EMAIL_FROM,
+    to: (process.env.ALERT_EMAIL_TO || '').split(',').map(address => address.trim()).filter(Boolean),
+  };
+}
+
+// requireTLS makes nodemailer insist on STARTTLS before it sends credentials
+function transport({ host, port, secure, user, pass }) {
+  return nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    requireTLS: Boolean(user) && !secure,
+    auth: user ? { user, pass: pass || '' } : undefined,
+    connectionTimeout: TIMEOUT_MS,
+    greetingTimeout: TIMEOUT_MS,
+    socketTimeout: TIMEOUT_MS,
+  });
+}
+
+export const emailNotifier = {
+  id: 'email',
+  label: 'Email',
+
+  configured() {
+    const { host, from, to } = settings();
+    return Boolean(host && from && to.length);
+  },
+
+  async send(alert) {
+    const config = settings();
+    if (!(config.host && config.from && config.to.length)) {
+      throw new Error('Set SMTP_HOST, ALERT_EMAIL_FROM and ALERT_EMAIL_TO to send email');
+    }
+    await transport(config).sendMail({
+      from: config.from,
+      to: config.to,
+      subject: `Real-terms alert: ${alert.rule}`,
+      text: `${alert.message}\n\nFired ${alert.firedAt}.`,
+    });
+  },
+};
@@ -0,0 +1,28 @@
+import { logNotifier } from './log.js';
+import { webhookNotifier } from './webhook.js';
+import { emailNotifier } from './email.js';
+
+// Every notifier implements:
+//   configured() -> boolean          whether its environment variables are set
+//   send(alert) -> Promise           rejects when delivery failed
+// where alert is { ruleId, rule, message, date, value, firedAt } (see lib/alertRunner.js).
+//
+// To add a channel (Slack, Pushover...), write a notifier with that shape and register
+// it here; rules name notifiers by id.
+const NOTIFIERS = {
+  [logNotifier.id]: logNotifier,
+  [webhookNotifier.id]: webhookNotifier,
+  [emailNotifier.id]: emailNotifier,
+};
+
+export const NOTIFIER_IDS = Object.keys(NOTIFIERS);
+
+export function getNotifier(id) {
+  if (!NOTIFIERS[id]) throw new Error(`Unknown notifier "${id}"`);
+  return NOTIFIERS[id];
+}
+
+// For the alerts panel: which channels a rule can use on this deployment
+export function describeNotifiers() {
+  return Object.values(NOTIFIERS).map(({ id, label, configured }) => ({ id, label, configured: configured() }));
+}
@@ -0,0 +1,20 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Appends each alert as a JSON line to a local file and the server log. Always available.
+const LOG_PATH = process.env.ALERT_LOG_PATH || path.join(process.cwd(), 'data', 'alerts', 'alerts.log');
+
+export const logNotifier = {
+  id: 'log',
+  label: 'Local log',
+
+  configured() {
+    return true;
+  },
+
+  async send(alert) {
+    console.log(`Alert: ${alert.message}`);
+    await fs.mkdir(path.dirname(LOG_PATH), { recursive: true });
+    await fs.appendFile(LOG_PATH, JSON.stringify(alert) + '\n');
+  },
+};
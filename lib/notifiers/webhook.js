@@ -0,0 +1,25 @@
+// POSTs each alert as JSON to ALERT_WEBHOOK_URL. `text` carries the message, so Slack
+// and Discord-style incoming webhooks display it as-is.
+const TIMEOUT_MS = 10000;
+
+export const webhookNotifier = {
+  id: 'webhook',
+  label: 'Webhook',
+
+  configured() {
+    return Boolean(process.env.ALERT_WEBHOOK_URL);
+  },
+
+  async send(alert) {
+    const url = process.env.ALERT_WEBHOOK_URL;
+    if (!url) throw new Error('ALERT_WEBHOOK_URL is not set');
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: alert.message, alert }),
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    if (!response.ok) throw new Error(`Webhook returned ${response.status}`);
+  },
+};
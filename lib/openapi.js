@@ -0,0 +1,237 @@
+import { DATASET_KEYS } from './assets.js';
+import { INTERVALS, ALIGN_METHODS, MAX_STALE_DAYS } from './align.js';
+import { DENOMINATORS } from './transform.js';
+import { API_VERSION, ERROR_CODES } from './apiV1.js';
+
+// OpenAPI 3.1 description of /api/v1, served at /api/v1/openapi.json. Enums come from
+// the registry so the document never lists a series the API would reject.
+
+const date = { type: 'string', format: 'date', example: '2020-01-31' };
+const nullable = schema => ({ oneOf: [schema, { type: 'null' }] });
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const parameter = name => ({ $ref: `#/components/parameters/${name}` });
+
+function response(description, dataSchema, meta = 'DatasetMeta') {
+  return {
+    description,
+    headers: {
+      ETag: { $ref: '#/components/headers/ETag' },
+      'Cache-Control': { $ref: '#/components/headers/CacheControl' },
+    },
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          required: ['data', 'meta'],
+          properties: { data: dataSchema, meta: ref(meta) },
+        },
+      },
+    },
+  };
+}
+
+const errors = {
+  304: { $ref: '#/components/responses/NotModified' },
+  400: { $ref: '#/components/responses/Error' },
+  404: { $ref: '#/components/responses/Error' },
+  500: { $ref: '#/components/responses/Error' },
+  503: { $ref: '#/components/responses/Error' },
+};
+
+const seriesParameters = ['key', 'start', 'end', 'interval', 'align', 'maxStaleDays', 'asOf'].map(parameter);
+
+export function openApiSpec() {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Real Terms API',
+      version: API_VERSION,
+      description: 'Asset prices in real terms: raw series, series priced in a denominator '
+        + '(gold, houses, deflators, currencies or another asset) and their risk/return statistics. '
+        + 'Successful responses are { data, meta }; errors are { error: { status, code, message } } '
+        + 'with a matching HTTP status. Send If-None-Match with a previous ETag to get a 304.',
+    },
+    servers: [{ url: '/api/v1' }],
+    paths: {
+      '/assets': {
+        get: {
+          summary: 'List every series the API serves',
+          operationId: 'listAssets',
+          responses: { 200: response('Series in display order', ref('SeriesList'), 'RegistryMeta'), 304: errors[304], 500: errors[500] },
+        },
+      },
+      '/denominators': {
+        get: {
+          summary: 'List the built-in denominators',
+          description: 'Any key from /assets is also accepted as a denominator.',
+          operationId: 'listDenominators',
+          responses: { 200: response('Built-in denominators', ref('DenominatorList'), 'RegistryMeta'), 304: errors[304], 500: errors[500] },
+        },
+      },
+      '/series/{key}': {
+        get: {
+          summary: 'One series as loaded, aligned to the S&P 500 calendar',
+          operationId: 'getSeries',
+          parameters: seriesParameters,
+          responses: { 200: response('Raw series', ref('Series')), ...errors },
+        },
+      },
+      '/series/{key}/real': {
+        get: {
+          summary: 'One series priced in a denominator, as the dashboard charts it',
+          operationId: 'getRealSeries',
+          parameters: [...seriesParameters, parameter('denominator'), parameter('indexed')],
+          responses: { 200: response('Transformed series', ref('RealSeries')), ...errors },
+        },
+      },
+      '/series/{key}/metrics': {
+        get: {
+          summary: 'Risk and return statistics of a series priced in a denominator',
+          operationId: 'getMetrics',
+          parameters: [...seriesParameters, parameter('denominator'), parameter('indexed')],
+          responses: { 200: response('Statistics', ref('SeriesMetrics')), ...errors },
+        },
+      },
+    },
+    components: {
+      parameters: {
+        key: { name: 'key', in: 'path', required: true, schema: { type: 'string', enum: DATASET_KEYS } },
+        start: { name: 'start', in: 'query', description: 'First date returned, inclusive', schema: date },
+        end: { name: 'end', in: 'query', description: 'Last date returned, inclusive', schema: date },
+        interval: { name: 'interval', in: 'query', schema: { type: 'string', enum: Object.keys(INTERVALS), default: '1mo' } },
+        align: { name: 'align', in: 'query', description: 'How gaps are filled', schema: { type: 'string', enum: ALIGN_METHODS, default: 'ffill' } },
+        maxStaleDays: {
+          name: 'maxStaleDays', in: 'query', description: 'Longest a value is carried forward (default per series)',
+          schema: { type: 'integer', minimum: 0, maximum: MAX_STALE_DAYS },
+        },
+        asOf: { name: 'asOf', in: 'query', description: 'Replay the latest archive written on or before this date', schema: date },
+        denominator: {
+          name: 'denominator', in: 'query', required: true,
+          description: 'Built-in denominator id or any key from /assets',
+          schema: { type: 'string', examples: Object.keys(DENOMINATORS) },
+        },
+        indexed: { name: 'indexed', in: 'query', description: 'Rebase to 100 at the first value', schema: { type: 'boolean', default: false } },
+      },
+      headers: {
+        ETag: { description: 'Hash of the body', schema: { type: 'string' } },
+        CacheControl: { description: 'public, max-age in seconds', schema: { type: 'string', example: 'public, max-age=300' } },
+      },
+      responses: {
+        NotModified: { description: 'The ETag in If-None-Match still matches' },
+        Error: {
+          description: 'Invalid parameter (400), unknown series or archive (404), server error (500) or no data available (503)',
+          content: { 'application/json': { schema: ref('Error') } },
+        },
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: {
+              type: 'object',
+              required: ['status', 'code', 'message'],
+              properties: {
+                status: { type: 'integer', enum: Object.keys(ERROR_CODES).map(Number) },
+                code: { type: 'string', enum: Object.values(ERROR_CODES) },
+                message: { type: 'string' },
+              },
+            },
+          },
+        },
+        SeriesInfo: {
+          type: 'object',
+          required: ['key', 'name', 'category', 'provider'],
+          properties: {
+            key: { type: 'string' },
+            name: { type: 'string' },
+            category: { type: 'string', enum: ['equity', 'crypto', 'commodity', 'macro', 'regime'] },
+            provider: { type: 'string', example: 'Yahoo' },
+            symbol: nullable({ type: 'string' }),
+            constituents: nullable({ type: 'array', items: { type: 'string' } }),
+            color: nullable({ type: 'string' }),
+          },
+        },
+        SeriesList: { type: 'array', items: ref('SeriesInfo') },
+        Denominator: {
+          type: 'object',
+          required: ['id', 'label', 'kind', 'unit', 'series'],
+          properties: {
+            id: { type: 'string' },
+            label: { type: 'string' },
+            kind: { type: 'string', enum: ['none', 'deflator', 'ratio', 'composite'] },
+            unit: { type: 'string', example: 'oz' },
+            series: { type: 'array', items: { type: 'string' }, description: 'Series the denominator divides by' },
+            components: nullable({ type: 'object', additionalProperties: { type: 'number' } }),
+            description: nullable({ type: 'string' }),
+          },
+        },
+        DenominatorList: { type: 'array', items: ref('Denominator') },
+        Point: {
+          type: 'object',
+          required: ['date', 'value', 'flag'],
+          properties: {
+            date,
+            value: nullable({ type: 'number' }),
+            flag: nullable({ type: 'string', enum: ['ffill', 'estimated', 'missing'], description: 'How the value was filled in, if it was' }),
+          },
+        },
+        Series: {
+          allOf: [ref('SeriesInfo'), { type: 'object', required: ['points'], properties: { points: { type: 'array', items: ref('Point') } } }],
+        },
+        RealSeries: {
+          allOf: [
+            ref('SeriesInfo'),
+            {
+              type: 'object',
+              required: ['denominator', 'indexed', 'points'],
+              properties: { denominator: ref('Denominator'), indexed: { type: 'boolean' }, points: { type: 'array', items: ref('Point') } },
+            },
+          ],
+        },
+        Metrics: nullable({
+          type: 'object',
+          description: 'Returns are fractions (0.12 = 12%)',
+          properties: {
+            start: date,
+            end: date,
+            totalReturn: { type: 'number' },
+            cagr: nullable({ type: 'number' }),
+            volatility: nullable({ type: 'number' }),
+            sharpe: nullable({ type: 'number' }),
+            maxDrawdown: { type: 'object' },
+            underwater: { type: 'object' },
+            bestMonth: nullable({ type: 'object' }),
+            worstMonth: nullable({ type: 'object' }),
+          },
+        }),
+        SeriesMetrics: {
+          allOf: [
+            ref('SeriesInfo'),
+            { type: 'object', required: ['denominator', 'metrics'], properties: { denominator: ref('Denominator'), metrics: ref('Metrics') } },
+          ],
+        },
+        RegistryMeta: {
+          type: 'object',
+          required: ['apiVersion'],
+          properties: { apiVersion: { type: 'string' } },
+        },
+        DatasetMeta: {
+          type: 'object',
+          required: ['apiVersion', 'interval', 'fallback', 'stale', 'asOf', 'vintage', 'lastUpdated', 'sources', 'health'],
+          properties: {
+            apiVersion: { type: 'string' },
+            interval: { type: 'string', enum: Object.keys(INTERVALS) },
+            fallback: { type: 'boolean', description: 'Served from the bundled monthly snapshot' },
+            stale: { type: 'boolean', description: 'An input was served past its cache lifetime' },
+            asOf: nullable(date),
+            vintage: nullable(date),
+            lastUpdated: nullable({ type: 'string', format: 'date-time' }),
+            sources: { type: 'object', additionalProperties: { type: 'string' }, description: 'Source of each input series' },
+            health: { type: 'object', additionalProperties: { type: 'object' }, description: 'Data-quality report of each input series' },
+          },
+        },
+      },
+    },
+  };
+}
@@ -0,0 +1,221 @@
+import { deflateSync } from 'zlib';
+import { crc32 } from './xlsx.js';
+import { CHAR_WIDTH, textWidth } from './chartImage.js';
+
+// Rasterizes a chart scene (chartScene in lib/chartImage.js) to a PNG without a native
+// image library: anti-aliased shapes on an RGB buffer, text in a built-in 5x7 font and
+// a plain deflated PNG around it. Server-only, for /api/chart.png.
+
+// 5x7 glyphs, one byte per row, low five bits left to right. Lowercase is drawn with the
+// capitals; anything missing is drawn as '?'.
+const GLYPHS = {
+  'A': '0e11111f111111',
+  'B': '1e11111e11111e',
+  'C': '0e11101010110e',
+  'D': '1c12111111121c',
+  'E': '1f10101e10101f',
+  'F': '1f10101e101010',
+  'G': '0e11101711110f',
+  'H': '1111111f111111',
+  'I': '0e04040404040e',
+  'J': '0702020202120c',
+  'K': '11121418141211',
+  'L': '1010101010101f',
+  'M': '111b1515111111',
+  'N': '11111915131111',
+  'O': '0e11111111110e',
+  'P': '1e11111e101010',
+  'Q': '0e11111115120d',
+  'R': '1e11111e141211',
+  'S': '0f10100e01011e',
+  'T': '1f040404040404',
+  'U': '1111111111110e',
+  'V': '11111111110a04',
+  'W': '1111111515150a',
+  'X': '11110a040a1111',
+  'Y': '11110a04040404',
+  'Z': '1f01020408101f',
+  '0': '0e11131519110e',
+  '1': '040c040404040e',
+  '2': '0e11010204081f',
+  '3': '1f02040201110e',
+  '4': '02060a121f0202',
+  '5': '1f101e0101110e',
+  '6': '0608101e11110e',
+  '7': '1f010204080808',
+  '8': '0e11110e11110e',
+  '9': '0e11110f01020c',
+  '.': '00000000000c0c',
+  ',': '000000000c0408',
+  ':': '000c0c000c0c00',
+  ';': '000c0c000c0408',
+  '-': '0000001f000000',
+  '+': '0004041f040400',
+  '=': '00001f001f0000',
+  '/': '00010204081000',
+  '(': '02040808080402',
+  ')': '08040202020408',
+  '$': '040f140e051e04',
+  '%': '18190204081303',
+  '&': '0c12140815120d',
+  '\'': '0c040800000000',
+  '!': '04040404040004',
+  '?': '0e110102040004',
+  '_': '0000000000001f',
+  '#': '0a0a1f0a1f0a0a',
+  '·': '0000000c0c0000',
+  '€': '07081e081e0807',
+};
+
+const GLYPH_HEIGHT = 7;
+
+function parseColor(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function createCanvas(width, height) {
+  return { width, height, pixels: new Uint8ClampedArray(width * height * 3) };
+}
+
+function blend(canvas, px, py, [r, g, b], alpha) {
+  if (alpha <= 0 || px < 0 || py < 0 || px >= canvas.width || py >= canvas.height) return;
+  const i = (py * canvas.width + px) * 3;
+  const { pixels } = canvas;
+  pixels[i] += (r - pixels[i]) * alpha;
+  pixels[i + 1] += (g - pixels[i + 1]) * alpha;
+  pixels[i + 2] += (b - pixels[i + 2]) * alpha;
+}
+
+function overlap(a0, a1, b0, b1) {
+  return clamp01(Math.min(a1, b1) - Math.max(a0, b0));
+}
+
+// Edges of a rect are blended by how much of each pixel they cover
+function fillRect(canvas, { x, y, width, height }, rgb, opacity) {
+  for (let py = Math.floor(y); py < Math.ceil(y + height); py++) {
+    const cy = overlap(py, py + 1, y, y + height);
+    for (let px = Math.floor(x); px < Math.ceil(x + width); px++) {
+      blend(canvas, px, py, rgb, cy * overlap(px, px + 1, x, x + width) * opacity);
+    }
+  }
+}
+
+function distanceToSegment(px, py, [x1, y1], [x2, y2]) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const length = dx * dx + dy * dy;
+  const t = length ? clamp01(((px - x1) * dx + (py - y1) * dy) / length) : 0;
+  return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
+
+// Coverage of a whole polyline is collected first and blended once, so joints where
+// segments overlap are not painted twice
+function strokePath(canvas, points, width, rgb, opacity) {
+  const radius = width / 2;
+  const coverage = new Map();
+  for (let s = 0; s < Math.max(1, points.length - 1); s++) {
+    const a = points[s];
+    const b = points[s + 1] || a;
+    const left = Math.floor(Math.min(a[0], b[0]) - radius - 1);
+    const right = Math.ceil(Math.max(a[0], b[0]) + radius + 1);
+    const top = Math.floor(Math.min(a[1], b[1]) - radius - 1);
+    const bottom = Math.ceil(Math.max(a[1], b[1]) + radius + 1);
+    for (let py = Math.max(0, top); py <= Math.min(canvas.height - 1, bottom); py++) {
+      for (let px = Math.max(0, left); px <= Math.min(canvas.width - 1, right); px++) {
+        const cover = clamp01(radius + 0.5 - distanceToSegment(px + 0.5, py + 0.5, a, b));
+        if (cover <= 0) continue;
+        const index = py * canvas.width + px;
+        if (cover > (coverage.get(index) || 0)) coverage.set(index, cover);
+      }
+    }
+  }
+  for (const [index, cover] of coverage) {
+    blend(canvas, index % canvas.width, Math.floor(index / canvas.width), rgb, cover * opacity);
+  }
+}
+
+// Straight rules snap to pixel centres so a one-pixel line stays one pixel wide
+function strokeLine(canvas, { x1, y1, x2, y2, dash }, rgb, opacity) {
+  const snap = value => Math.floor(value) + 0.5;
+  const start = [x1 === x2 ? snap(x1) : x1, y1 === y2 ? snap(y1) : y1];
+  const end = [x1 === x2 ? snap(x2) : x2, y1 === y2 ? snap(y2) : y2];
+  if (!dash) {
+    strokePath(canvas, [start, end], 1, rgb, opacity);
+    return;
+  }
+  const length = Math.hypot(end[0] - start[0], end[1] - start[1]);
+  const at = t => [start[0] + (end[0] - start[0]) * t, start[1] + (end[1] - start[1]) * t];
+  for (let offset = 0; offset < length; offset += dash[0] + dash[1]) {
+    strokePath(canvas, [at(offset / length), at(Math.min(offset + dash[0], length) / length)], 1, rgb, opacity);
+  }
+}
+
+function drawText(canvas, { x, y, text, size, anchor }, rgb, opacity) {
+  const width = textWidth(text, size);
+  const left = anchor === 'end' ? x - width : anchor === 'middle' ? x - width / 2 : x;
+  const scale = Math.max(1, Math.floor(size / 10));
+  const top = Math.round(y) - GLYPH_HEIGHT * scale;
+  [...text.toUpperCase()].forEach((char, i) => {
+    if (char === ' ') return;
+    const glyph = GLYPHS[char] || GLYPHS['?'];
+    const originX = Math.round(left + i * size * CHAR_WIDTH);
+    for (let row = 0; row < GLYPH_HEIGHT; row++) {
+      const bits = parseInt(glyph.slice(row * 2, row * 2 + 2), 16);
+      for (let col = 0; col < 5; col++) {
+        if (!(bits & (0x10 >> col))) continue;
+        for (let sy = 0; sy < scale; sy++) {
+          for (let sx = 0; sx < scale; sx++) {
+            blend(canvas, originX + col * scale + sx, top + row * scale + sy, rgb, opacity);
+          }
+        }
+      }
+    }
+  });
+}
+
+function pngChunk(type, data) {
+  const body = new Uint8Array(4 + data.length);
+  body.set(Buffer.from(type, 'ascii'));
+  body.set(data, 4);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// 8-bit RGB, no interlace, every row unfiltered
+function encodePng({ width, height, pixels }) {
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let row = 0; row < height; row++) {
+    raw.set(pixels.subarray(row * width * 3, (row + 1) * width * 3), row * (width * 3 + 1) + 1);
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 2, 0, 0, 0], 8);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(raw)),
+    pngChunk('IEND', new Uint8Array(0)),
+  ]);
+}
+
+// PNG bytes of a scene, as a Buffer
+export function renderPng({ width, height, shapes }) {
+  const canvas = createCanvas(width, height);
+  for (const shape of shapes) {
+    const rgb = parseColor(shape.color);
+    const opacity = shape.opacity ?? 1;
+    if (shape.type === 'rect') fillRect(canvas, shape, rgb, opacity);
+    else if (shape.type === 'line') strokeLine(canvas, shape, rgb, opacity);
+    else if (shape.type === 'path') strokePath(canvas, shape.points, shape.width, rgb, opacity);
+    else if (shape.type === 'text') drawText(canvas, shape, rgb, opacity);
+  }
+  return encodePng(canvas);
+}
@@ -0,0 +1,122 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Offline provider for development and tests, selected with DATA_PROVIDER=fixture.
+// Reads `<symbol>.csv` (header `date,value`) from FIXTURE_DIR, default data/fixtures.
+// Symbols without a fixture file get a deterministic synthetic random walk, so the
+// whole pipeline runs without network access. Never use it for published numbers.
+const FIXTURE_DIR = process.env.FIXTURE_DIR || path.join(process.cwd(), 'data', 'fixtures');
+
+const SYNTHETIC_ORIGIN = '2010-01-01';
+
+const STEPS_PER_MONTH = {
+  '1d': 21,
+  '1wk': 4.33,
+  '1mo': 1,
+};
+
+export function fixtureFileName(symbol) {
+  return `${symbol.replace(/^\^/, '').replace(/[^A-Za-z0-9-]/g, '_')}.csv`;
+}
+
+export function parseCsv(text) {
+  const [header, ...lines] = text.trim().split(/\r?\n/);
+  const columns = header.split(',').map(c => c.trim().toLowerCase());
+  const dateIndex = columns.indexOf('date');
+  const valueIndex = columns.indexOf('value');
+  if (dateIndex === -1 || valueIndex === -1) {
+    throw new Error('Fixture CSV needs "date" and "value" columns');
+  }
+
+  return lines
+    .map(line => line.split(','))
+    .map(cells => ({ date: cells[dateIndex]?.trim(), value: parseFloat(cells[valueIndex]) }))
+    .filter(point => point.date && Number.isFinite(point.value));
+}
+
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32: small seeded PRNG so every run produces the same series
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function nextDate(date, interval) {
+  const next = new Date(date);
+  if (interval === '1mo') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else if (interval === '1wk') {
+    next.setUTCDate(next.getUTCDate() + 7);
+  } else {
+    do {
+      next.setUTCDate(next.getUTCDate() + 1);
+    } while (next.getUTCDay() === 0 || next.getUTCDay() === 6);
+  }
+  return next;
+}
+
+function syntheticSeries(symbol, interval) {
+  const seed = hashString(symbol);
+  const random = seededRandom(seed);
+  const steps = STEPS_PER_MONTH[interval] || 1;
+  const monthlyVol = 0.01 + (seed % 90) / 1000;
+  const monthlyDrift = 0.002 + (seed % 7) / 1000;
+  const vol = monthlyVol / Math.sqrt(steps);
+  const drift = monthlyDrift / steps;
+
+  const points = [];
+  let value = 20 + (seed % 480);
+  let date = new Date(`${SYNTHETIC_ORIGIN}T00:00:00Z`);
+  const now = new Date();
+
+  while (date <= now) {
+    points.push({ date: date.toISOString().split('T')[0], value: Math.round(value * 100) / 100 });
+    // Box-Muller normal draw for the log return
+    const z = Math.sqrt(-2 * Math.log(random() || 1e-9)) * Math.cos(2 * Math.PI * random());
+    value *= Math.exp(drift + vol * z);
+    date = nextDate(date, interval);
+  }
+
+  return points;
+}
+
+async function readFixture(symbol) {
+  try {
+    return parseCsv(await fs.readFile(path.join(FIXTURE_DIR, fixtureFileName(symbol)), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return null;
+  }
+}
+
+export const fixtureProvider = {
+  id: 'fixture',
+  label: 'Fixture',
+
+  async fetchSeries(symbol, { start, end, interval = '1mo' } = {}) {
+    try {
+      const points = (await readFixture(symbol)) || syntheticSeries(symbol, interval);
+      const endDate = end ? new Date(end).toISOString().split('T')[0] : null;
+
+      return points.filter(point =>
+        (!start || point.date >= start) && (!endDate || point.date <= endDate)
+      );
+    } catch (error) {
+      console.warn(`Fixture load failed for ${symbol}: ${error.message}`);
+      return null;
+    }
+  },
+};
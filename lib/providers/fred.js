@@ -0,0 +1,70 @@
+// Adapter for the FRED observations API. Requires FRED_API_KEY.
+
+// FRED can only aggregate down to a lower frequency; anything finer than the
+// native frequency is requested as-is and aligned by the caller.
+const FRED_FREQUENCY = {
+  '1mo': 'm',
+};
+
+export const fredProvider = {
+  id: 'fred',
+  label: 'FRED',
+
+  async fetchSeries(seriesId, { start, end, interval = '1mo' } = {}) {
+    // Uses the variable you set in Vercel
+    const apiKey = process.env.FRED_API_KEY;
+
+    // Check if key exists to prevent crashing if env var is missing
+    if (!apiKey) {
+      console.error("FRED_API_KEY is missing from environment variables");
+      return null;
+    }
+
+    const params = new URLSearchParams({
+      series_id: seriesId,
+      api_key: apiKey,
+      file_type: 'json',
+      observation_start: start,
+    });
+    if (end) params.set('observation_end', toDateString(end));
+    if (FRED_FREQUENCY[interval]) params.set('frequency', FRED_FREQUENCY[interval]);
+
+    const url = `https://api.stlouisfed.org/fred/series/observations?${params}`;
+
+    try {
+      const response = await fetch(url, { next: { revalidate: 86400 } });
+      if (!response.ok) {
+        // FRED also answers 400 for a bad api_key or parameters; only a missing series is no data
+        const message = await errorMessage(response);
+        if (/series does not exist/i.test(message)) {
+          console.warn(`FRED has no series ${seriesId}: ${message}`);
+          return [];
+        }
+        throw new Error(`FRED API error: ${response.status}${message ? ` ${message}` : ''}`);
+      }
+      const data = await response.json();
+
+      return data.observations
+        .filter(obs => obs.value !== '.')
+        .map(obs => ({
+          date: obs.date,
+          value: parseFloat(obs.value),
+        }));
+    } catch (error) {
+      console.error(`Error fetching FRED series ${seriesId}:`, error.message);
+      return null;
+    }
+  },
+};
+
+async function errorMessage(response) {
+  try {
+    return (await response.json()).error_message || '';
+  } catch {
+    return '';
+  }
+}
+
+function toDateString(date) {
+  return date instanceof Date ? date.toISOString().split('T')[0] : date;
+}
@@ -0,0 +1,30 @@
+import { yahooProvider } from './yahoo.js';
+import { fredProvider } from './fred.js';
+import { fixtureProvider } from './fixture.js';
+
+// Every provider implements:
+//   fetchSeries(symbol, { start, end, interval }) -> [{ date, value }] | null
+// where start/end are 'YYYY-MM-DD' (or Date) and interval is '1d' | '1wk' | '1mo'.
+// An empty array means the provider answered but has no data (unknown symbol, nothing in
+// range). null means the call itself failed (network, timeout, HTTP error): only that is
+// retried and counted toward the circuit breaker. Either way the cache then serves the
+// last good copy.
+//
+// To add a source (Stooq, CoinGecko, BLS...), write an adapter with that shape,
+// register it here and point registry entries at its id.
+const PROVIDERS = {
+  [yahooProvider.id]: yahooProvider,
+  [fredProvider.id]: fredProvider,
+  [fixtureProvider.id]: fixtureProvider,
+};
+
+// DATA_PROVIDER=fixture swaps every upstream for the offline fixture provider
+export function getProvider(id) {
+  const override = process.env.DATA_PROVIDER;
+  if (override) {
+    if (!PROVIDERS[override]) throw new Error(`Unknown DATA_PROVIDER "${override}"`);
+    return PROVIDERS[override];
+  }
+  if (!PROVIDERS[id]) throw new Error(`Unknown provider "${id}"`);
+  return PROVIDERS[id];
+}
@@ -0,0 +1,44 @@
+import yahooFinance from 'yahoo-finance2';
+
+// Yahoo answers an unknown or delisted symbol, or a range before its listing, with an
+// error payload rather than quotes. Those are answers, not outages.
+function isNoData(error) {
+  return error.name === 'BadRequestError'
+    || (error.name === 'HTTPError' && error.code === 404)
+    || /no data found/i.test(error.message);
+}
+
+// Adapter for the unofficial Yahoo Finance chart API (stocks, ETFs, futures, crypto)
+export const yahooProvider = {
+  id: 'yahoo',
+  label: 'Yahoo',
+
+  async fetchSeries(symbol, { start, end = new Date(), interval = '1mo' } = {}) {
+    try {
+      // Not present in every yahoo-finance2 release
+      yahooFinance.suppressNotices?.(['yahooSurvey']);
+
+      const result = await yahooFinance.chart(symbol, {
+        period1: start,
+        period2: end,
+        interval,
+      });
+
+      if (!result?.quotes) return [];
+
+      return result.quotes
+        .filter(q => q.close !== null)
+        .map(q => ({
+          date: q.date.toISOString().split('T')[0],
+          value: q.adjclose || q.close,
+        }));
+    } catch (error) {
+      if (isNoData(error)) {
+        console.warn(`Yahoo has no data for ${symbol}: ${error.message}`);
+        return [];
+      }
+      console.warn(`Yahoo fetch failed for ${symbol}: ${error.message}`);
+      return null;
+    }
+  },
+};
@@ -0,0 +1,169 @@
+import { periodKey } from './align.js';
+
+// Data-quality checks run on every series each time it is loaded. The result is a
+// health report per series that the API returns and the Data Sources panel renders.
+//
+//   {
+//     key: 'GOLD',
+//     name: 'Gold',
+//     source: 'Yahoo',
+//     status: 'ok' | 'degraded' | 'stale' | 'failed',
+//     fetch: 'live' | 'cached' | 'stale' | 'failed' | 'snapshot' | 'archive',
+//     fetchedAt: '2026-10-18T09:00:00.000Z',
+//     observations: 3190,
+//     lastObservation: '2026-10-17',
+//     issues: [{ check: 'jump', severity: 'warning', count: 2, dates: [...], message }],
+//   }
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const HEALTH_STATES = {
+  ok: { label: 'OK', color: '#4ade80' },
+  degraded: { label: 'Degraded', color: '#fbbf24' },
+  stale: { label: 'Stale', color: '#fb923c' },
+  failed: { label: 'Failed', color: '#f87171' },
+};
+
+// Worst first, for rolling several reports up into one
+const STATUS_SEVERITY = ['failed', 'stale', 'degraded', 'ok'];
+
+// Longest normal spacing between observations at each native interval (weekends,
+// holidays, month lengths)
+const MAX_SPACING_DAYS = {
+  '1d': 7,
+  '1wk': 14,
+  '1mo': 45,
+};
+
+// A last observation older than this means the upstream stopped updating. Monthly FRED
+// series publish with a lag (Case-Shiller about two months).
+const STALE_AFTER_DAYS = {
+  '1d': 7,
+  '1wk': 21,
+  '1mo': 125,
+};
+
+// Largest plausible one-day log move per category. Longer intervals scale it by the
+// square root of their length in trading days. Bigger moves are usually bad ticks or
+// futures rolls (GC=F, SI=F) rather than markets.
+const DAILY_JUMP_LIMIT = {
+  equity: 0.15,
+  constituent: 0.25,
+  crypto: 0.35,
+  commodity: 0.1,
+  macro: 0.02,
+};
+
+const TRADING_DAYS = {
+  '1d': 1,
+  '1wk': 5,
+  '1mo': 21,
+};
+
+// Dates listed per issue; count has the full number
+const MAX_ISSUE_DATES = 5;
+
+function toTime(date) {
+  return Date.parse(`${date.substring(0, 10)}T00:00:00Z`);
+}
+
+function issue(check, severity, dates, message) {
+  return { check, severity, count: dates.length, dates: dates.slice(-MAX_ISSUE_DATES), message };
+}
+
+function findGaps(points, interval) {
+  const dates = [];
+  for (let i = 1; i < points.length; i++) {
+    if ((toTime(points[i].date) - toTime(points[i - 1].date)) / DAY > MAX_SPACING_DAYS[interval]) {
+      dates.push(points[i].date);
+    }
+  }
+  return dates;
+}
+
+function findDuplicates(points, interval) {
+  const seen = new Set();
+  const dates = [];
+  for (const point of points) {
+    const period = periodKey(point.date, interval);
+    if (seen.has(period)) dates.push(point.date);
+    seen.add(period);
+  }
+  return dates;
+}
+
+function findJumps(points, limit) {
+  const dates = [];
+  for (let i = 1; i < points.length; i++) {
+    const [prev, value] = [points[i - 1].value, points[i].value];
+    if (prev > 0 && value > 0 && Math.abs(Math.log(value / prev)) > limit) dates.push(points[i].date);
+  }
+  return dates;
+}
+
+/**
+ * Validates one series' observations (ascending { date, value }) as loaded at its
+ * native interval. fetch is how the load went ('live', 'cached', 'stale', 'failed',
+ * 'snapshot' or 'archive'). Regime series are 0/1 flags, so they skip the jump and
+ * non-positive checks.
+ */
+export function validateSeries(entry, points, { interval, fetch, source, fetchedAt = null, now = Date.now() }) {
+  const report = {
+    key: entry.key,
+    name: entry.name,
+    source,
+    status: 'ok',
+    fetch,
+    fetchedAt,
+    observations: points?.length ?? 0,
+    lastObservation: points?.length ? points[points.length - 1].date : null,
+    issues: [],
+  };
+
+  if (!points?.length) {
+    report.status = 'failed';
+    report.issues.push(issue('load', 'error', [], 'No data could be loaded'));
+    return report;
+  }
+
+  const gaps = findGaps(points, interval);
+  if (gaps.length) {
+    report.issues.push(issue('gaps', 'warning', gaps, `${gaps.length} gap${gaps.length === 1 ? '' : 's'} longer than ${MAX_SPACING_DAYS[interval]} days`));
+  }
+
+  const duplicates = findDuplicates(points, interval);
+  if (duplicates.length) {
+    report.issues.push(issue('duplicates', 'warning', duplicates, `${duplicates.length} duplicate ${interval === '1mo' ? 'month' : 'date'}${duplicates.length === 1 ? '' : 's'}`));
+  }
+
+  if (entry.category !== 'regime') {
+    const nonPositive = points.filter(point => !(point.value > 0)).map(point => point.date);
+    if (nonPositive.length) {
+      report.issues.push(issue('nonPositive', 'error', nonPositive, `${nonPositive.length} zero or negative value${nonPositive.length === 1 ? '' : 's'}`));
+    }
+
+    const limit = (DAILY_JUMP_LIMIT[entry.category] ?? DAILY_JUMP_LIMIT.equity) * Math.sqrt(TRADING_DAYS[interval]);
+    const jumps = findJumps(points, limit);
+    if (jumps.length) {
+      report.issues.push(issue('jump', 'warning', jumps, `${jumps.length} move${jumps.length === 1 ? '' : 's'} over ${Math.round(limit * 100)}% in one period`));
+    }
+  }
+
+  const ageDays = Math.floor((now - toTime(report.lastObservation)) / DAY);
+  if (ageDays > STALE_AFTER_DAYS[interval]) {
+    report.issues.push(issue('stale', 'error', [report.lastObservation], `Last observation is ${ageDays} days old`));
+  }
+  if (fetch === 'stale') {
+    report.issues.push(issue('refresh', 'error', [], 'Refresh failed; serving the last cached copy'));
+  }
+
+  if (report.issues.some(i => i.check === 'stale' || i.check === 'refresh')) report.status = 'stale';
+  else if (report.issues.length) report.status = 'degraded';
+  return report;
+}
+
+// Worst status across reports: one failed series makes the whole load 'failed'
+export function overallStatus(reports) {
+  const statuses = Object.values(reports).map(report => report.status);
+  return STATUS_SEVERITY.find(status => statuses.includes(status)) || 'ok';
+}
@@ -0,0 +1,243 @@
+import { ASSETS, DATASET_KEYS, getEntry } from './assets.js';
+import { INTERVALS, ALIGN_METHODS, MAX_STALE_DAYS } from './align.js';
+import { DENOMINATORS, resolveDenominator } from './transform.js';
+import { TIME_RANGES, PRESET_PERIODS, viewFromQuery, resolveWindow, autoInterval } from './views.js';
+
+// Query-string parsing for the data endpoints. Every parser returns either
+// { query } or { error } with a message fit for a 400 response.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const BOOLEANS = { true: true, 1: true, false: false, 0: false };
+
+function isValidDate(text) {
+  if (!DATE_PATTERN.test(text)) return false;
+  const parsed = new Date(`${text}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(text);
+}
+
+function parseList(text) {
+  return [...new Set(text.split(',').map(item => item.trim().toUpperCase()).filter(Boolean))];
+}
+
+/**
+ * Parses /api/data parameters:
+ *
+ *   assets=SPX,BTC        subset of registry assets and macro series (default: all)
+ *   start=YYYY-MM-DD      first date returned, inclusive
+ *   end=YYYY-MM-DD        last date returned, inclusive
+ *   denominator=GOLD      built-in denominator or an asset key; enables the transform
+ *   indexed=true          rebase each asset to 100 at its first value; enables the transform
+ *   metrics=true          add risk/return statistics (lib/analytics.js); enables the transform
+ *   interval=1mo          1d, 1wk or 1mo
+ *   align=ffill           how gaps are filled: ffill, interpolate or drop
+ *   maxStaleDays=60       longest a value is carried forward (default per series)
+ *   asOf=YYYY-MM-DD       replay the latest archive written on or before this date
+ *
+ * transform is true when denominator, indexed or metrics was given: the response then
+ * carries chart values instead of raw prices.
+ */
+export function parseDataQuery(searchParams) {
+  const interval = searchParams.get('interval') || '1mo';
+  const align = searchParams.get('align') || 'ffill';
+  if (!INTERVALS[interval]) {
+    return { error: `interval must be one of ${Object.keys(INTERVALS).join(', ')}` };
+  }
+  if (!ALIGN_METHODS.includes(align)) {
+    return { error: `align must be one of ${ALIGN_METHODS.join(', ')}` };
+  }
+
+  let maxStaleDays = null;
+  if (searchParams.has('maxStaleDays')) {
+    const text = searchParams.get('maxStaleDays');
+    maxStaleDays = /^\d+$/.test(text) ? Number(text) : NaN;
+    if (!(maxStaleDays <= MAX_STALE_DAYS)) {
+      return { error: `maxStaleDays must be a whole number of days from 0 to ${MAX_STALE_DAYS}` };
+    }
+  }
+
+  let assets = null;
+  if (searchParams.has('assets')) {
+    assets = parseList(searchParams.get('assets'));
+    if (assets.length === 0) return { error: 'assets must list at least one key' };
+    const unknown = assets.find(key => !DATASET_KEYS.includes(key));
+    if (unknown) return { error: `Unknown asset "${unknown}"; expected any of ${DATASET_KEYS.join(', ')}` };
+  }
+
+  const start = searchParams.get('start');
+  const end = searchParams.get('end');
+  if (start !== null && !isValidDate(start)) return { error: 'start must be a date in YYYY-MM-DD format' };
+  if (end !== null && !isValidDate(end)) return { error: 'end must be a date in YYYY-MM-DD format' };
+  if (start && end && start > end) return { error: 'start must not be after end' };
+
+  const asOf = searchParams.get('asOf');
+  if (asOf !== null && !isValidDate(asOf)) return { error: 'asOf must be a date in YYYY-MM-DD format' };
+
+  let denominator = null;
+  if (searchParams.has('denominator')) {
+    const id = searchParams.get('denominator');
+    denominator = resolveDenominator(id, ASSETS);
+    if (!denominator) {
+      return { error: `Unknown denominator "${id}"; expected one of ${Object.keys(DENOMINATORS).join(', ')} or an asset key` };
+    }
+  }
+
+  let indexed = null;
+  if (searchParams.has('indexed')) {
+    indexed = BOOLEANS[searchParams.get('indexed')];
+    if (indexed === undefined) return { error: 'indexed must be true or false' };
+  }
+
+  let metrics = false;
+  if (searchParams.has('metrics')) {
+    metrics = BOOLEANS[searchParams.get('metrics')];
+    if (metrics === undefined) return { error: 'metrics must be true or false' };
+  }
+
+  return {
+    query: {
+      interval,
+      align,
+      maxStaleDays,
+      assets,
+      start,
+      end,
+      asOf,
+      denominator,
+      indexed,
+      metrics,
+      transform: denominator !== null || indexed !== null || metrics,
+    },
+  };
+}
+
+/**
+ * Parses /api/archive parameters:
+ *
+ *   from=YYYY-MM-DD       older vintage: the latest archive on or before this date
+ *   to=YYYY-MM-DD         newer vintage, likewise (default: the latest archive)
+ *   assets=SPX,PCE        limit the diff to these series (default: all)
+ *
+ * Without from the endpoint lists the archive; diff is true when from was given.
+ */
+export function parseArchiveQuery(searchParams) {
+  const from = searchParams.get('from');
+  const to = searchParams.get('to');
+  if (from !== null && !isValidDate(from)) return { error: 'from must be a date in YYYY-MM-DD format' };
+  if (to !== null && !isValidDate(to)) return { error: 'to must be a date in YYYY-MM-DD format' };
+  if (to !== null && from === null) return { error: 'to needs a from date to diff against' };
+  if (from && to && from > to) return { error: 'from must not be after to' };
+
+  let assets = null;
+  if (searchParams.has('assets')) {
+    assets = parseList(searchParams.get('assets'));
+    if (assets.length === 0) return { error: 'assets must list at least one key' };
+    const unknown = assets.find(key => !DATASET_KEYS.includes(key));
+    if (unknown) return { error: `Unknown asset "${unknown}"; expected any of ${DATASET_KEYS.join(', ')}` };
+    // Archives hold upstream series; composites are rebuilt from their constituents
+    const composite = assets.find(key => getEntry(key).provider === 'composite');
+    if (composite) return { error: `${composite} is not archived; diff its constituents instead` };
+  }
+
+  return { query: { from, to, assets, diff: from !== null } };
+}
+
+// Pixel bounds of a rendered chart image
+export const CHART_SIZE = {
+  width: { min: 320, max: 1600, default: 800 },
+  height: { min: 200, max: 1000, default: 420 },
+};
+
+function parseSize(searchParams, field) {
+  const bounds = CHART_SIZE[field];
+  if (!searchParams.has(field)) return { value: bounds.default };
+  const text = searchParams.get(field);
+  const value = /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!(value >= bounds.min && value <= bounds.max)) {
+    return { error: `${field} must be a whole number of pixels from ${bounds.min} to ${bounds.max}` };
+  }
+  return { value };
+}
+
+/**
+ * Parses the chart parameters of /embed and /api/chart.svg|png. They are the share-link
+ * parameters of the dashboard (lib/views.js), so a link's query string works as is:
+ *
+ *   assets=SPX,BTC        registry assets to draw (default: the dashboard's); no baskets
+ *   denominator=GOLD      built-in denominator or an asset key
+ *   range=5Y              TIME_RANGES or PRESET_PERIODS key, or custom with start/end
+ *   resolution=auto       auto or an interval
+ *   align, indexed, log   as on the dashboard
+ *   width=800             image size in pixels (images only)
+ *   height=420
+ *
+ * Only the level chart is drawn; mode, layout and annotation parameters are ignored.
+ * The query carries what loadChartData takes plus log, width and height.
+ */
+export function parseChartQuery(searchParams) {
+  const view = viewFromQuery(searchParams);
+
+  const range = searchParams.get('range');
+  if (range !== null && range !== view.range) {
+    const ranges = [...Object.keys(TIME_RANGES), ...Object.keys(PRESET_PERIODS)].join(', ');
+    return { error: `range must be one of ${ranges}, or custom with a start date` };
+  }
+  const resolution = searchParams.get('resolution');
+  if (resolution !== null && resolution !== view.resolution) {
+    return { error: `resolution must be auto or one of ${Object.keys(INTERVALS).join(', ')}` };
+  }
+
+  if (view.assets.length === 0) return { error: 'assets must list at least one key' };
+  const unknown = view.assets.find(key => !ASSETS[key]);
+  if (unknown) return { error: `Unknown asset "${unknown}"; expected any of ${Object.keys(ASSETS).join(', ')}` };
+
+  const denominator = resolveDenominator(view.denominator, ASSETS);
+  if (!denominator) {
+    return { error: `Unknown denominator "${view.denominator}"; expected one of ${Object.keys(DENOMINATORS).join(', ')} or an asset key` };
+  }
+
+  const width = parseSize(searchParams, 'width');
+  if (width.error) return { error: width.error };
+  const height = parseSize(searchParams, 'height');
+  if (height.error) return { error: height.error };
+
+  const { start, end } = resolveWindow(view);
+  return {
+    query: {
+      assets: view.assets,
+      start,
+      end,
+      interval: view.resolution === 'auto' ? autoInterval({ start, end }) : view.resolution,
+      align: view.align,
+      maxStaleDays: null,
+      denominator,
+      indexed: view.indexed,
+      log: view.log,
+      width: width.value,
+      height: height.value,
+    },
+  };
+}
+
+/**
+ * Parses /api/v1/series/{key} parameters: start, end, interval, align, maxStaleDays and
+ * asOf as for /api/data. transform (the /real and /metrics endpoints) adds denominator,
+ * required, and indexed. Returns { query } with the loadChartData fields, { error }, or
+ * { error, status: 404 } for an unknown key.
+ */
+export function parseSeriesQuery(key, searchParams, { transform = false } = {}) {
+  const upper = key.toUpperCase();
+  if (!DATASET_KEYS.includes(upper)) {
+    return { error: `Unknown series "${key}"; /api/v1/assets lists them`, status: 404 };
+  }
+
+  const allowed = ['start', 'end', 'interval', 'align', 'maxStaleDays', 'asOf', ...(transform ? ['denominator', 'indexed'] : [])];
+  const unknown = [...searchParams.keys()].find(name => !allowed.includes(name));
+  if (unknown) return { error: `Unknown parameter "${unknown}"; expected any of ${allowed.join(', ')}` };
+  if (transform && !searchParams.has('denominator')) return { error: 'denominator is required' };
+
+  const params = new URLSearchParams(searchParams);
+  params.set('assets', upper);
+  const { query, error } = parseDataQuery(params);
+  if (error) return { error };
+  return { query: { ...query, indexed: Boolean(query.indexed) } };
+}
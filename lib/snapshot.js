@@ -0,0 +1,31 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Bundled history served when live providers are down. Regenerate with `npm run snapshot`.
+export const SNAPSHOT_PATH = path.join(process.cwd(), 'data', 'snapshot.json');
+export const SNAPSHOT_VERSION = 1;
+
+export async function loadSnapshot() {
+  try {
+    const snapshot = JSON.parse(await fs.readFile(SNAPSHOT_PATH, 'utf8'));
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      console.warn(`Ignoring snapshot with version ${snapshot.version}, expected ${SNAPSHOT_VERSION}`);
+      return null;
+    }
+    if (!snapshot.series?.SPX?.length) return null;
+    return snapshot;
+  } catch (error) {
+    console.warn(`Snapshot unavailable: ${error.message}`);
+    return null;
+  }
+}
+
+export function buildSnapshot(series) {
+  const spx = series.SPX;
+  return {
+    version: SNAPSHOT_VERSION,
+    asOf: spx[spx.length - 1].date,
+    generatedAt: new Date().toISOString(),
+    series,
+  };
+}
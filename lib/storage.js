@@ -0,0 +1,21 @@
+// localStorage helpers for dashboard preferences. Safe to call during server rendering.
+const PREFIX = 'realterms.';
+
+export function readLocal(key, fallback) {
+  if (typeof window === 'undefined') return fallback;
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function writeLocal(key, value) {
+  if (typeof window === 'undefined') return;
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not save ${key}: ${error.message}`);
+  }
+}
@@ -0,0 +1,272 @@
+// Denominator transforms: price any series in terms of a deflator, another asset, or a
+// weighted composite of several series. Used by the dashboard and anything else that
+// needs the same numbers as the chart.
+//
+// A denominator spec is one of:
+//   { kind: 'none' }                                   nominal USD
+//   { kind: 'deflator', series }                       value * latest / current (today's dollars)
+//   { kind: 'ratio', series, scale? }                  value / series * scale
+//   { kind: 'ratio', series, scale?, invert: true }    value * series / scale (e.g. DXY)
+//   { kind: 'composite', components: { KEY: weight } } value / weighted basket of rebased series
+
+// accent/description feed the explainer cards under the chart
+export const DENOMINATORS = {
+  GOLD: {
+    label: 'vs Gold',
+    kind: 'ratio',
+    series: 'GOLD',
+    unit: 'oz',
+    accent: '#d4af37',
+    description: 'Price in gold ounces. Reveals whether assets preserve purchasing power or just ride dollar debasement.',
+  },
+  HOUSES: {
+    label: 'vs Houses',
+    kind: 'ratio',
+    series: 'CASE_SHILLER',
+    scale: 100,
+    unit: 'index',
+    accent: '#60a5fa',
+    description: 'Relative to Case-Shiller Index. Shows performance against the primary store of American wealth.',
+  },
+  HARD_ASSETS: {
+    label: 'vs Hard Assets',
+    kind: 'composite',
+    components: { GOLD: 0.5, CASE_SHILLER: 0.5 },
+    unit: 'usd',
+    accent: '#fb923c',
+    description: 'Against a 50/50 basket of gold and houses, each rebased to the start of the window. Dollars of that basket at starting prices.',
+  },
+  PCE: {
+    label: 'PCE Adjusted',
+    kind: 'deflator',
+    series: 'PCE',
+    unit: 'usd',
+    accent: '#a78bfa',
+    description: 'Fed\'s preferred inflation measure. Real returns after adjusting for official purchasing power erosion.',
+  },
+  CORE_PCE: {
+    label: 'Core PCE',
+    kind: 'deflator',
+    series: 'CORE_PCE',
+    unit: 'usd',
+    accent: '#c084fc',
+    description: 'PCE excluding food and energy. Strips out commodity swings to show the underlying inflation trend.',
+  },
+  CPI: {
+    label: 'CPI Adjusted',
+    kind: 'deflator',
+    series: 'CPI',
+    unit: 'usd',
+    accent: '#f472b6',
+    description: 'CPI-U, the headline consumer price index. Runs hotter than PCE because of its heavier housing weight.',
+  },
+  M2: {
+    label: 'vs M2',
+    kind: 'deflator',
+    series: 'M2',
+    unit: 'usd',
+    accent: '#34d399',
+    description: 'Adjusted for money supply growth. The debasement view: did the asset outgrow the amount of dollars created?',
+  },
+  WAGES: {
+    label: 'Hours of Work',
+    kind: 'ratio',
+    series: 'WAGES',
+    unit: 'hours',
+    accent: '#fbbf24',
+    description: 'Price divided by average hourly earnings: how many hours the typical private-sector worker needs to buy it.',
+  },
+  DXY: {
+    label: 'vs Dollar Index',
+    kind: 'ratio',
+    series: 'DXY',
+    scale: 100,
+    invert: true,
+    unit: 'index',
+    accent: '#38bdf8',
+    description: 'Multiplied by the DXY. Removes dollar strength or weakness against the major currencies from the move.',
+  },
+  EUR: {
+    label: 'in EUR',
+    kind: 'ratio',
+    series: 'EURUSD',
+    unit: 'eur',
+    accent: '#818cf8',
+    description: 'Price in euros. What the same asset did for a euro-based investor.',
+  },
+  CHF: {
+    label: 'in CHF',
+    kind: 'ratio',
+    series: 'CHFUSD',
+    unit: 'chf',
+    accent: '#f87171',
+    description: 'Price in Swiss francs, the classic hard currency. Shows returns net of the dollar\'s slide against the franc.',
+  },
+  USD: { label: 'Nominal USD', kind: 'none', unit: 'usd' },
+};
+
+/**
+ * Resolves a denominator id to a spec. Built-ins win; any other id is treated as an
+ * asset key, so 'BTC' prices everything in bitcoin and 'SILVER' gives silver ratios.
+ * assets maps keys to { name } and is only used for labels.
+ */
+export function resolveDenominator(id, assets = {}) {
+  if (DENOMINATORS[id]) return { id, ...DENOMINATORS[id] };
+  if (assets[id]) {
+    return { id, label: `in ${assets[id].name}`, kind: 'ratio', series: id, unit: 'ratio', suffix: assets[id].symbol ? id : null };
+  }
+  return null;
+}
+
+// Row keys a spec divides by
+export function denominatorSeries(spec) {
+  if (!spec || spec.kind === 'none') return [];
+  if (spec.kind === 'composite') return Object.keys(spec.components);
+  return [spec.series];
+}
+
+function isPresent(value) {
+  return value !== null && value !== undefined;
+}
+
+function lastPresent(rows, key) {
+  for (let i = rows.length - 1; i >= 0; i--) {
+    if (isPresent(rows[i][key])) return rows[i][key];
+  }
+  return null;
+}
+
+// Builds a per-row divisor function for the spec over these rows
+function buildDivisor(spec, rows) {
+  if (!spec || spec.kind === 'none') return () => 1;
+
+  if (spec.kind === 'deflator') {
+    const latest = lastPresent(rows, spec.series);
+    return row => (isPresent(row[spec.series]) && latest ? row[spec.series] / latest : null);
+  }
+
+  if (spec.kind === 'ratio') {
+    const scale = spec.scale || 1;
+    if (spec.invert) return row => (row[spec.series] ? scale / row[spec.series] : null);
+    return row => (row[spec.series] ? row[spec.series] / scale : null);
+  }
+
+  // Composite: each component is rebased to 1 on the first row where all are present,
+  // then combined with its weight
+  const keys = Object.keys(spec.components);
+  const baseRow = rows.find(row => keys.every(key => row[key]));
+  if (!baseRow) return () => null;
+  const totalWeight = keys.reduce((sum, key) => sum + spec.components[key], 0);
+
+  return row => {
+    if (!keys.every(key => row[key])) return null;
+    return keys.reduce(
+      (sum, key) => sum + (spec.components[key] / totalWeight) * (row[key] / baseRow[key]),
+      0
+    );
+  };
+}
+
+function round(value) {
+  return Number(value.toPrecision(8));
+}
+
+// Worst first: a chart point takes the worst flag of its asset and denominator inputs
+const FLAG_SEVERITY = ['missing', 'estimated', 'ffill'];
+
+function worstFlag(flags) {
+  return FLAG_SEVERITY.find(flag => flags.includes(flag)) || null;
+}
+
+/**
+ * Transforms merged rows into chart rows: each asset divided by the denominator and
+ * optionally indexed to 100 at its first value in the window.
+ *
+ * A point is only ever computed from a present asset value and a present divisor, so
+ * nominal values never leak into a real-terms line and indexing always rebases on a
+ * transformed value. Alignment flags (row.flags) carry over: each chart point takes
+ * the worst flag of its inputs, and a point lost to a missing denominator is flagged
+ * 'missing'.
+ */
+export function transformRows(rows, assetKeys, { denominator, indexed = false }) {
+  if (!rows.length) return [];
+
+  const divisor = buildDivisor(denominator, rows);
+  const inputs = denominatorSeries(denominator);
+  const baseValues = {};
+
+  return rows.map(row => {
+    const result = { date: row.date };
+    const divide = divisor(row);
+    const divisorFlags = inputs.map(key => row.flags?.[key]).filter(Boolean);
+    const flags = {};
+
+    assetKeys.forEach(asset => {
+      let value = row[asset];
+      if (!isPresent(value)) {
+        result[asset] = null;
+        if (row.flags?.[asset]) flags[asset] = row.flags[asset];
+        return;
+      }
+      if (!divide) {
+        result[asset] = null;
+        flags[asset] = 'missing';
+        return;
+      }
+
+      const flag = worstFlag([row.flags?.[asset], ...divisorFlags]);
+      if (flag) flags[asset] = flag;
+
+      value = value / divide;
+
+      if (indexed) {
+        if (baseValues[asset] === undefined) baseValues[asset] = value;
+        if (baseValues[asset]) value = (value / baseValues[asset]) * 100;
+      }
+
+      result[asset] = round(value);
+    });
+
+    if (Object.keys(flags).length) result.flags = flags;
+    return result;
+  });
+}
+
+const CURRENCY_PREFIX = {
+  usd: '$',
+  eur: '€',
+  chf: 'CHF ',
+};
+
+function formatRatio(value, suffix, digits) {
+  const text = value >= 100 ? value.toFixed(0)
+    : value >= 1 ? value.toFixed(digits)
+    : value.toPrecision(digits + 1);
+  return suffix ? `${text} ${suffix}` : text;
+}
+
+// Short labels for axis ticks
+export function formatAxisValue(value, spec, indexed) {
+  if (value === null || value === undefined) return '';
+  if (indexed) return value.toFixed(0);
+  if (spec?.unit === 'oz') return formatRatio(value, 'oz', 1);
+  if (spec?.unit === 'hours') return formatRatio(value, 'h', 1);
+  if (spec?.unit === 'ratio') return formatRatio(value, spec.suffix, 1);
+  if (spec?.unit === 'index') return value.toFixed(1);
+  const prefix = CURRENCY_PREFIX[spec?.unit] ?? '$';
+  if (value >= 1000000) return prefix + (value / 1000000).toFixed(1) + 'M';
+  if (value >= 1000) return prefix + (value / 1000).toFixed(0) + 'K';
+  return prefix + value.toFixed(0);
+}
+
+// Full-precision labels for tooltips
+export function formatTooltipValue(value, spec, indexed) {
+  if (value === null || value === undefined) return 'N/A';
+  if (indexed) return value.toFixed(1);
+  if (spec?.unit === 'oz') return value.toFixed(3) + ' oz';
+  if (spec?.unit === 'hours') return formatRatio(value, 'h', 2);
+  if (spec?.unit === 'ratio') return formatRatio(value, spec.suffix, 3);
+  if (spec?.unit === 'index') return value.toFixed(2);
+  const prefix = CURRENCY_PREFIX[spec?.unit] ?? '$';
+  return prefix + value.toLocaleString(undefined, { maximumFractionDigits: 0 });
+}
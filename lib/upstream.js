@@ -0,0 +1,186 @@
+// Shared scheduler for upstream calls. Every provider fetch goes through schedule(),
+// which, per provider:
+//
+//   - shares one in-flight call between identical simultaneous requests
+//   - caps concurrent calls and spends from a token bucket to stay under the rate limit
+//   - retries failed calls with exponential backoff and full jitter
+//   - opens a circuit breaker after repeated failures: calls are refused for a cooldown,
+//     then a single trial call decides whether the provider is back
+//
+// Only a failed call (null or a throw) is retried or counts toward the breaker. An empty
+// result is the provider answering that it has no data, so it returns at once.
+//
+// State lives in the server process, so each serverless instance keeps its own.
+
+const SECOND = 1000;
+
+// burst is the bucket size, perSecond its refill. Yahoo's unofficial limit is about
+// 2000 calls an hour, FRED's 120 a minute.
+export const UPSTREAM_LIMITS = {
+  yahoo: { concurrency: 4, burst: 20, perSecond: 0.5, retries: 2, failureThreshold: 5, cooldownMs: 60 * SECOND },
+  fred: { concurrency: 4, burst: 20, perSecond: 1.5, retries: 2, failureThreshold: 5, cooldownMs: 60 * SECOND },
+};
+
+const DEFAULT_LIMITS = { concurrency: 8, burst: 50, perSecond: 10, retries: 1, failureThreshold: 5, cooldownMs: 30 * SECOND };
+
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8 * SECOND;
+
+// A call that never settles would hold its slot forever
+const ATTEMPT_TIMEOUT_MS = 20 * SECOND;
+
+const lanes = new Map();
+const inFlight = new Map();
+
+function laneOf(id) {
+  if (!lanes.has(id)) {
+    const limits = { ...DEFAULT_LIMITS, ...UPSTREAM_LIMITS[id] };
+    lanes.set(id, {
+      id,
+      limits,
+      active: 0,
+      tokens: limits.burst,
+      refilledAt: Date.now(),
+      queue: [],
+      timer: null,
+      failures: 0,
+      openedAt: null,
+      trial: false,
+    });
+  }
+  return lanes.get(id);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// --- CONCURRENCY AND RATE ---
+
+function refill(lane, now) {
+  const { burst, perSecond } = lane.limits;
+  lane.tokens = Math.min(burst, lane.tokens + ((now - lane.refilledAt) / SECOND) * perSecond);
+  lane.refilledAt = now;
+}
+
+// Starts queued calls while a slot and a token are free; waits for the next token otherwise
+function pump(lane) {
+  lane.timer = null;
+  while (lane.queue.length && lane.active < lane.limits.concurrency) {
+    refill(lane, Date.now());
+    if (lane.tokens < 1) {
+      const wait = ((1 - lane.tokens) / lane.limits.perSecond) * SECOND;
+      lane.timer = setTimeout(() => pump(lane), Math.ceil(wait));
+      return;
+    }
+    lane.tokens -= 1;
+    lane.active += 1;
+    lane.queue.shift()();
+  }
+}
+
+function acquire(lane) {
+  return new Promise(resolve => {
+    lane.queue.push(resolve);
+    if (!lane.timer) pump(lane);
+  });
+}
+
+function release(lane) {
+  lane.active -= 1;
+  if (!lane.timer) pump(lane);
+}
+
+// --- CIRCUIT BREAKER ---
+
+function circuitOf(lane, now = Date.now()) {
+  if (lane.openedAt === null) return 'closed';
+  return now - lane.openedAt >= lane.limits.cooldownMs ? 'half-open' : 'open';
+}
+
+// Whether a call may go upstream now; half-open lets exactly one trial through
+function admit(lane) {
+  const state = circuitOf(lane);
+  if (state === 'closed') return true;
+  if (state === 'half-open' && !lane.trial) {
+    lane.trial = true;
+    return true;
+  }
+  return false;
+}
+
+function recordSuccess(lane) {
+  lane.failures = 0;
+  lane.openedAt = null;
+  lane.trial = false;
+}
+
+function recordFailure(lane) {
+  lane.failures += 1;
+  const trial = lane.trial;
+  lane.trial = false;
+  if (!trial && lane.failures < lane.limits.failureThreshold) return;
+  if (trial || lane.openedAt === null) {
+    console.warn(`Upstream ${lane.id}: ${lane.failures} failed calls in a row, pausing for ${lane.limits.cooldownMs / SECOND}s`);
+  }
+  lane.openedAt = Date.now();
+}
+
+// --- CALLS ---
+
+// One try: { refused } when the circuit is open, else { value } (null on failure)
+async function attempt(lane, task, key) {
+  await acquire(lane);
+  let timer;
+  try {
+    if (!admit(lane)) {
+      lane.tokens += 1;
+      return { refused: true };
+    }
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${ATTEMPT_TIMEOUT_MS / SECOND}s`)), ATTEMPT_TIMEOUT_MS);
+    });
+    return { value: (await Promise.race([task(), timeout])) ?? null };
+  } catch (error) {
+    console.warn(`Upstream ${lane.id} call for ${key} failed: ${error.message}`);
+    return { value: null };
+  } finally {
+    clearTimeout(timer);
+    release(lane);
+  }
+}
+
+async function run(lane, task, key) {
+  for (let retry = 0; retry <= lane.limits.retries; retry++) {
+    if (circuitOf(lane) === 'open') return null;
+    // Full jitter: anywhere up to the exponential delay, so retries from many callers spread out
+    if (retry > 0) await sleep(Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (retry - 1)));
+    const { refused, value } = await attempt(lane, task, key);
+    if (refused) return null;
+    if (value !== null) {
+      recordSuccess(lane);
+      return value;
+    }
+    recordFailure(lane);
+  }
+  return null;
+}
+
+/**
+ * Runs task, an upstream call resolving to data, [] for no data or null on failure (the
+ * provider contract in lib/providers/index.js), under provider id's limits. Calls with
+ * the same id and key while one is running share its result. Resolves null when every
+ * attempt failed or the circuit is open; never rejects.
+ */
+export function schedule(id, key, task) {
+  const flightKey = `${id}:${key}`;
+  if (!inFlight.has(flightKey)) {
+    inFlight.set(flightKey, run(laneOf(id), task, key).finally(() => inFlight.delete(flightKey)));
+  }
+  return inFlight.get(flightKey);
+}
+
+// 'closed' (calls go through), 'open' (refused until the cooldown ends) or 'half-open'
+export function circuitState(id) {
+  return lanes.has(id) ? circuitOf(lanes.get(id)) : 'closed';
+}
@@ -0,0 +1,268 @@
+import { INTERVALS, ALIGN_METHODS } from './align.js';
+import { ANNOTATION_LAYERS, normalizeNotes } from './annotations.js';
+import { DENOMINATORS } from './transform.js';
+
+// A view is the dashboard's chart configuration: enough to reproduce the exact chart
+// from a link or a saved entry.
+//
+//   {
+//     assets: ['SPX', 'BTC'],   // registry keys or basket keys (BASKET_<id>)
+//     denominator: 'GOLD',      // DENOMINATORS id or any asset key
+//     range: '5Y',              // TIME_RANGES key, PRESET_PERIODS key or 'custom'
+//     start: '2020-03-01',      // custom range only, inclusive
+//     end: '2021-11-30',        // custom range only, inclusive; null for the latest data
+//     resolution: 'auto',       // 'auto' or an INTERVALS key
+//     align: 'ffill',           // gap filling, ALIGN_METHODS
+//     indexed: true,
+//     log: false,
+//     mode: 'level',            // CHART_MODES key
+//     window: 1,                // rolling window in years, ROLLING_WINDOWS
+//     pair: ['SPX', 'BTC'],     // assets compared in correlation mode, or null
+//     layers: ['recessions'],   // ANNOTATION_LAYERS keys that are switched on
+//     notes: [{ date: '2020-03-16', text: 'Fed cuts to zero' }],
+//     layout: 'single',         // CHART_LAYOUTS key
+//     compare: ['USD', 'GOLD'], // DENOMINATORS ids shown as small multiples
+//     lens: 'BTC',              // asset in the lens layout, or null for the first on screen
+//   }
+
+// Trailing windows counted back from today; months null is the full history
+export const TIME_RANGES = {
+  '1Y': { months: 12 },
+  '3Y': { months: 36 },
+  '5Y': { months: 60 },
+  '10Y': { months: 120 },
+  'MAX': { months: null },
+};
+
+// Named fixed windows for regime comparisons
+export const PRESET_PERIODS = {
+  'covid-crash': { label: 'COVID crash', start: '2020-02-01', end: '2020-08-31' },
+  'stimulus': { label: 'Post-COVID stimulus', start: '2020-04-01', end: '2021-12-31' },
+  'rate-hikes-2022': { label: '2022 rate hikes', start: '2022-03-01', end: '2023-07-31' },
+  'crypto-winter-2018': { label: 'Crypto winter 2018', start: '2018-01-01', end: '2018-12-31' },
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+function isDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+export function shiftMonths(date, months) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCMonth(shifted.getUTCMonth() + months);
+  return shifted.toISOString().split('T')[0];
+}
+
+/**
+ * The dates a view covers: { start, end }, either null for open-ended. Trailing
+ * ranges count back from today.
+ */
+export function resolveWindow(view) {
+  if (view.range === 'custom') return { start: view.start, end: view.end };
+  if (PRESET_PERIODS[view.range]) {
+    const { start, end } = PRESET_PERIODS[view.range];
+    return { start, end };
+  }
+  const { months } = TIME_RANGES[view.range];
+  return { start: months === null ? null : shiftMonths(today(), -months), end: null };
+}
+
+// Resolution used when the user leaves it on Auto: daily up to ~13 months, weekly up
+// to ~3 years, monthly beyond
+export function autoInterval({ start, end }) {
+  if (!start) return '1mo';
+  const days = (Date.parse(end || today()) - Date.parse(start)) / DAY;
+  if (days <= 400) return '1d';
+  if (days <= 1100) return '1wk';
+  return '1mo';
+}
+
+// What the chart plots for each selected asset
+export const CHART_MODES = {
+  level: 'Level',
+  drawdown: 'Drawdown',
+  rolling: 'Rolling return',
+  correlation: 'Rolling correlation',
+};
+
+export const ROLLING_WINDOWS = [1, 3, 5];
+
+// How the chart is laid out: one chart in the selected denominator, one small chart per
+// compared denominator, or one asset under every denominator (see lib/compare.js)
+export const CHART_LAYOUTS = {
+  single: 'Single',
+  multiples: 'Small multiples',
+  lens: 'Lens',
+};
+
+export const MAX_COMPARE = 6;
+
+// Modes that need history before the window starts
+export function lookbackYears(view) {
+  return view.mode === 'rolling' || view.mode === 'correlation' ? view.window : 0;
+}
+
+export const DEFAULT_VIEW = {
+  assets: ['SPX', 'MAG7', 'BTC', 'GOLD'],
+  denominator: 'GOLD',
+  range: '5Y',
+  start: null,
+  end: null,
+  resolution: 'auto',
+  align: 'ffill',
+  indexed: true,
+  log: false,
+  mode: 'level',
+  window: 1,
+  pair: null,
+  layers: ['recessions', 'notes'],
+  notes: [],
+  layout: 'single',
+  compare: ['USD', 'GOLD', 'HOUSES', 'PCE'],
+  lens: null,
+};
+
+export const VIEWS_FILE_VERSION = 1;
+export const MAX_SAVED_VIEWS = 50;
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{1,48}$/;
+
+function parseFlag(value, fallback) {
+  if (value === true || value === '1' || value === 'true') return true;
+  if (value === false || value === '0' || value === 'false') return false;
+  return fallback;
+}
+
+function parseAssets(value) {
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list)) return DEFAULT_VIEW.assets;
+  return [...new Set(list.filter(key => typeof key === 'string' && KEY_PATTERN.test(key)))];
+}
+
+function parseLayers(value) {
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list)) return DEFAULT_VIEW.layers;
+  return Object.keys(ANNOTATION_LAYERS).filter(layer => list.includes(layer));
+}
+
+function parseCompare(value) {
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list)) return DEFAULT_VIEW.compare;
+  return [...new Set(list.filter(id => DENOMINATORS[id]))].slice(0, MAX_COMPARE);
+}
+
+function parsePair(value) {
+  const list = parseAssets(value);
+  return list.length === 2 ? list : null;
+}
+
+// A custom range needs a valid start; anything else falls back to the default range
+function parseRange(input) {
+  if (TIME_RANGES[input.range] || PRESET_PERIODS[input.range]) {
+    return { range: input.range, start: null, end: null };
+  }
+  if (input.range === 'custom' && isDate(input.start)) {
+    const end = isDate(input.end) && input.end >= input.start ? input.end : null;
+    return { range: 'custom', start: input.start, end };
+  }
+  return { range: DEFAULT_VIEW.range, start: null, end: null };
+}
+
+/**
+ * Fills in a view from loose input (query parameters or imported JSON). Invalid or
+ * missing fields fall back to DEFAULT_VIEW; keys that are not assets are left for the
+ * dashboard to ignore, since baskets may not have loaded yet.
+ */
+export function normalizeView(input = {}) {
+  return {
+    assets: input.assets === undefined ? DEFAULT_VIEW.assets : parseAssets(input.assets),
+    denominator: typeof input.denominator === 'string' && KEY_PATTERN.test(input.denominator)
+      ? input.denominator
+      : DEFAULT_VIEW.denominator,
+    ...parseRange(input),
+    resolution: input.resolution === 'auto' || INTERVALS[input.resolution] ? input.resolution : DEFAULT_VIEW.resolution,
+    align: ALIGN_METHODS.includes(input.align) ? input.align : DEFAULT_VIEW.align,
+    indexed: parseFlag(input.indexed, DEFAULT_VIEW.indexed),
+    log: parseFlag(input.log, DEFAULT_VIEW.log),
+    mode: CHART_MODES[input.mode] ? input.mode : DEFAULT_VIEW.mode,
+    window: ROLLING_WINDOWS.includes(Number(input.window)) ? Number(input.window) : DEFAULT_VIEW.window,
+    pair: input.pair ? parsePair(input.pair) : DEFAULT_VIEW.pair,
+    layers: input.layers === undefined ? DEFAULT_VIEW.layers : parseLayers(input.layers),
+    notes: normalizeNotes(input.notes),
+    layout: CHART_LAYOUTS[input.layout] ? input.layout : DEFAULT_VIEW.layout,
+    compare: input.compare === undefined ? DEFAULT_VIEW.compare : parseCompare(input.compare),
+    lens: typeof input.lens === 'string' && KEY_PATTERN.test(input.lens) ? input.lens : DEFAULT_VIEW.lens,
+  };
+}
+
+// Query string for a view, leaving out fields that match the default
+export function viewToQuery(view) {
+  const params = new URLSearchParams();
+  if (view.assets.join(',') !== DEFAULT_VIEW.assets.join(',')) params.set('assets', view.assets.join(','));
+  if (view.denominator !== DEFAULT_VIEW.denominator) params.set('denominator', view.denominator);
+  if (view.range !== DEFAULT_VIEW.range) params.set('range', view.range);
+  if (view.start) params.set('start', view.start);
+  if (view.end) params.set('end', view.end);
+  if (view.resolution !== DEFAULT_VIEW.resolution) params.set('resolution', view.resolution);
+  if (view.align !== DEFAULT_VIEW.align) params.set('align', view.align);
+  if (view.indexed !== DEFAULT_VIEW.indexed) params.set('indexed', view.indexed ? '1' : '0');
+  if (view.log !== DEFAULT_VIEW.log) params.set('log', view.log ? '1' : '0');
+  if (view.mode !== DEFAULT_VIEW.mode) params.set('mode', view.mode);
+  if (view.window !== DEFAULT_VIEW.window) params.set('window', String(view.window));
+  if (view.pair) params.set('pair', view.pair.join(','));
+  if (view.layers.join(',') !== DEFAULT_VIEW.layers.join(',')) params.set('layers', view.layers.join(','));
+  if (view.layout !== DEFAULT_VIEW.layout) params.set('layout', view.layout);
+  if (view.compare.join(',') !== DEFAULT_VIEW.compare.join(',')) params.set('compare', view.compare.join(','));
+  if (view.lens) params.set('lens', view.lens);
+  // One note parameter per note, as date:text
+  view.notes.forEach(note => params.append('note', `${note.date}:${note.text}`));
+  // Commas are legal in a query string; keep asset lists readable
+  return params.toString().replace(/%2C/g, ',');
+}
+
+export function viewFromQuery(search) {
+  const params = new URLSearchParams(search);
+  const input = {};
+  for (const field of Object.keys(DEFAULT_VIEW)) {
+    if (params.has(field)) input[field] = params.get(field);
+  }
+  input.notes = params.getAll('note');
+  return normalizeView(input);
+}
+
+// --- SAVED VIEWS FILE ---
+
+export function exportViews(saved) {
+  return { version: VIEWS_FILE_VERSION, views: saved };
+}
+
+/**
+ * Reads a saved-views file. Returns { views } with every usable entry normalized, or
+ * { error } when the file is not a views export at all.
+ */
+export function importViews(json) {
+  if (json?.version !== VIEWS_FILE_VERSION || !Array.isArray(json.views)) {
+    return { error: 'Not a saved views file' };
+  }
+  return { views: normalizeSavedViews(json.views) };
+}
+
+// Saved views as stored, which may predate fields added since, with each view normalized
+export function normalizeSavedViews(entries) {
+  if (!Array.isArray(entries)) return [];
+  return entries
+    .filter(entry => typeof entry?.name === 'string' && entry.name.trim() && entry.view)
+    .map(entry => ({ name: entry.name.trim().slice(0, 60), view: normalizeView(entry.view) }));
+}
+
+// Adds or replaces views by name, keeping the newest MAX_SAVED_VIEWS
+export function mergeViews(saved, incoming) {
+  const names = new Set(incoming.map(entry => entry.name));
+  return [...saved.filter(entry => !names.has(entry.name)), ...incoming].slice(-MAX_SAVED_VIEWS);
+}
@@ -1,6 +1,19 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
+  experimental: {
+    // Bundled fallback history is read from disk at runtime by every route that loads series
+    outputFileTracingIncludes: {
+      '/api/data': ['./data/**/*'],
+      '/api/export': ['./data/**/*'],
+      '/api/chart.svg': ['./data/**/*'],
+      '/api/chart.png': ['./data/**/*'],
+      '/api/backtest': ['./data/**/*'],
+      '/api/baskets': ['./data/**/*'],
+      '/api/alerts/check': ['./data/**/*'],
+      '/api/v1/**/*': ['./data/**/*'],
+    },
+  },
 }
 
 module.exports = nextConfig
@@ -0,0 +1,45 @@
+// Archives today's data: the same fetch-and-merge as GET /api/data, at monthly interval,
+// written to data/archive/YYYY-MM-DD.json (or DATA_ARCHIVE_DIR). Every series is fetched
+// in full rather than extended from the cache, so a vintage records upstream revisions
+// to past months too. Run it from cron:
+//   0 6 * * *  cd /srv/realterms && npm run archive
+import path from 'path';
+import { loadEnvFile } from '../lib/env.js';
+
+async function main() {
+  loadEnvFile();
+
+  if (process.env.DATA_PROVIDER) {
+    throw new Error(`DATA_PROVIDER=${process.env.DATA_PROVIDER} is set; the archive must come from live providers`);
+  }
+
+  // Imported after the env file so the providers see FRED_API_KEY and DATA_ARCHIVE_DIR
+  const { loadDataset } = await import('../lib/dataset.js');
+  const { writeArchive, ARCHIVE_DIR } = await import('../lib/archive.js');
+  const { overallStatus } = await import('../lib/quality.js');
+
+  const dataset = await loadDataset({ refetch: true });
+  if (!dataset || dataset.snapshot) {
+    throw new Error('SPX could not be fetched; refusing to archive the bundled snapshot as today\'s data');
+  }
+
+  const failed = Object.values(dataset.health).filter(report => report.status === 'failed').map(report => report.key);
+  if (failed.length) {
+    console.warn(`Archive will be missing: ${failed.join(', ')}`);
+  }
+  const cached = Object.values(dataset.health).filter(report => report.fetch === 'stale').map(report => report.key);
+  if (cached.length) {
+    console.warn(`Refetch failed, archiving the cached copy of: ${cached.join(', ')}`);
+  }
+
+  const archive = await writeArchive(dataset);
+  console.log(
+    `Wrote ${path.join(ARCHIVE_DIR, `${archive.archivedOn}.json`)} (as of ${archive.asOf}, ` +
+    `${Object.keys(archive.series).length} series, health ${overallStatus(dataset.health)})`
+  );
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,42 @@
+// Regenerates data/snapshot.json from the live providers.
+// Usage: npm run snapshot   (reads FRED_API_KEY from the environment or .env.local)
+import { promises as fs } from 'fs';
+import path from 'path';
+import { loadEnvFile } from '../lib/env.js';
+
+async function main() {
+  loadEnvFile();
+
+  if (process.env.DATA_PROVIDER) {
+    throw new Error(`DATA_PROVIDER=${process.env.DATA_PROVIDER} is set; the snapshot must come from live providers`);
+  }
+
+  // Imported after the env file so the providers see FRED_API_KEY
+  const { loadAllSeries, HISTORY_START } = await import('../lib/marketData.js');
+  const { buildSnapshot, SNAPSHOT_PATH } = await import('../lib/snapshot.js');
+
+  const { rawData } = await loadAllSeries(HISTORY_START);
+
+  const missing = Object.keys(rawData).filter(key => !rawData[key]);
+  if (!rawData.SPX) {
+    throw new Error('SPX could not be fetched; refusing to write a snapshot without it');
+  }
+  if (missing.length) {
+    console.warn(`Snapshot will be missing: ${missing.join(', ')}`);
+  }
+
+  const series = {};
+  for (const [key, data] of Object.entries(rawData)) {
+    if (data) series[key] = data;
+  }
+
+  const snapshot = buildSnapshot(series);
+  await fs.mkdir(path.dirname(SNAPSHOT_PATH), { recursive: true });
+  await fs.writeFile(SNAPSHOT_PATH, JSON.stringify(snapshot, null, 2) + '\n');
+  console.log(`Wrote ${SNAPSHOT_PATH} (as of ${snapshot.asOf}, ${Object.keys(series).length} series)`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
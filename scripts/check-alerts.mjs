@@ -0,0 +1,26 @@
+// Evaluates every alert rule on the latest data and sends what fired. Run it from cron
+// after the markets close:
+//   30 22 * * 1-5  cd /srv/realterms && npm run alerts
+import { loadEnvFile } from '../lib/env.js';
+
+async function main() {
+  loadEnvFile();
+
+  // Imported after the env file so the providers and notifiers see their settings
+  const { runAlerts } = await import('../lib/alertRunner.js');
+
+  const { checked, skipped, fired } = await runAlerts();
+  for (const event of fired) {
+    const failed = Object.entries(event.deliveries).filter(([, status]) => status !== 'sent');
+    console.log(`${event.message}${failed.length ? ` (failed: ${failed.map(([id]) => id).join(', ')})` : ''}`);
+  }
+  if (skipped.length) {
+    console.warn(`Skipped ${skipped.length} rule${skipped.length === 1 ? '' : 's'}: live data unavailable`);
+  }
+  console.log(`Checked ${checked} rule${checked === 1 ? '' : 's'}, ${fired.length} fired`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
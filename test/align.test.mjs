@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { alignSeries } from '../lib/align.js';
+
+describe('alignSeries', () => {
+  it('matches monthly observations by calendar month', () => {
+    const data = [{ date: '2020-01-15', value: 1 }, { date: '2020-03-20', value: 3 }];
+    const dates = ['2019-12-01', '2020-01-01', '2020-02-01', '2020-03-01'];
+    assert.deepEqual(alignSeries(data, dates, { interval: '1mo' }), {
+      values: [null, 1, null, 3],
+      flags: [null, null, 'missing', null],
+    });
+  });
+
+  it('carries a monthly series forward up to maxGapDays', () => {
+    const data = [{ date: '2020-01-15', value: 1 }];
+    const dates = ['2020-02-01', '2020-06-01'];
+    assert.deepEqual(alignSeries(data, dates, { interval: '1mo', maxGapDays: 95 }), {
+      values: [1, null],
+      flags: ['ffill', 'missing'],
+    });
+  });
+
+  it('forward-fills daily gaps within the interval limit', () => {
+    const data = [{ date: '2020-01-01', value: 10 }];
+    const dates = ['2020-01-01', '2020-01-03', '2020-01-10'];
+    assert.deepEqual(alignSeries(data, dates, { interval: '1d' }), {
+      values: [10, 10, null],
+      flags: [null, 'ffill', 'missing'],
+    });
+  });
+
+  it('interpolates between observations on finer calendars', () => {
+    const data = [{ date: '2020-01-01', value: 10 }, { date: '2020-01-05', value: 20 }];
+    const dates = ['2020-01-01', '2020-01-03', '2020-01-05'];
+    assert.deepEqual(alignSeries(data, dates, { interval: '1d', method: 'interpolate' }), {
+      values: [10, 15, 20],
+      flags: [null, 'estimated', null],
+    });
+  });
+
+  it('leaves gaps empty with drop', () => {
+    const data = [{ date: '2020-01-01', value: 10 }];
+    assert.deepEqual(alignSeries(data, ['2020-01-01', '2020-01-02'], { interval: '1d', method: 'drop' }), {
+      values: [10, null],
+      flags: [null, 'missing'],
+    });
+  });
+
+  it('treats a monthly observation as covering its month on a daily calendar', () => {
+    const data = [{ date: '2020-01-01', value: 5 }];
+    assert.deepEqual(alignSeries(data, ['2020-01-20', '2020-02-03'], { interval: '1d', nativeInterval: '1mo', method: 'drop' }), {
+      values: [5, null],
+      flags: [null, 'missing'],
+    });
+  });
+
+  it('returns nulls without flags for a series that did not load', () => {
+    assert.deepEqual(alignSeries(null, ['2020-01-01']), { values: [null], flags: [null] });
+  });
+});
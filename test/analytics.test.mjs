@@ -0,0 +1,159 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import {
+  totalReturn, cagr, maxDrawdown, timeUnderwater, correlation, computeAnalytics,
+  drawdownRows, rollingReturnRows, rollingCorrelation,
+} from '../lib/analytics.js';
+import { closeTo } from './helpers.mjs';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function points(values, dates) {
+  return values.map((value, i) => ({ date: dates[i], value }));
+}
+
+// First of each month from start, count of them
+function months(start, count) {
+  const [year, month] = start.split('-').map(Number);
+  return Array.from({ length: count }, (_, i) => {
+    const date = new Date(Date.UTC(year, month - 1 + i, 1));
+    return date.toISOString().substring(0, 10);
+  });
+}
+
+describe('totalReturn and cagr', () => {
+  it('measures growth over the calendar span', () => {
+    // 2020-01-01 to 2024-01-01 is 1461 days, exactly four 365.25-day years
+    const series = points([100, 150, 200], ['2020-01-01', '2022-01-01', '2024-01-01']);
+    closeTo(totalReturn(series), 1);
+    closeTo(cagr(series), 2 ** (1 / 4) - 1);
+  });
+
+  it('returns null without a span', () => {
+    assert.equal(cagr(points([100], ['2020-01-01'])), null);
+    assert.equal(cagr(points([100, 120], ['2020-01-01', '2020-01-01'])), null);
+    assert.equal(totalReturn([]), null);
+  });
+});
+
+describe('maxDrawdown', () => {
+  it('finds the deepest decline and its recovery', () => {
+    const dates = months('2020-01', 6);
+    const result = maxDrawdown(points([100, 120, 90, 60, 130, 110], dates));
+    assert.deepEqual(result, { value: -0.5, peakDate: dates[1], troughDate: dates[3], recoveryDate: dates[4] });
+  });
+
+  it('leaves recoveryDate null while still below the peak', () => {
+    const dates = months('2020-01', 3);
+    const result = maxDrawdown(points([100, 80, 90], dates));
+    closeTo(result.value, -0.2);
+    assert.equal(result.troughDate, dates[1]);
+    assert.equal(result.recoveryDate, null);
+  });
+
+  it('reports no drawdown for a series that only rises', () => {
+    assert.deepEqual(maxDrawdown(points([1, 2, 3], months('2020-01', 3))), {
+      value: 0, peakDate: null, troughDate: null, recoveryDate: null,
+    });
+  });
+});
+
+describe('timeUnderwater', () => {
+  it('counts the days spent below the running high', () => {
+    const dates = ['2020-01-01', '2020-01-11', '2020-01-21', '2020-01-31', '2020-02-10'];
+    // Under the first peak for 30 days, then under the new high for the last 10
+    assert.deepEqual(timeUnderwater(points([100, 90, 95, 105, 100], dates)), { share: 0.75, longestDays: 30, current: true });
+  });
+
+  it('is zero for a series at a new high every period', () => {
+    assert.deepEqual(timeUnderwater(points([1, 2, 3], months('2020-01', 3))), { share: 0, longestDays: 0, current: false });
+  });
+});
+
+describe('correlation', () => {
+  const dates = months('2020-01', 5);
+  const a = points([0.01, -0.02, 0.03, 0.01, -0.01], dates);
+
+  it('is 1 for proportional returns and -1 for opposite ones', () => {
+    closeTo(correlation(a, a.map(r => ({ ...r, value: r.value * 2 }))), 1);
+    closeTo(correlation(a, a.map(r => ({ ...r, value: -r.value }))), -1);
+  });
+
+  it('only pairs returns on shared dates', () => {
+    const b = [...a.slice(0, 3).map(r => ({ ...r, value: r.value * 3 })), { date: '2021-01-01', value: 0.5 }];
+    closeTo(correlation(a, b), 1);
+  });
+
+  it('needs three shared returns and some variance', () => {
+    assert.equal(correlation(a, a.slice(0, 2)), null);
+    assert.equal(correlation(a, a.map(r => ({ ...r, value: 0.01 }))), null);
+  });
+});
+
+describe('computeAnalytics', () => {
+  it('reports every statistic per key and null for a key without data', () => {
+    const dates = months('2020-01', 4);
+    const rows = dates.map((date, i) => ({ date, A: [100, 110, 99, 121][i], B: null }));
+    const { assets, correlations } = computeAnalytics(rows, ['A', 'B']);
+    assert.equal(assets.B, null);
+    assert.equal(assets.A.start, dates[0]);
+    assert.equal(assets.A.end, dates[3]);
+    closeTo(assets.A.totalReturn, 0.21);
+    closeTo(assets.A.maxDrawdown.value, -0.1);
+    assert.deepEqual(assets.A.bestMonth, { month: '2020-04', value: 0.222222 });
+    assert.deepEqual(assets.A.worstMonth, { month: '2020-03', value: -0.1 });
+    assert.equal(correlations.A.B, null);
+  });
+});
+
+describe('drawdownRows', () => {
+  it('gives the decline from the running high, skipping gaps', () => {
+    const dates = months('2020-01', 5);
+    const rows = dates.map((date, i) => ({ date, A: [100, 120, 90, null, 130][i] }));
+    assert.deepEqual(drawdownRows(rows, ['A']).map(row => row.A), [0, 0, -0.25, null, 0]);
+  });
+});
+
+describe('rollingReturnRows', () => {
+  it('annualizes the return over the trailing window once it has a full lookback', () => {
+    // Grows exactly 10% a year, so every full one-year window returns 0.1
+    const dates = months('2019-01', 36);
+    const origin = Date.parse('2019-01-01');
+    const rows = dates.map(date => ({ date, A: 100 * 1.1 ** ((Date.parse(date) - origin) / DAY / 365.25) }));
+    const result = rollingReturnRows(rows, ['A'], { years: 1 });
+    result.forEach(row => {
+      if (row.date < '2020-01-01') assert.equal(row.A, null, row.date);
+      else closeTo(row.A, 0.1);
+    });
+  });
+});
+
+describe('rollingCorrelation', () => {
+  it('correlates returns over each trailing window', () => {
+    const dates = months('2019-01', 30);
+    const steps = [0.02, -0.01, 0.03, -0.02, 0.01];
+    let a = 100;
+    let b = 100;
+    let c = 100;
+    const rows = dates.map((date, i) => {
+      if (i > 0) {
+        const step = steps[i % steps.length];
+        a *= 1 + step;
+        b *= 1 + 2 * step;
+        c *= 1 - step;
+      }
+      return { date, A: a, B: b, C: c };
+    });
+
+    const same = rollingCorrelation(rows, 'A', 'B', { years: 1, interval: '1mo' });
+    const opposite = rollingCorrelation(rows, 'A', 'C', { years: 1, interval: '1mo' });
+    same.forEach((row, i) => {
+      if (row.date < '2020-01-01') {
+        assert.equal(row.value, null, row.date);
+      } else {
+        closeTo(row.value, 1, 1e-4);
+        closeTo(opposite[i].value, -1, 1e-4);
+      }
+    });
+  });
+});
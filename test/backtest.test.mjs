@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { parseBacktest, runBacktest } from '../lib/backtest.js';
+import { closeTo } from './helpers.mjs';
+
+const DAY = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365.25;
+
+function config(overrides) {
+  return parseBacktest({ allocations: { SPX: 1 }, initial: 1000, ...overrides }).config;
+}
+
+describe('runBacktest', () => {
+  it('compounds a lump sum and reports its money-weighted return', () => {
+    const rows = [
+      { date: '2020-01-01', SPX: 100, GOLD: 2 },
+      { date: '2021-01-01', SPX: 110, GOLD: 2 },
+      { date: '2022-01-01', SPX: 121, GOLD: 2 },
+    ];
+    const result = runBacktest(rows, config());
+    const usd = result.denominators.USD.portfolio;
+    assert.equal(result.start, '2020-01-01');
+    assert.equal(result.end, '2022-01-01');
+    assert.equal(usd.ending, 1210);
+    assert.equal(usd.contributed, 1000);
+    closeTo(usd.gain, 0.21);
+    const years = (Date.parse('2022-01-01') - Date.parse('2020-01-01')) / DAY / YEAR_DAYS;
+    closeTo(usd.annualizedReturn, 1.21 ** (1 / years) - 1);
+  });
+
+  it('buys the target weights with each contribution and converts them at their own date', () => {
+    const rows = [
+      { date: '2020-01-01', SPX: 100, GOLD: 2 },
+      { date: '2020-02-01', SPX: 100, GOLD: 4 },
+      { date: '2020-03-01', SPX: 200, GOLD: 4 },
+    ];
+    const result = runBacktest(rows, config({ initial: 0, contribution: 100, frequency: 'monthly' }));
+    // 1 + 1 + 0.5 units of SPX
+    assert.equal(result.contributed, 300);
+    assert.equal(result.denominators.USD.portfolio.ending, 500);
+    // 50 oz, then 25 oz and 25 oz paid in; 500 / 4 oz at the end
+    assert.equal(result.denominators.GOLD.portfolio.contributed, 100);
+    assert.equal(result.denominators.GOLD.portfolio.ending, 125);
+    assert.deepEqual(result.denominators.GOLD.data.map(row => row.contributed), [50, 75, 100]);
+  });
+
+  it('runs the same cash flows into each asset alone for comparison', () => {
+    const rows = [
+      { date: '2020-01-01', SPX: 100, GOLD: 100 },
+      { date: '2020-02-01', SPX: 200, GOLD: 100 },
+    ];
+    const result = runBacktest(rows, config({ allocations: { SPX: 50, GOLD: 50 } }));
+    const usd = result.denominators.USD;
+    assert.equal(usd.portfolio.ending, 1500);
+    assert.equal(usd.assets.SPX.ending, 2000);
+    assert.equal(usd.assets.GOLD.ending, 1000);
+    assert.deepEqual(usd.data[1], { date: '2020-02-01', PORTFOLIO: 1500, SPX: 2000, GOLD: 1000, contributed: 1000 });
+  });
+
+  it('rebalances back to the target weights', () => {
+    const rows = [
+      { date: '2020-01-01', SPX: 100, GOLD: 100 },
+      { date: '2020-02-01', SPX: 200, GOLD: 100 },
+      { date: '2020-03-01', SPX: 100, GOLD: 100 },
+    ];
+    const held = runBacktest(rows, config({ allocations: { SPX: 1, GOLD: 1 } }));
+    const rebalanced = runBacktest(rows, config({ allocations: { SPX: 1, GOLD: 1 }, rebalance: 'monthly' }));
+    assert.equal(held.denominators.USD.portfolio.ending, 1000);
+    // 750 in each at 2020-02, then SPX halves
+    assert.equal(rebalanced.denominators.USD.portfolio.ending, 1125);
+  });
+
+  it('returns null when no row prices every allocated asset', () => {
+    const rows = [{ date: '2020-01-01', SPX: 100, GOLD: null }, { date: '2020-02-01', SPX: null, GOLD: 5 }];
+    assert.equal(runBacktest(rows, config({ allocations: { SPX: 1, GOLD: 1 } })), null);
+  });
+});
+
+describe('parseBacktest', () => {
+  it('fills in defaults', () => {
+    assert.deepEqual(parseBacktest({ allocations: { SPX: 1 }, contribution: 100 }).config, {
+      allocations: { SPX: 1 }, initial: 0, contribution: 100, frequency: 'monthly', rebalance: 'never', start: null, end: null,
+    });
+  });
+
+  it('rejects unknown assets and empty cash flows', () => {
+    assert.match(parseBacktest({ allocations: { NOPE: 1 }, initial: 1 }).error, /Unknown asset "NOPE"/);
+    assert.match(parseBacktest({ allocations: { SPX: 1 } }).error, /initial amount, a contribution, or both/);
+  });
+});
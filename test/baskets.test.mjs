@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { calculateBasket, validateBasket, normalizeBaskets, isRebalancePoint } from '../lib/baskets.js';
+import { closeTo } from './helpers.mjs';
+
+const DATES = ['2020-01-01', '2020-02-01', '2020-03-01'];
+
+function series(values) {
+  return values
+    .map((value, i) => ({ date: DATES[i], value }))
+    .filter(point => point.value !== null);
+}
+
+function basket(overrides) {
+  return { id: 'test', name: 'Test', constituents: ['AAPL', 'MSFT'], weighting: 'equal', rebalance: 'never', ...overrides };
+}
+
+describe('calculateBasket', () => {
+  const prices = { AAPL: series([100, 110, 121]), MSFT: series([100, 90, 81]) };
+
+  it('lets buy-and-hold weights drift', () => {
+    const values = calculateBasket(basket(), prices, DATES).map(point => point.value);
+    [100, 100, 101].forEach((expected, i) => closeTo(values[i], expected));
+  });
+
+  it('trades back to target weights on each rebalance', () => {
+    const values = calculateBasket(basket({ rebalance: 'monthly' }), prices, DATES).map(point => point.value);
+    [100, 100, 100].forEach((expected, i) => closeTo(values[i], expected));
+  });
+
+  it('holds one share of each constituent when price weighted', () => {
+    const values = calculateBasket(
+      basket({ weighting: 'price' }),
+      { AAPL: series([100, 200]), MSFT: series([300, 300]) },
+      DATES.slice(0, 2)
+    ).map(point => point.value);
+    [100, 125].forEach((expected, i) => closeTo(values[i], expected));
+  });
+
+  it('applies custom weights on any scale', () => {
+    const values = calculateBasket(
+      basket({ weighting: 'custom', weights: { AAPL: 3, MSFT: 1 } }),
+      { AAPL: series([100, 200]), MSFT: series([100, 100]) },
+      DATES.slice(0, 2)
+    ).map(point => point.value);
+    [100, 175].forEach((expected, i) => closeTo(values[i], expected));
+  });
+
+  it('chain-links a late constituent without a jump and reports coverage', () => {
+    const points = calculateBasket(basket(), { AAPL: series([100, 110, 121]), MSFT: series([null, 50, 55]) }, DATES);
+    // Month two is measured on AAPL alone, then MSFT is bought at half the NAV
+    [100, 110, 121].forEach((expected, i) => closeTo(points[i].value, expected));
+    assert.deepEqual(points.map(({ count, total, missing }) => ({ count, total, missing })), [
+      { count: 1, total: 2, missing: ['MSFT'] },
+      { count: 2, total: 2, missing: [] },
+      { count: 2, total: 2, missing: [] },
+    ]);
+  });
+
+  it('skips dates no constituent is priced on', () => {
+    const points = calculateBasket(basket(), { AAPL: series([null, 100, 110]) }, DATES);
+    assert.deepEqual(points.map(point => point.date), DATES.slice(1));
+  });
+});
+
+describe('isRebalancePoint', () => {
+  it('fires on the first point of a new period', () => {
+    assert.equal(isRebalancePoint('2020-01-31', '2020-02-03', 'monthly'), true);
+    assert.equal(isRebalancePoint('2020-02-03', '2020-02-04', 'monthly'), false);
+    assert.equal(isRebalancePoint('2020-03-31', '2020-04-01', 'quarterly'), true);
+    assert.equal(isRebalancePoint('2020-04-01', '2020-05-01', 'quarterly'), false);
+    assert.equal(isRebalancePoint(null, '2020-01-01', 'monthly'), false);
+    assert.equal(isRebalancePoint('2020-01-01', '2021-01-01', 'never'), false);
+  });
+});
+
+describe('validateBasket', () => {
+  it('accepts registry keys and allowlisted symbols', () => {
+    assert.equal(validateBasket(basket({ constituents: ['MAG7', 'GOLD', 'AMD', 'SPY'] })), null);
+  });
+
+  it('rejects symbols outside the registry and the allowlist', () => {
+    assert.match(validateBasket(basket({ constituents: ['AAPL', 'ZZZZQ'] })), /"ZZZZQ" is not a registry key or an allowed symbol/);
+  });
+
+  it('requires a positive weight per constituent for custom weighting', () => {
+    assert.match(validateBasket(basket({ weighting: 'custom', weights: { AAPL: 1 } })), /MSFT needs a positive weight/);
+  });
+
+  it('rejects names and constituents that are not strings', () => {
+    assert.equal(validateBasket(basket({ name: 5 })), 'Basket needs a name');
+    assert.match(validateBasket(basket({ constituents: ['AAPL', 7] })), /"7" is not a valid symbol/);
+    assert.match(validateBasket(basket({ weighting: 'toString' })), /unknown weighting/);
+  });
+});
+
+describe('normalizeBaskets', () => {
+  it('keeps only valid baskets from an array', () => {
+    assert.deepEqual(normalizeBaskets([basket(), basket({ name: 5 }), null]), [basket()]);
+    assert.deepEqual(normalizeBaskets({ baskets: [] }), []);
+    assert.deepEqual(normalizeBaskets('[]'), []);
+  });
+});
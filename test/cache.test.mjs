@@ -0,0 +1,116 @@
+import { describe, it, after } from 'node:test';
+import assert from 'assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// CACHE_DIR is read when the module loads
+process.env.DATA_CACHE_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'series-cache-'));
+const { getSeries, readSeries, writeSeries, DEFAULT_MAX_AGE, FULL_REFRESH_AGE } = await import('../lib/cache.js');
+
+const HOUR = 60 * 60 * 1000;
+
+let keyCount = 0;
+
+// A cached entry fetched age ms ago, fully fetched fullAge ms ago
+async function seed(observations, { age = 0, fullAge = age, startDate = '2020-01-01' } = {}) {
+  const key = `test-${++keyCount}`;
+  const now = Date.now();
+  await writeSeries(key, {
+    key,
+    fetchedAt: new Date(now - age).toISOString(),
+    fullFetchedAt: new Date(now - fullAge).toISOString(),
+    startDate,
+    observations,
+  });
+  return key;
+}
+
+// Records the start date of every fetch and answers with result
+function fetcher(result) {
+  const calls = [];
+  const fetch = async since => {
+    calls.push(since);
+    if (result instanceof Error) throw result;
+    return result;
+  };
+  return { calls, fetch };
+}
+
+const STORED = [
+  { date: '2020-01-01', value: 10 },
+  { date: '2020-02-01', value: 11 },
+];
+
+describe('getSeries', () => {
+  after(() => fs.rm(process.env.DATA_CACHE_DIR, { recursive: true, force: true }));
+
+  it('fetches the whole range when nothing is cached', async () => {
+    const { calls, fetch } = fetcher(STORED);
+    const result = await getSeries(`test-${++keyCount}`, { fetcher: fetch, startDate: '2020-01-01' });
+    assert.deepEqual(calls, ['2020-01-01']);
+    assert.equal(result.status, 'live');
+    assert.deepEqual(result.data, STORED);
+  });
+
+  it('serves a fresh entry without fetching', async () => {
+    const key = await seed(STORED, { age: HOUR });
+    const { calls, fetch } = fetcher(STORED);
+    const result = await getSeries(key, { fetcher: fetch, startDate: '2020-01-01' });
+    assert.deepEqual(calls, []);
+    assert.equal(result.status, 'cached');
+    assert.deepEqual(result.data, STORED);
+  });
+
+  it('fetches from the last stored period and merges onto the history', async () => {
+    const key = await seed(STORED, { age: DEFAULT_MAX_AGE + HOUR, fullAge: DEFAULT_MAX_AGE + HOUR });
+    const { calls, fetch } = fetcher([{ date: '2020-02-01', value: 12 }, { date: '2020-03-01', value: 13 }]);
+    const result = await getSeries(key, { fetcher: fetch, startDate: '2020-01-01' });
+    assert.deepEqual(calls, ['2020-02-01']);
+    assert.equal(result.status, 'live');
+    assert.deepEqual(result.data.map(point => point.value), [10, 12, 13]);
+  });
+
+  it('replaces the stored history once the last full fetch is a week old', async () => {
+    const key = await seed(STORED, { age: DEFAULT_MAX_AGE + HOUR, fullAge: FULL_REFRESH_AGE + HOUR });
+    // Rescaled after a split: every bar changes
+    const rescaled = [{ date: '2020-01-01', value: 5 }, { date: '2020-02-01', value: 5.5 }];
+    const { calls, fetch } = fetcher(rescaled);
+    await getSeries(key, { fetcher: fetch, startDate: '2020-01-01' });
+    assert.deepEqual(calls, ['2020-01-01']);
+    const entry = await readSeries(key);
+    assert.deepEqual(entry.observations, rescaled);
+    assert.equal(entry.fullFetchedAt, entry.fetchedAt);
+  });
+
+  it('backfills with a full fetch when asked for an earlier start', async () => {
+    const key = await seed(STORED, { age: HOUR });
+    const { calls, fetch } = fetcher([{ date: '2019-12-01', value: 9 }, ...STORED]);
+    const result = await getSeries(key, { fetcher: fetch, startDate: '2019-12-01' });
+    assert.deepEqual(calls, ['2019-12-01']);
+    assert.equal(result.data.length, 3);
+    assert.equal((await readSeries(key)).startDate, '2019-12-01');
+  });
+
+  it('fetches the full history when full is set, even for a fresh entry', async () => {
+    const key = await seed(STORED, { age: HOUR });
+    const { calls, fetch } = fetcher([{ date: '2020-01-01', value: 20 }]);
+    const result = await getSeries(key, { fetcher: fetch, startDate: '2020-01-01', full: true });
+    assert.deepEqual(calls, ['2020-01-01']);
+    assert.deepEqual(result.data, [{ date: '2020-01-01', value: 20 }]);
+  });
+
+  it('serves the last good copy as stale when a refresh fails', async () => {
+    for (const failure of [null, new Error('offline')]) {
+      const key = await seed(STORED, { age: DEFAULT_MAX_AGE + HOUR });
+      const result = await getSeries(key, { fetcher: fetcher(failure).fetch, startDate: '2020-01-01' });
+      assert.equal(result.status, 'stale');
+      assert.deepEqual(result.data, STORED);
+    }
+  });
+
+  it('fails when a refresh fails and nothing is cached', async () => {
+    const result = await getSeries(`test-${++keyCount}`, { fetcher: fetcher(null).fetch, startDate: '2020-01-01' });
+    assert.deepEqual(result, { data: null, status: 'failed', fetchedAt: null });
+  });
+});
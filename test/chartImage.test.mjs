@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { chartScene } from '../lib/chartImage.js';
+import { resolveDenominator } from '../lib/transform.js';
+
+// First of each month from start, count of them
+function months(start, count) {
+  const [year, month] = start.split('-').map(Number);
+  return Array.from({ length: count }, (_, i) => new Date(Date.UTC(year, month - 1 + i, 1)).toISOString().substring(0, 10));
+}
+
+function dateLabels(rows) {
+  const scene = chartScene({ rows, columns: ['SPX'], denominator: resolveDenominator('USD') }, { width: 800, height: 400 });
+  return scene.shapes.filter(shape => shape.type === 'text' && shape.anchor === 'middle').map(shape => shape.text);
+}
+
+describe('chartScene', () => {
+  it('labels every year boundary even when the range starts late in a year', () => {
+    const rows = months('2020-10', 61).map((date, i) => ({ date, SPX: 100 + i }));
+    assert.deepEqual(dateLabels(rows), ['2021', '2022', '2023', '2024', '2025']);
+  });
+
+  it('keeps the first label when there is room before the next boundary', () => {
+    const rows = months('2020-03', 68).map((date, i) => ({ date, SPX: 100 + i }));
+    assert.deepEqual(dateLabels(rows), ['2020', '2021', '2022', '2023', '2024', '2025']);
+  });
+});
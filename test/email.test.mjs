@@ -0,0 +1,111 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'assert/strict';
+import net from 'net';
+import { emailNotifier } from '../lib/notifiers/email.js';
+
+const ALERT = { rule: 'SPX / GOLD above 2', message: 'SPX / GOLD closed at 2.1', firedAt: '2024-01-02T00:00:00.000Z' };
+
+// A plain-TCP SMTP server that records every command. STARTTLS is advertised when
+// offerTls is set, but never completed: the test only needs to see what came before it.
+function fakeServer({ offerTls }) {
+  const server = { commands: [], messages: [] };
+  server.tcp = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    const reply = line => socket.write(`${line}\r\n`);
+    socket.on('error', () => {});
+    socket.on('data', chunk => {
+      buffer += chunk;
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        server.messages.push(buffer.slice(0, end));
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        reply('250 queued');
+      }
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1 && !inData) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const verb = line.split(' ')[0].toUpperCase();
+        server.commands.push(verb);
+        if (verb === 'EHLO') reply(offerTls ? '250-fake\r\n250-AUTH PLAIN\r\n250 STARTTLS' : '250-fake\r\n250 AUTH PLAIN');
+        else if (verb === 'STARTTLS') {
+          if (!offerTls) reply('502 not implemented');
+          else {
+            reply('220 ready');
+            socket.once('data', () => socket.destroy());
+            return;
+          }
+        } else if (verb === 'DATA') {
+          inData = true;
+          reply('354 go ahead');
+        } else if (verb === 'QUIT') {
+          reply('221 bye');
+          socket.end();
+        } else reply('250 ok');
+      }
+    });
+    reply('220 fake ESMTP');
+  });
+  return server;
+}
+
+describe('emailNotifier', () => {
+  let server;
+
+  function start(options) {
+    server = fakeServer(options);
+    return new Promise(resolve => server.tcp.listen(0, '127.0.0.1', () => {
+      Object.assign(process.env, {
+        SMTP_HOST: '127.0.0.1',
+        SMTP_PORT: String(server.tcp.address().port),
+        ALERT_EMAIL_FROM: 'alerts@example.com',
+        ALERT_EMAIL_TO: 'a@example.com, b@example.com',
+      });
+      resolve();
+    }));
+  }
+
+  before(() => {
+    delete process.env.SMTP_SECURE;
+  });
+
+  afterEach(() => {
+    server.tcp.close();
+    delete process.env.SMTP_USER;
+    delete process.env.SMTP_PASS;
+  });
+
+  after(() => {
+    for (const name of ['SMTP_HOST', 'SMTP_PORT', 'ALERT_EMAIL_FROM', 'ALERT_EMAIL_TO']) delete process.env[name];
+  });
+
+  it('delivers the alert to every recipient', async () => {
+    await start({ offerTls: false });
+    await emailNotifier.send(ALERT);
+    assert.deepEqual(server.commands.filter(verb => verb === 'RCPT').length, 2);
+    assert.equal(server.messages.length, 1);
+    assert.match(server.messages[0], /Subject: Real-terms alert: SPX \/ GOLD above 2/);
+    assert.match(server.messages[0], /SPX \/ GOLD closed at 2\.1/);
+  });
+
+  it('refuses to authenticate on a server without STARTTLS', async () => {
+    await start({ offerTls: false });
+    process.env.SMTP_USER = 'user';
+    process.env.SMTP_PASS = 'secret';
+    await assert.rejects(emailNotifier.send(ALERT));
+    assert.ok(!server.commands.includes('AUTH'), `sent ${server.commands.join(', ')}`);
+    assert.ok(!server.commands.includes('MAIL'));
+  });
+
+  it('upgrades with STARTTLS before sending credentials', async () => {
+    await start({ offerTls: true });
+    process.env.SMTP_USER = 'user';
+    process.env.SMTP_PASS = 'secret';
+    // The fake server cannot complete the handshake, so delivery fails after STARTTLS
+    await assert.rejects(emailNotifier.send(ALERT));
+    assert.deepEqual(server.commands, ['EHLO', 'STARTTLS']);
+  });
+});
@@ -0,0 +1,5 @@
+import assert from 'assert/strict';
+
+export function closeTo(actual, expected, tolerance = 1e-6) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { crc32, inflateSync } from 'zlib';
+import { renderPng } from '../lib/png.js';
+
+// Splits a PNG into its chunks, checking each CRC with zlib's own
+function readChunks(png) {
+  const chunks = [];
+  let offset = 8;
+  while (offset < png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('ascii', offset + 4, offset + 8);
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    assert.equal(png.readUInt32BE(offset + 8 + length), crc32(png.subarray(offset + 4, offset + 8 + length)), `${type} CRC`);
+    chunks.push({ type, data });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+describe('renderPng', () => {
+  const png = renderPng({
+    width: 20,
+    height: 10,
+    shapes: [
+      { type: 'rect', x: 0, y: 0, width: 20, height: 10, color: '#07070a' },
+      { type: 'rect', x: 10, y: 0, width: 10, height: 10, color: '#ff0000' },
+    ],
+  });
+
+  it('writes the PNG signature and valid chunks', () => {
+    assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    assert.deepEqual(readChunks(png).map(chunk => chunk.type), ['IHDR', 'IDAT', 'IEND']);
+  });
+
+  it('describes an 8-bit RGB image of the scene size', () => {
+    const header = readChunks(png)[0].data;
+    assert.equal(header.readUInt32BE(0), 20);
+    assert.equal(header.readUInt32BE(4), 10);
+    // Bit depth 8, colour type 2 (RGB), default compression, filter and no interlace
+    assert.deepEqual([...header.subarray(8)], [8, 2, 0, 0, 0]);
+  });
+
+  it('rasterizes the shapes into the image data', () => {
+    const raw = inflateSync(readChunks(png)[1].data);
+    const stride = 1 + 20 * 3;
+    assert.equal(raw.length, stride * 10);
+    const pixel = (x, y) => [...raw.subarray(y * stride + 1 + x * 3, y * stride + 1 + x * 3 + 3)];
+    assert.deepEqual(pixel(2, 5), [0x07, 0x07, 0x0a]);
+    assert.deepEqual(pixel(15, 5), [0xff, 0x00, 0x00]);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'assert/strict';
+import yahooFinance from 'yahoo-finance2';
+import { fredProvider } from '../lib/providers/fred.js';
+import { yahooProvider } from '../lib/providers/yahoo.js';
+
+// Adapters resolve [] when the provider answers that it has no data, null when the call fails
+describe('fredProvider', () => {
+  const originalFetch = globalThis.fetch;
+  let response;
+
+  beforeEach(() => {
+    process.env.FRED_API_KEY = 'test';
+    globalThis.fetch = async () => response;
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    delete process.env.FRED_API_KEY;
+  });
+
+  function reply(status, body) {
+    response = new Response(JSON.stringify(body), { status });
+  }
+
+  it('parses observations and drops missing values', async () => {
+    reply(200, { observations: [{ date: '2020-01-01', value: '1.5' }, { date: '2020-02-01', value: '.' }] });
+    assert.deepEqual(await fredProvider.fetchSeries('PCEPI', { start: '2020-01-01' }), [{ date: '2020-01-01', value: 1.5 }]);
+  });
+
+  it('reports a series FRED does not have as no data', async () => {
+    reply(400, { error_code: 400, error_message: 'Bad Request.  The series does not exist.' });
+    assert.deepEqual(await fredProvider.fetchSeries('NOPE', { start: '2020-01-01' }), []);
+  });
+
+  it('treats any other 400, such as a bad api_key, as a failure', async () => {
+    reply(400, { error_code: 400, error_message: 'Bad Request.  The value for variable api_key is not registered.' });
+    assert.equal(await fredProvider.fetchSeries('PCEPI', { start: '2020-01-01' }), null);
+    response = new Response('<html>', { status: 400 });
+    assert.equal(await fredProvider.fetchSeries('PCEPI', { start: '2020-01-01' }), null);
+  });
+});
+
+describe('yahooProvider', () => {
+  const originalChart = yahooFinance.chart;
+
+  afterEach(() => {
+    yahooFinance.chart = originalChart;
+  });
+
+  it('reports an unknown symbol as no data', async () => {
+    yahooFinance.chart = async () => { throw new Error('No data found, symbol may be delisted'); };
+    assert.deepEqual(await yahooProvider.fetchSeries('ZZZZQ', { start: '2020-01-01' }), []);
+  });
+
+  it('treats a transport error as a failure', async () => {
+    yahooFinance.chart = async () => { throw new TypeError('fetch failed'); };
+    assert.equal(await yahooProvider.fetchSeries('^GSPC', { start: '2020-01-01' }), null);
+  });
+});
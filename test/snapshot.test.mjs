@@ -0,0 +1,17 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { existsSync } from 'fs';
+import { loadSnapshot, SNAPSHOT_PATH, SNAPSHOT_VERSION } from '../lib/snapshot.js';
+
+// data/snapshot.json is generated with `npm run snapshot`, which needs Yahoo and FRED
+const missing = !existsSync(SNAPSHOT_PATH) && 'data/snapshot.json is not committed yet; run npm run snapshot';
+
+describe('loadSnapshot', () => {
+  it('reads the committed snapshot', { skip: missing }, async () => {
+    const snapshot = await loadSnapshot();
+    assert.ok(snapshot, 'the committed snapshot loads');
+    assert.equal(snapshot.version, SNAPSHOT_VERSION);
+    assert.ok(snapshot.series.SPX.length > 12, 'SPX has monthly history');
+    assert.equal(snapshot.asOf, snapshot.series.SPX[snapshot.series.SPX.length - 1].date);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { resolveDenominator, transformRows } from '../lib/transform.js';
+
+const rows = [
+  { date: '2020-01-01', SPX: 100, GOLD: 50, PCE: 50, CASE_SHILLER: 100 },
+  { date: '2020-02-01', SPX: 300, GOLD: 100, PCE: 100, CASE_SHILLER: 200 },
+];
+
+function column(result, key) {
+  return result.map(row => row[key]);
+}
+
+describe('transformRows', () => {
+  it('leaves nominal values alone', () => {
+    assert.deepEqual(column(transformRows(rows, ['SPX'], { denominator: resolveDenominator('USD') }), 'SPX'), [100, 300]);
+  });
+
+  it('divides by a ratio series and indexes to 100', () => {
+    const gold = resolveDenominator('GOLD');
+    assert.deepEqual(column(transformRows(rows, ['SPX'], { denominator: gold }), 'SPX'), [2, 3]);
+    assert.deepEqual(column(transformRows(rows, ['SPX'], { denominator: gold, indexed: true }), 'SPX'), [100, 150]);
+  });
+
+  it('deflates to the latest price level', () => {
+    assert.deepEqual(column(transformRows(rows, ['SPX'], { denominator: resolveDenominator('PCE') }), 'SPX'), [200, 300]);
+  });
+
+  it('divides by a composite rebased to its first complete row', () => {
+    // Gold doubles and houses double: the 50/50 basket doubles too
+    assert.deepEqual(column(transformRows(rows, ['SPX'], { denominator: resolveDenominator('HARD_ASSETS') }), 'SPX'), [100, 150]);
+  });
+
+  it('prices in any asset key', () => {
+    const spec = resolveDenominator('SPX', { SPX: { name: 'S&P 500', symbol: '^GSPC' } });
+    assert.deepEqual(column(transformRows(rows, ['GOLD'], { denominator: spec }), 'GOLD'), [0.5, 0.33333333]);
+  });
+
+  it('flags a point lost to a missing denominator instead of leaking the nominal value', () => {
+    const gaps = [{ date: '2020-01-01', SPX: 100, GOLD: null }];
+    assert.deepEqual(transformRows(gaps, ['SPX'], { denominator: resolveDenominator('GOLD') }), [
+      { date: '2020-01-01', SPX: null, flags: { SPX: 'missing' } },
+    ]);
+  });
+
+  it('gives each point the worst flag of its inputs', () => {
+    const flagged = [{ date: '2020-01-01', SPX: 100, GOLD: 50, flags: { SPX: 'ffill', GOLD: 'estimated' } }];
+    assert.deepEqual(transformRows(flagged, ['SPX'], { denominator: resolveDenominator('GOLD') })[0].flags, { SPX: 'estimated' });
+  });
+});
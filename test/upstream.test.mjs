@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { schedule, circuitState, UPSTREAM_LIMITS } from '../lib/upstream.js';
+
+let laneCount = 0;
+
+// A provider id of its own with short timings, so tests share no state
+function lane(limits) {
+  const id = `test-${++laneCount}`;
+  UPSTREAM_LIMITS[id] = { concurrency: 4, burst: 20, perSecond: 100, retries: 0, failureThreshold: 5, cooldownMs: 100, ...limits };
+  return id;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Answers with each of results in turn, recording when every call started
+function task(...results) {
+  const starts = [];
+  const run = async () => {
+    starts.push(Date.now());
+    await sleep(20);
+    const result = results[Math.min(starts.length, results.length) - 1];
+    if (result instanceof Error) throw result;
+    return result;
+  };
+  return { starts, run };
+}
+
+describe('schedule', () => {
+  it('shares one call between simultaneous requests for the same key', async () => {
+    const id = lane();
+    const { starts, run } = task(['a'], ['b']);
+    const results = await Promise.all([schedule(id, 'SPX', run), schedule(id, 'SPX', run)]);
+    assert.deepEqual(results, [['a'], ['a']]);
+    assert.equal(starts.length, 1);
+    // Once settled, the next request calls again
+    assert.deepEqual(await schedule(id, 'SPX', run), ['b']);
+  });
+
+  it('caps concurrent calls', async () => {
+    const id = lane({ concurrency: 1 });
+    const { starts, run } = task([1]);
+    await Promise.all([schedule(id, 'A', run), schedule(id, 'B', run)]);
+    assert.ok(starts[1] - starts[0] >= 20, 'the second call waited for the first');
+  });
+
+  it('waits for a token once the burst is spent', async () => {
+    const id = lane({ burst: 1, perSecond: 10 });
+    const { starts, run } = task([1]);
+    await Promise.all([schedule(id, 'A', run), schedule(id, 'B', run)]);
+    assert.ok(starts[1] - starts[0] >= 90, `second call started ${starts[1] - starts[0]}ms after the first`);
+  });
+
+  it('retries failed calls with backoff', async () => {
+    const id = lane({ retries: 2 });
+    const { starts, run } = task(null, new Error('reset'), ['ok']);
+    assert.deepEqual(await schedule(id, 'SPX', run), ['ok']);
+    assert.equal(starts.length, 3);
+    assert.equal(circuitState(id), 'closed');
+  });
+
+  it('resolves null once every attempt failed, without rejecting', async () => {
+    const id = lane({ retries: 1 });
+    const { starts, run } = task(new Error('down'));
+    assert.equal(await schedule(id, 'SPX', run), null);
+    assert.equal(starts.length, 2);
+  });
+
+  it('neither retries nor counts an empty answer toward the breaker', async () => {
+    const id = lane({ retries: 2, failureThreshold: 1 });
+    const { starts, run } = task([]);
+    for (const key of ['BOGUS1', 'BOGUS2', 'BOGUS3']) assert.deepEqual(await schedule(id, key, run), []);
+    assert.equal(starts.length, 3);
+    assert.equal(circuitState(id), 'closed');
+  });
+
+  it('opens the circuit after repeated failures and lets one trial call through after the cooldown', async () => {
+    const id = lane({ failureThreshold: 2, cooldownMs: 100 });
+    const failing = task(null);
+    await schedule(id, 'A', failing.run);
+    await schedule(id, 'B', failing.run);
+    assert.equal(circuitState(id), 'open');
+
+    // Refused while open
+    assert.equal(await schedule(id, 'C', failing.run), null);
+    assert.equal(failing.starts.length, 2);
+
+    await sleep(110);
+    assert.equal(circuitState(id), 'half-open');
+    const trial = task(['back']);
+    const results = await Promise.all([schedule(id, 'D', trial.run), schedule(id, 'E', trial.run)]);
+    assert.deepEqual(results, [['back'], null]);
+    assert.equal(trial.starts.length, 1);
+    assert.equal(circuitState(id), 'closed');
+  });
+
+  it('reopens the circuit when the trial call fails', async () => {
+    const id = lane({ failureThreshold: 1, cooldownMs: 100 });
+    const failing = task(null);
+    await schedule(id, 'A', failing.run);
+    await sleep(110);
+    assert.equal(circuitState(id), 'half-open');
+    await schedule(id, 'B', failing.run);
+    assert.equal(circuitState(id), 'open');
+  });
+});
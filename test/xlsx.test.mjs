@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import zlib from 'zlib';
+import ExcelJS from 'exceljs';
+import { buildWorkbook, crc32 } from '../lib/xlsx.js';
+
+async function readSheet(bytes) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(Buffer.from(bytes));
+  const sheet = workbook.worksheets[0];
+  const rows = [];
+  sheet.eachRow(row => rows.push(row.values.slice(1)));
+  return { name: sheet.name, rows };
+}
+
+describe('crc32', () => {
+  it('matches zlib', () => {
+    const bytes = new TextEncoder().encode('Real Terms');
+    assert.equal(crc32(bytes), zlib.crc32(bytes));
+  });
+});
+
+describe('buildWorkbook', () => {
+  it('reads back in a spreadsheet library with numbers kept numeric', async () => {
+    const rows = [
+      ['date', 'SPX', 'GOLD'],
+      ['2020-01-01', 100.5, 1500],
+      ['2020-02-01', -2, 0.125],
+    ];
+    const sheet = await readSheet(buildWorkbook(rows, 'Real terms'));
+    assert.equal(sheet.name, 'Real terms');
+    assert.deepEqual(sheet.rows, rows);
+  });
+
+  it('escapes markup and keeps non-ASCII text', async () => {
+    const rows = [['S&P 500 <USD>', '€ "quoted"']];
+    assert.deepEqual((await readSheet(buildWorkbook(rows))).rows, rows);
+  });
+
+  it('leaves empty cells blank and names columns past Z', async () => {
+    const wide = Array.from({ length: 28 }, (_, i) => i);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(Buffer.from(buildWorkbook([wide, ['2020-01-01', null, 3]])));
+    const sheet = workbook.worksheets[0];
+    assert.equal(sheet.getCell('AB1').value, 27);
+    assert.equal(sheet.getCell('B2').value, null);
+    assert.equal(sheet.getCell('C2').value, 3);
+  });
+});